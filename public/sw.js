@@ -0,0 +1,182 @@
+// ============================================
+// SERVICE WORKER - Keeps the app working on bad or no connections
+// ============================================
+// A service worker sits between the page and the network. This one:
+// - saves the app shell (HTML, JS, CSS, images) when it installs, so the app opens offline
+// - keeps the shell's icons and manifest up to date in the background
+// - answers TMDB requests from the network, falling back to the last saved copy
+// - keeps poster images once they've been seen
+// Rankings, lists and the watchlist live in localStorage, so they need nothing from here.
+//
+// Registered by src/utils/serviceWorker.js (production builds only).
+
+// Replaced with a hash of the built files by server/serviceWorkerPlugin.js, so every deploy
+// installs a new worker - and the old shell cache (with the old JS and CSS) is deleted when it takes over
+const VERSION = 'dev'
+
+const SHELL_CACHE = `shell-${VERSION}`
+const API_CACHE = 'tmdb-api'
+const IMAGE_CACHE = 'tmdb-images'
+const FONT_CACHE = 'fonts'
+
+// How many responses each runtime cache may hold - the oldest are deleted first
+// (posters are 10-100 KB each, so 400 of them stay well under most browsers' limits)
+const CACHE_LIMITS = {
+  [API_CACHE]: 200,
+  [IMAGE_CACHE]: 400,
+  [FONT_CACHE]: 30
+}
+
+// Everything the app needs to start, besides the hashed JS and CSS (found in index.html below)
+const SHELL_FILES = [
+  '/',
+  '/index.html',
+  '/manifest.webmanifest',
+  '/icon.svg',
+  '/background.png',
+  '/recommendations.png',
+  '/No-Poster.png',
+  '/Rating.svg',
+  '/search.svg'
+]
+
+// On a slow connection, give up on the network after this long if we have a saved copy
+const NETWORK_TIMEOUT_MS = 4000
+
+// ============================================
+// INSTALL - Save the app shell
+// ============================================
+// Vite gives the built JS and CSS names like /assets/index-3f2a1b.js, so we read
+// them out of index.html instead of listing them by hand
+const shellAssets = async () => {
+  const html = await (await fetch('/index.html', { cache: 'no-cache' })).text()
+  return [...html.matchAll(/(?:src|href)="(\/assets\/[^"]+)"/g)].map((match) => match[1])
+}
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE)
+    await cache.addAll([...SHELL_FILES, ...await shellAssets()])
+    // Take over straight away instead of waiting for every tab to close
+    await self.skipWaiting()
+  })())
+})
+
+// ============================================
+// ACTIVATE - Delete caches from older versions
+// ============================================
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const keep = [SHELL_CACHE, ...Object.keys(CACHE_LIMITS)]
+    const names = await caches.keys()
+    await Promise.all(names.filter((name) => !keep.includes(name)).map((name) => caches.delete(name)))
+    await self.clients.claim()
+  })())
+})
+
+// ============================================
+// HELPERS
+// ============================================
+
+// Delete the oldest entries until the cache is back under its limit
+// cache.keys() lists entries in the order they were added
+const trimCache = async (cacheName) => {
+  const cache = await caches.open(cacheName)
+  const keys = await cache.keys()
+  const extra = keys.length - CACHE_LIMITS[cacheName]
+  if (extra > 0) await Promise.all(keys.slice(0, extra).map((key) => cache.delete(key)))
+}
+
+// Save a copy of a good response (delete first, so the entry moves to the newest end)
+const saveResponse = async (cacheName, request, response) => {
+  if (!response.ok && response.type !== 'opaque') return
+  const cache = await caches.open(cacheName)
+  await cache.delete(request)
+  await cache.put(request, response)
+  if (CACHE_LIMITS[cacheName]) await trimCache(cacheName)
+}
+
+// Resolves with null after "ms" milliseconds
+const timeout = (ms) => new Promise((resolve) => setTimeout(() => resolve(null), ms))
+
+// Network first: the newest data when we can get it, the saved copy when we can't
+// (or when the network takes longer than NETWORK_TIMEOUT_MS and we have a copy)
+const networkFirst = async (event, cacheName) => {
+  const { request } = event
+  const network = fetch(request).then((response) => {
+    event.waitUntil(saveResponse(cacheName, request, response.clone()))
+    return response
+  })
+  const cached = await caches.match(request)
+  if (!cached) return network
+
+  const winner = await Promise.race([network.catch(() => null), timeout(NETWORK_TIMEOUT_MS)])
+  return winner || cached
+}
+
+// Cache first: for files that never change once they exist (hashed assets, posters, fonts)
+const cacheFirst = async (event, cacheName, fetchRequest = event.request) => {
+  const cached = await caches.match(event.request)
+  if (cached) return cached
+  const response = await fetch(fetchRequest)
+  event.waitUntil(saveResponse(cacheName, event.request, response.clone()))
+  return response
+}
+
+// Stale while revalidate: answer with the saved copy straight away, and fetch a fresh one
+// for next time - for files that keep their name when they change (icons, the manifest)
+const staleWhileRevalidate = async (event, cacheName) => {
+  const { request } = event
+  const network = fetch(request).then((response) => {
+    event.waitUntil(saveResponse(cacheName, request, response.clone()))
+    return response
+  })
+  const cached = await caches.match(request)
+  if (!cached) return network
+  // Keep the worker alive until the fresh copy is saved (a failed refresh just keeps the old one)
+  event.waitUntil(network.catch(() => null))
+  return cached
+}
+
+// ============================================
+// FETCH - Pick a strategy for each kind of request
+// ============================================
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  if (request.method !== 'GET') return
+  const url = new URL(request.url)
+
+  // Pages: the app is a single page, so any address can be answered with index.html
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      fetch(request).catch(async () => (await caches.match('/index.html')) || Response.error())
+    )
+    return
+  }
+
+  // Movie data from our TMDB proxy (see server/tmdbProxy.js)
+  if (url.origin === self.location.origin && url.pathname.startsWith('/api/tmdb/')) {
+    event.respondWith(networkFirst(event, API_CACHE))
+    return
+  }
+
+  // Posters, backdrops and logos - ask for CORS so the browser can tell us their real size
+  if (url.hostname === 'image.tmdb.org') {
+    event.respondWith(cacheFirst(event, IMAGE_CACHE, new Request(request.url, { mode: 'cors' }))
+      .catch(() => fetch(request)))
+    return
+  }
+
+  if (url.hostname === 'fonts.googleapis.com' || url.hostname === 'fonts.gstatic.com') {
+    event.respondWith(cacheFirst(event, FONT_CACHE))
+    return
+  }
+
+  // The app's own files: built assets never change (their names include a hash),
+  // everything else in public/ can change under the same name
+  if (url.origin === self.location.origin) {
+    event.respondWith(url.pathname.startsWith('/assets/')
+      ? cacheFirst(event, SHELL_CACHE)
+      : staleWhileRevalidate(event, SHELL_CACHE))
+  }
+})
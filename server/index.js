@@ -0,0 +1,45 @@
+// ============================================
+// PROXY SERVER - Run the TMDB proxy on its own
+// ============================================
+// For hosting the built app somewhere other than `vite preview`:
+//   npm run proxy
+// then send /api/tmdb/* from your web server to this one.
+//
+// Reads TMDB_API_KEY (and optionally PORT and TRUST_PROXY) from the environment
+// or from .env.local / .env in the project folder.
+
+import { existsSync } from 'node:fs'
+import { createServer } from 'node:http'
+import { createTmdbProxy } from './tmdbProxy.js'
+import { PROXY_PATH } from './vitePlugin.js'
+
+// .env.local wins over .env, and real environment variables win over both
+;['.env.local', '.env'].filter((file) => existsSync(file)).forEach((file) => process.loadEnvFile(file))
+
+const port = Number(process.env.PORT) || 8787
+
+const proxy = createTmdbProxy({
+  apiKey: process.env.TMDB_API_KEY,
+  trustProxy: process.env.TRUST_PROXY === 'true'
+})
+
+const server = createServer((req, res) => {
+  // Same URLs as the Vite dev server: /api/tmdb/<TMDB path>
+  if (!req.url.startsWith(`${PROXY_PATH}/`)) {
+    res.writeHead(404).end()
+    return
+  }
+  req.url = req.url.slice(PROXY_PATH.length)
+  // The proxy answers its own errors - this is only a last resort, so one bad request
+  // can't take the server down with an unhandled rejection
+  proxy(req, res).catch((error) => {
+    console.error('TMDB proxy error:', error)
+    if (!res.headersSent) res.writeHead(500)
+    res.end()
+  })
+})
+
+server.listen(port, () => {
+  console.log(`TMDB proxy listening on http://localhost:${port}${PROXY_PATH}`)
+  if (!process.env.TMDB_API_KEY) console.log('TMDB_API_KEY is not set - every request will fail with 401')
+})
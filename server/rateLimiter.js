@@ -0,0 +1,44 @@
+// ============================================
+// RATE LIMITER - Stop one visitor from using up our TMDB quota
+// ============================================
+// A "token bucket" per client: each client starts with `limit` tokens, every
+// request takes one, and tokens come back steadily over `windowMs`. Short bursts
+// (opening a page fires several requests) are fine; a script hammering us isn't.
+
+// Options:
+// - limit: most requests allowed in one burst
+// - windowMs: how long it takes to refill a completely empty bucket
+// - now: the clock, replaceable for tests
+export const createRateLimiter = ({ limit = 40, windowMs = 10 * 1000, now = Date.now } = {}) => {
+  // client id -> { tokens, updatedAt }
+  const buckets = new Map()
+  const refillPerMs = limit / windowMs
+
+  // Buckets that have refilled completely are the same as new ones - forget them
+  // so the map doesn't grow with every visitor we've ever seen
+  const sweep = (time) => {
+    buckets.forEach((bucket, client) => {
+      if (bucket.tokens + (time - bucket.updatedAt) * refillPerMs >= limit) buckets.delete(client)
+    })
+  }
+
+  // Try to spend one token for this client
+  // Returns { allowed: true } or { allowed: false, retryAfter } (seconds until a token is back)
+  const take = (client) => {
+    const time = now()
+    if (buckets.size > 1000) sweep(time)
+
+    const bucket = buckets.get(client) || { tokens: limit, updatedAt: time }
+    const tokens = Math.min(limit, bucket.tokens + (time - bucket.updatedAt) * refillPerMs)
+
+    if (tokens < 1) {
+      buckets.set(client, { tokens, updatedAt: time })
+      return { allowed: false, retryAfter: Math.ceil((1 - tokens) / refillPerMs / 1000) }
+    }
+
+    buckets.set(client, { tokens: tokens - 1, updatedAt: time })
+    return { allowed: true }
+  }
+
+  return { take }
+}
@@ -0,0 +1,44 @@
+// ============================================
+// PROXY RESPONSE CACHE - Remembers TMDB responses on the server
+// ============================================
+// Many visitors ask for the same pages (trending, genres, page 1 of popular),
+// so keeping them for a few minutes saves most of our TMDB requests.
+
+// key -> { status, body, contentType, expiresAt }
+// A Map remembers insertion order, so the first key is always the least recently used
+
+// Options:
+// - ttlMs: how long a response stays in the cache
+// - maxEntries: how many responses to keep before the least recently used is dropped
+// - now: the clock, replaceable for tests
+export const createResponseCache = ({ ttlMs = 5 * 60 * 1000, maxEntries = 500, now = Date.now } = {}) => {
+  const entries = new Map()
+
+  return {
+    // The cached response, or null if there isn't one (or it has expired)
+    get: (key) => {
+      const entry = entries.get(key)
+      if (!entry) return null
+      if (entry.expiresAt <= now()) {
+        entries.delete(key)
+        return null
+      }
+      // Move it to the end: most recently used
+      entries.delete(key)
+      entries.set(key, entry)
+      return entry
+    },
+
+    set: (key, response) => {
+      entries.delete(key)
+      entries.set(key, { ...response, expiresAt: now() + ttlMs })
+      if (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value)
+      }
+    },
+
+    get size() {
+      return entries.size
+    }
+  }
+}
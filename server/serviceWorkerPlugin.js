@@ -0,0 +1,38 @@
+// ============================================
+// VITE PLUGIN - Give the service worker a new version on every build
+// ============================================
+// public/sw.js is copied into dist/ as it is, so without this it would be byte-for-byte
+// the same after every deploy - and the browser only installs a new worker when sw.js
+// changes. This writes a version made from the built file names into dist/sw.js, so a
+// deploy with new JS or CSS installs a new worker, which deletes the old app shell cache.
+
+import { createHash } from 'node:crypto'
+import { readFile, writeFile } from 'node:fs/promises'
+import path from 'node:path'
+
+// The line in public/sw.js that gets replaced
+const VERSION_LINE = "const VERSION = 'dev'"
+
+export const serviceWorkerVersionPlugin = () => {
+  let outDir = 'dist'
+  let version = 'dev'
+
+  return {
+    name: 'service-worker-version',
+    apply: 'build',
+    configResolved: (config) => {
+      outDir = path.resolve(config.root, config.build.outDir)
+    },
+    // Vite puts a hash of each file's contents in its name, so the names change whenever the code does
+    generateBundle: (options, bundle) => {
+      version = createHash('sha256').update(Object.keys(bundle).sort().join('\n')).digest('hex').slice(0, 12)
+    },
+    // closeBundle runs after public/ has been copied into dist/
+    closeBundle: async () => {
+      const file = path.join(outDir, 'sw.js')
+      const source = await readFile(file, 'utf8')
+      if (!source.includes(VERSION_LINE)) throw new Error(`${file} has no "${VERSION_LINE}" line to replace`)
+      await writeFile(file, source.replace(VERSION_LINE, `const VERSION = '${version}'`))
+    }
+  }
+}
@@ -0,0 +1,140 @@
+// ============================================
+// TMDB PROXY - Forwards the app's requests to TMDB with our secret key
+// ============================================
+// The browser calls /api/tmdb/<path> on our own server, and this middleware
+// calls https://api.themoviedb.org/3/<path> with the key added. That way the
+// key stays on the server and never ends up in the JavaScript bundle.
+//
+// - Only the TMDB paths the app actually uses are forwarded (ALLOWED_PATHS)
+// - Successful responses are cached for a few minutes (see responseCache.js)
+// - Each client gets a limited number of requests (see rateLimiter.js)
+//
+// It's a Connect-style middleware, (req, res, next), so the Vite dev server can
+// use it directly (see vitePlugin.js) and so can a plain Node server (see index.js).
+
+import { createResponseCache } from './responseCache.js'
+import { createRateLimiter } from './rateLimiter.js'
+
+export const TMDB_API_URL = 'https://api.themoviedb.org/3'
+
+// The TMDB paths the app uses (src/api/providers/tmdbProvider.js) - everything else gets a 404
+export const ALLOWED_PATHS = [
+  /^\/search\/(movie|person)$/,
+  /^\/discover\/movie$/,
+  /^\/movie\/\d+$/,
+  /^\/movie\/\d+\/watch\/providers$/,
+  /^\/watch\/providers\/(movie|regions)$/,
+  /^\/trending\/movie\/(day|week)$/,
+  /^\/genre\/movie\/list$/,
+  /^\/configuration\/languages$/
+]
+
+export const isAllowedPath = (path) => ALLOWED_PATHS.some((pattern) => pattern.test(path))
+
+// Sort the query parameters, so ?page=2&query=x and ?query=x&page=2 share a cache entry
+// The client can't choose the key - any api_key it sends is dropped
+export const cacheKeyFor = (path, searchParams) => {
+  const params = [...searchParams].filter(([name]) => name !== 'api_key').sort(([a], [b]) => a.localeCompare(b))
+  const search = new URLSearchParams(params).toString()
+  return `${path}${search ? `?${search}` : ''}`
+}
+
+// Errors use the same JSON shape as TMDB's own errors
+const sendJson = (res, status, body, headers = {}) => {
+  res.writeHead(status, { 'Content-Type': 'application/json;charset=utf-8', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+const sendError = (res, status, message, headers) =>
+  sendJson(res, status, { success: false, status_code: status, status_message: message }, headers)
+
+// Who is asking? Behind a reverse proxy every request comes from the same address,
+// so trustProxy makes us use the first address in X-Forwarded-For instead
+const clientId = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for']
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket?.remoteAddress || 'unknown'
+}
+
+// Options:
+// - apiKey: the TMDB API Read Access Token (required for any request to succeed)
+// - upstream: where to forward to - point it at a stub server in tests
+// - fetch: the fetch function to use - also replaceable in tests
+// - timeoutMs: how long to wait for TMDB before giving up with a 504
+// - cache: options for createResponseCache, e.g. { ttlMs }
+// - rateLimit: options for createRateLimiter, e.g. { limit, windowMs }
+// - trustProxy: true when running behind a reverse proxy that sets X-Forwarded-For
+export const createTmdbProxy = ({
+  apiKey,
+  upstream = TMDB_API_URL,
+  fetch = globalThis.fetch,
+  timeoutMs = 10 * 1000,
+  cache: cacheOptions,
+  rateLimit: rateLimitOptions,
+  trustProxy = false
+} = {}) => {
+  const cache = createResponseCache(cacheOptions)
+  const rateLimiter = createRateLimiter(rateLimitOptions)
+
+  return async (req, res) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      sendError(res, 405, 'Only GET requests are supported.', { Allow: 'GET, HEAD' })
+      return
+    }
+
+    // req.url is relative to where the middleware is mounted, e.g. "/movie/550?language=en"
+    const url = new URL(req.url, 'http://proxy.local')
+    if (!isAllowedPath(url.pathname)) {
+      sendError(res, 404, 'The resource you requested could not be found.')
+      return
+    }
+
+    const limit = rateLimiter.take(clientId(req, trustProxy))
+    if (!limit.allowed) {
+      sendError(res, 429, 'Too many requests. Please slow down.', { 'Retry-After': String(limit.retryAfter) })
+      return
+    }
+
+    // 401 so the app shows its "API key" message (see src/components/ErrorMessage.jsx)
+    if (!apiKey) {
+      sendError(res, 401, 'TMDB_API_KEY is not set on the server.')
+      return
+    }
+
+    const key = cacheKeyFor(url.pathname, url.searchParams)
+    let response = cache.get(key)
+    const cacheStatus = response ? 'HIT' : 'MISS'
+
+    if (!response) {
+      // The timeout covers reading the body too, so a stalled download can't hang the request
+      // A failure anywhere in here is answered with a 502/504 - it must never become an
+      // unhandled rejection, which would stop the whole Node process
+      let upstreamResponse
+      try {
+        upstreamResponse = await fetch(`${upstream}${key}`, {
+          headers: { accept: 'application/json', Authorization: `Bearer ${apiKey}` },
+          signal: AbortSignal.timeout(timeoutMs)
+        })
+        response = {
+          status: upstreamResponse.status,
+          contentType: upstreamResponse.headers.get('content-type') || 'application/json;charset=utf-8',
+          retryAfter: upstreamResponse.headers.get('retry-after'),
+          body: await upstreamResponse.text()
+        }
+      } catch (error) {
+        if (error?.name === 'TimeoutError') sendError(res, 504, 'TMDB took too long to answer.')
+        else sendError(res, 502, 'Could not reach TMDB.')
+        return
+      }
+
+      // Only successes are cached - an error might be gone on the next try
+      if (upstreamResponse.ok) cache.set(key, response)
+    }
+
+    res.writeHead(response.status, {
+      'Content-Type': response.contentType,
+      'X-Cache': cacheStatus,
+      ...(response.retryAfter ? { 'Retry-After': response.retryAfter } : {})
+    })
+    res.end(req.method === 'HEAD' ? undefined : response.body)
+  }
+}
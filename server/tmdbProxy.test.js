@@ -0,0 +1,160 @@
+// ============================================
+// TMDB PROXY TESTS - npm test
+// ============================================
+// The proxy runs against a stubbed upstream: `fetch` is replaced, so nothing leaves the machine.
+
+import { describe, expect, it, vi } from 'vitest'
+import { cacheKeyFor, createTmdbProxy, isAllowedPath } from './tmdbProxy.js'
+
+const UPSTREAM = 'https://tmdb.test/3'
+
+// The parts of Node's req / res the proxy uses
+const request = (url, { method = 'GET', address = '10.0.0.1', headers = {} } = {}) =>
+  ({ url, method, headers, socket: { remoteAddress: address } })
+
+const response = () => {
+  const res = { status: null, headers: {}, body: undefined }
+  res.writeHead = (status, headers = {}) => {
+    res.status = status
+    res.headers = headers
+    return res
+  }
+  res.end = (body) => {
+    res.body = body
+  }
+  return res
+}
+
+// Run one request through the proxy and return what it sent back
+const send = async (proxy, url, options) => {
+  const res = response()
+  await proxy(request(url, options), res)
+  return res
+}
+
+// A stub upstream that answers every request with the same JSON
+const stubFetch = (body = { ok: true }, { status = 200, headers = {} } = {}) => vi.fn(async () => new Response(
+  JSON.stringify(body),
+  { status, headers: { 'content-type': 'application/json', ...headers } }
+))
+
+const createProxy = (options) => createTmdbProxy({ apiKey: 'secret', upstream: UPSTREAM, ...options })
+
+describe('isAllowedPath / cacheKeyFor', () => {
+  it('only allows the TMDB paths the app uses', () => {
+    expect(isAllowedPath('/movie/550')).toBe(true)
+    expect(isAllowedPath('/trending/movie/week')).toBe(true)
+    expect(isAllowedPath('/movie/550/watch/providers')).toBe(true)
+    expect(isAllowedPath('/account')).toBe(false)
+    expect(isAllowedPath('/movie/550/../../account')).toBe(false)
+  })
+
+  it('sorts the params and drops any api_key', () => {
+    expect(cacheKeyFor('/search/movie', new URLSearchParams('query=x&api_key=mine&page=2'))).toBe('/search/movie?page=2&query=x')
+    expect(cacheKeyFor('/genre/movie/list', new URLSearchParams())).toBe('/genre/movie/list')
+  })
+})
+
+describe('createTmdbProxy', () => {
+  it('forwards allowed paths with the key in the Authorization header', async () => {
+    const fetch = stubFetch({ id: 550 })
+    const res = await send(createProxy({ fetch }), '/movie/550?language=fr-FR&api_key=stolen')
+
+    expect(res.status).toBe(200)
+    expect(JSON.parse(res.body)).toEqual({ id: 550 })
+    const [url, init] = fetch.mock.calls[0]
+    expect(url).toBe(`${UPSTREAM}/movie/550?language=fr-FR`)
+    expect(init.headers.Authorization).toBe('Bearer secret')
+  })
+
+  it('answers paths outside the allowlist with a 404 without calling TMDB', async () => {
+    const fetch = stubFetch()
+    const res = await send(createProxy({ fetch }), '/account/1/rated/movies')
+
+    expect(res.status).toBe(404)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('only accepts GET and HEAD', async () => {
+    const res = await send(createProxy({ fetch: stubFetch() }), '/movie/550', { method: 'POST' })
+    expect(res.status).toBe(405)
+    expect(res.headers.Allow).toBe('GET, HEAD')
+  })
+
+  it('answers 401 when the server has no key', async () => {
+    const fetch = stubFetch()
+    const res = await send(createTmdbProxy({ upstream: UPSTREAM, fetch }), '/movie/550')
+
+    expect(res.status).toBe(401)
+    expect(fetch).not.toHaveBeenCalled()
+  })
+
+  it('serves a repeated request from the cache', async () => {
+    const fetch = stubFetch({ genres: [] })
+    const proxy = createProxy({ fetch })
+
+    const first = await send(proxy, '/genre/movie/list?language=en-US&a=1')
+    const second = await send(proxy, '/genre/movie/list?a=1&language=en-US')
+
+    expect(first.headers['X-Cache']).toBe('MISS')
+    expect(second.headers['X-Cache']).toBe('HIT')
+    expect(second.body).toBe(first.body)
+    expect(fetch).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not cache errors', async () => {
+    const fetch = stubFetch({ status_message: 'Oops' }, { status: 500 })
+    const proxy = createProxy({ fetch })
+
+    expect((await send(proxy, '/movie/550')).status).toBe(500)
+    expect((await send(proxy, '/movie/550')).headers['X-Cache']).toBe('MISS')
+    expect(fetch).toHaveBeenCalledTimes(2)
+  })
+
+  it('limits each client and says when to come back', async () => {
+    const proxy = createProxy({ fetch: stubFetch(), rateLimit: { limit: 2, windowMs: 10 * 1000, now: () => 0 } })
+
+    expect((await send(proxy, '/movie/1')).status).toBe(200)
+    expect((await send(proxy, '/movie/2')).status).toBe(200)
+    const limited = await send(proxy, '/movie/3')
+    expect(limited.status).toBe(429)
+    expect(limited.headers['Retry-After']).toBe('5')
+
+    // Someone else still gets through
+    expect((await send(proxy, '/movie/3', { address: '10.0.0.2' })).status).toBe(200)
+  })
+
+  it('answers 502 when TMDB cannot be reached', async () => {
+    const fetch = vi.fn(async () => {
+      throw new TypeError('fetch failed')
+    })
+    const res = await send(createProxy({ fetch }), '/movie/550')
+
+    expect(res.status).toBe(502)
+    expect(JSON.parse(res.body)).toMatchObject({ success: false, status_code: 502 })
+  })
+
+  it('answers 502 when the response body fails halfway', async () => {
+    const fetch = vi.fn(async () => ({
+      status: 200,
+      ok: true,
+      headers: new Headers(),
+      text: async () => {
+        throw new TypeError('terminated')
+      }
+    }))
+    const res = await send(createProxy({ fetch }), '/movie/550')
+
+    expect(res.status).toBe(502)
+  })
+
+  it('answers 504 when TMDB takes longer than the timeout', async () => {
+    // Never answers - only the abort signal ends it
+    const fetch = vi.fn((url, { signal }) => new Promise((resolve, reject) => {
+      signal.addEventListener('abort', () => reject(signal.reason), { once: true })
+    }))
+    const res = await send(createProxy({ fetch, timeoutMs: 20 }), '/movie/550')
+
+    expect(res.status).toBe(504)
+  })
+})
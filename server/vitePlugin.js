@@ -0,0 +1,29 @@
+// ============================================
+// VITE PLUGIN - Serve the TMDB proxy from the Vite dev and preview servers
+// ============================================
+// With this plugin, `npm run dev` and `npm run preview` answer /api/tmdb/*
+// themselves, so the app works without running a separate server.
+
+import { createTmdbProxy } from './tmdbProxy.js'
+
+// Where the app sends its TMDB requests (src/api/providers/tmdbProvider.js)
+export const PROXY_PATH = '/api/tmdb'
+
+// apiKey: the TMDB key, read from .env.local by vite.config.js
+export const tmdbProxyPlugin = ({ apiKey }) => {
+  const proxy = createTmdbProxy({ apiKey })
+  // Connect strips PROXY_PATH from req.url before calling the middleware
+  // (No return value: Vite would treat a returned function as a hook to run later)
+  const mount = (server) => {
+    // Anything the proxy doesn't answer itself goes to Connect's error handler
+    server.middlewares.use(PROXY_PATH, (req, res, next) => {
+      proxy(req, res).catch(next)
+    })
+  }
+
+  return {
+    name: 'tmdb-proxy',
+    configureServer: mount,
+    configurePreviewServer: mount
+  }
+}
@@ -4,7 +4,6 @@
 
 // Import React and its special hooks (functions that add superpowers to our components)
 // - React: The main library that lets us build user interfaces
-// - useEffect: A hook that runs code when the component loads or when data changes
 // - useState: A hook that lets us store and update data (like variables that trigger re-renders)
 import React, { useEffect, useState } from 'react'
 
@@ -13,32 +12,51 @@ import React, { useEffect, useState } from 'react'
 import { useDebounce } from 'use-debounce';
 
 // Import our custom components (reusable pieces of UI we built)
-import Search from './components/search'      // The search bar component
-import Spinner from './components/spinner'    // The loading animation component
-import MovieCard from './components/Moviecard' // Component that displays each movie
+import Search from './components/Search'      // The search bar component
+import Spinner from './components/Spinner'    // The loading animation component
+import MovieCard from './components/MovieCard' // Component that displays each movie
+import RankedList from './components/RankedList' // The user's personal ordered list
+import HeadToHead from './components/HeadToHead' // "Which is better?" Elo ranking mode
+import TierBoard from './components/TierBoard'   // S/A/B/C/D tier list board
+import LoadMore from './components/LoadMore'     // Infinite scroll / "Load more" button
+import MovieDetail from './components/MovieDetail' // Full page for one movie
+import FilterPanel from './components/FilterPanel' // Genre, year, rating, language and sort filters
+import Trending from './components/Trending'       // Today's / this week's trending movies
+import Nav from './components/Nav'                 // Links to the app's main pages
+import LibraryView from './components/LibraryView' // The Watchlist and Watched pages
+import PersonalControls from './components/PersonalControls' // Watchlist / watched / rating buttons
+import ImportExport from './components/ImportExport' // JSON / CSV / Letterboxd import and export
+import ErrorMessage from './components/ErrorMessage' // Explains a failed request, with a Retry button
+import VirtualGrid from './components/VirtualGrid'   // Only renders the grid rows that are on screen
+import QueryChips from './components/QueryChips'     // year: / actor: / genre: filters from the search box
+import AddToList from './components/AddToList'       // "+ List" menu under each movie card
+import ListsPage from './components/ListsPage'       // All named lists, and the "new list" form
+import ListEditor from './components/ListEditor'     // One named list: edit, reorder, share
+import SharedList from './components/SharedList'     // A list opened from a share link
+import GroupPage from './components/GroupPage'       // Start or open a group ranking session
+import GroupSession from './components/GroupSession' // Ballots and consensus for one session
+import VotePage from './components/VotePage'         // Vote from a group invite link
+import WatchBadges from './components/WatchBadges'   // "On Netflix" logos for the user's services
+import OfflineBanner from './components/OfflineBanner' // "You're offline" - what still works without internet
+import StatsPage from './components/StatsPage'     // Charts of the user's ratings, genres, decades and languages
 
-// ============================================
-// API CONFIGURATION - Settings to connect to the movie database
-// ============================================
-
-// The base URL for The Movie Database (TMDB) API
-// Think of this as the main address where we send our requests
-const API_BASE_URL = 'https://api.themoviedb.org/3'
-
-// Our secret API key that proves we're allowed to use TMDB
-// import.meta.env accesses environment variables (secrets stored securely)
-// VITE_TMDB_API_KEY is the name of our key in the .env file
-const API_KEY = import.meta.env.VITE_TMDB_API_KEY;
-
-// Options/settings that we send with every API request
-const API_OPTIONS = {
-  method: 'GET',  // GET means we're requesting data (not changing anything)
-  headers: {      // Headers are like metadata - extra info about our request
-    accept: 'application/json',  // We want the response in JSON format (structured data)
-    Authorization: `Bearer ${API_KEY}`  // Proves we're authorized to use the API
-  }
-}
+// Import our custom hooks (reusable pieces of logic)
+import useMovies from './hooks/useMovies'     // Loads search / discover results from TMDB
+import useRankings from './hooks/useRankings' // Saved, ordered "My Rankings" list
+import useLocation from './hooks/useLocation' // The current URL, for client-side routing
+import useUrlSync from './hooks/useUrlSync'   // Keeps the search and filters in the address bar
+import useLibrary from './hooks/useLibrary'   // Watchlist, watched dates and personal ratings
+import useLists from './hooks/useLists'       // Named lists like "Best of 2024"
+import useGroupSessions from './hooks/useGroupSessions' // Group ranking sessions and their ballots
+import useScrollRestoration from './hooks/useScrollRestoration' // Back / forward return to the same scroll position
+import useWatchSettings from './hooks/useWatchSettings' // The user's country and streaming services
+import useLocale from './hooks/useLocale'               // The app's language and its translations
+import useOnlineStatus from './hooks/useOnlineStatus'   // Whether the browser has a connection
 
+// Import helper functions
+import { matchPath } from './utils/router'   // Reads the movie id out of /movie/:id
+import { parseSearchState } from './utils/urlState' // Reads the search and filters from the URL
+import { withWatchServices } from './utils/discover' // Adds the user's services to the filters
 
 // ============================================
 // MAIN APP COMPONENT - This is the heart of our application
@@ -54,23 +72,19 @@ const App = () => {
   
   // useState creates a state variable and a function to update it
   // Pattern: const [value, setValue] = useState(initialValue)
+
+  // t('key'): the UI text in the user's language (see src/locales)
+  const { t } = useLocale();
   
+  // The search, filters and page saved in the URL when the app first loaded
+  // e.g. /?q=batman&page=2 - so shared links and page refreshes show the same results
+  // The function form of useState means we only read the URL once
+  const [initialUrlState] = useState(() => parseSearchState(window.location.search));
+
   // searchTerm: stores what the user types in the search box
   // setSearchTerm: function to update searchTerm
-  // "" (empty string) is the initial value
-  const [searchTerm, setSearchTerm] = useState("");
-  
-  // errorMessage: stores any error messages to show the user
-  // Example: "Failed to fetch movies" or "No internet connection"
-  const [errorMessage, setErrorMessage] = useState("");
-  
-  // isLoading: tracks if we're currently fetching data from the API
-  // true = show loading spinner, false = show content
-  const [isLoading, setIsLoading] = useState(false);
-  
-  // movieList: stores the array of movies we get from the API
-  // [] (empty array) means no movies at the start
-  const [movieList, setMovieList] = useState([]);
+  // Starts with the search from the URL ("" if there isn't one)
+  const [searchTerm, setSearchTerm] = useState(initialUrlState.query);
   
   // debouncedSearchTerm: a delayed version of searchTerm
   // Waits 500 milliseconds (0.5 seconds) after user stops typing before updating
@@ -78,91 +92,122 @@ const App = () => {
   // Example: User types "batman" - it only searches once they stop typing, not 6 times
   const [debouncedSearchTerm] = useDebounce(searchTerm, 500);
 
-  // ============================================
-  // FETCH MOVIES FUNCTION - Gets movie data from the TMDB API
-  // ============================================
-  
-  // async: this function performs asynchronous operations (waits for API response)
-  // query = '': if no query is provided, defaults to empty string
-  const fetchMovies = async (query = '') => {
-    
-    // Step 1: Set loading to true (shows the spinner to the user)
-    setIsLoading(true);
-    
-    // Step 2: Clear any previous error messages
-    setErrorMessage('');
-
-    // try-catch: handles errors gracefully (if API fails, we catch the error)
-    try {
-      // Step 3: Build the API endpoint (URL) based on whether user is searching
-      // Ternary operator: condition ? ifTrue : ifFalse
-      const endpoint = query 
-        // If there's a search query, use the search endpoint
-        // encodeURIComponent: makes the query URL-safe (replaces spaces with %20, etc.)
-        ? `${API_BASE_URL}/search/movie?query=${encodeURIComponent(query)}`
-        // If no query, get popular movies sorted by popularity
-        : `${API_BASE_URL}/discover/movie?sort_by=popularity.desc`;
-
-      // Step 4: Make the API request
-      // fetch: sends an HTTP request to the endpoint
-      // await: pauses here until the response comes back (doesn't freeze the UI)
-      const response = await fetch(endpoint, API_OPTIONS)
-
-      // Step 5: Check if the request was successful
-      // response.ok is true for status codes 200-299 (success)
-      // ! means "not", so this checks if response is NOT ok
-      if (!response.ok) {
-        // throw: creates an error that gets caught by the catch block below
-        throw new Error('failed to get movies');
-      }
-
-      // Step 6: Convert the response to JavaScript object
-      // .json() parses the JSON string into an object we can use
-      const data = await response.json();
-
-      // Step 7: Log the data to console (for debugging - you can see it in browser dev tools)
-      console.log(data);
-
-      // Step 8: Check if the API returned an error message
-      // This is specific to some API responses that return success but with error data
-      if (data.response == 'False') {
-        // Set the error message from API or use a default message
-        setErrorMessage(data.Error || 'Failed to fetch movies');
-        // Clear the movie list since we got an error
-        setMovieList([]);
-        // return: exits the function early
-        return;
-      }
-
-      // Step 9: Update our movie list with the results
-      // data.results is an array of movie objects from the API
-      // || [] means "or empty array" (if results is undefined, use empty array)
-      setMovieList(data.results || [])
-
-    } catch (error) {
-      // This runs if anything in the try block throws an error
-      // Could be network error, API error, etc.
-      console.log(`Error fetching movies: ${error}`)
-      // Set a user-friendly error message
-      setErrorMessage('Error fetching movies. Please Try Again.');
-    } finally {
-      // This ALWAYS runs, whether try succeeded or catch ran
-      // Turn off loading spinner since we're done (success or failure)
-      setIsLoading(false);
-    }
+  // filters: genre, year range, rating, language and sort for the popular movies list
+  // Debounced too, so typing a year like "1994" doesn't fetch "1", "19", "199" first
+  const [filters, setFilters] = useState(initialUrlState.filters);
+  const [debouncedFilters] = useDebounce(filters, 500);
+
+  // restorePage: how many pages to load straight away (from ?page= in the URL)
+  // Any new search or filter goes back to 1
+  const [restorePage, setRestorePage] = useState(initialUrlState.page);
+
+  const changeSearchTerm = (value) => {
+    setSearchTerm(value);
+    setRestorePage(1);
   }
 
+  const changeFilters = (value) => {
+    setFilters(value);
+    setRestorePage(1);
+  }
+
+  // The user's country and streaming services (saved in localStorage)
+  // Needed before the search below: "Only movies included with my services" filters by them
+  const watch = useWatchSettings();
+
+  // Search / discover results for the debounced term, loaded page by page
+  // useMovies cancels stale requests, so only the latest search ever shows up
+  // - movieList: the movies loaded so far
+  // - isLoading: true while the first page loads, isLoadingMore: while later pages load
+  // - error: why the last request failed (null if it didn't) - retry: try that request again
+  const {
+    movies: movieList,
+    page,
+    isLoading,
+    isLoadingMore,
+    error,
+    hasMore,
+    loadMore,
+    retry
+  } = useMovies(
+    debouncedSearchTerm,
+    withWatchServices(debouncedFilters, watch.region, watch.serviceIds),
+    restorePage
+  );
+
+  // isOnline: false while there's no connection - the offline banner explains what still works
+  const isOnline = useOnlineStatus();
+
+  // Back online after a failed page: try it again without making the user click Retry
+  useEffect(() => {
+    if (!error) return undefined;
+    window.addEventListener('online', retry);
+    return () => window.removeEventListener('online', retry);
+  }, [error, retry]);
+
+  // The user's personal ranking - saved in localStorage so it survives reloads
+  const { rankedMovies, isRanked, addMovie, addMovies, removeMovie, moveMovie, setOrder } = useRankings();
+
+  // The user's watchlist, watched movies and personal ratings (also saved in localStorage)
+  const library = useLibrary();
+
+  // The user's named lists (also saved in localStorage)
+  const lists = useLists();
+
+  // Group ranking sessions, where several people rank the same shortlist
+  const groups = useGroupSessions();
+
+  // rankingMode: how the user ranks their movies - 'list' (drag and drop), 'head-to-head' or 'tiers'
+  const [rankingMode, setRankingMode] = useState('list');
+
   // ============================================
-  // SIDE EFFECT - Runs when debouncedSearchTerm changes
+  // ROUTING - Which page are we on?
   // ============================================
-  
-  // useEffect: runs code when component loads or when dependencies change
-  // First argument: function to run
-  // Second argument: [dependencies] - run when these values change
-  useEffect( () => {
-    // When debouncedSearchTerm changes (user stopped typing), fetch movies
-    fetchMovies(debouncedSearchTerm);
-  }, [debouncedSearchTerm])  // Dependency array: only re-run when this value changes
+
+  // pathname: the part of the URL after the domain, e.g. "/" or "/movie/550"
+  // hash: everything after the #, where share links keep their data
+  const { pathname, search, hash } = useLocation();
+
+  // Going back from a movie page scrolls the grid back to where it was
+  useScrollRestoration(`${pathname}${search}`);
+
+  // { id: '550' } on a movie page, null everywhere else
+  const detailMatch = matchPath('/movie/:id', pathname);
+
+  // { id: '...' } on a list's own page
+  const listMatch = matchPath('/lists/:id', pathname);
+
+  // { id: '...' } on a group session's page
+  const groupMatch = matchPath('/group/:id', pathname);
+
+  // Write the search, filters and page into the URL (home page only), and put them
+  // back when the user presses back/forward - no page reload needed
+  // homeSearch: the same search as a URL, for "Back" links on other pages
+  const homeSearch = useUrlSync(
+    { query: debouncedSearchTerm, filters: debouncedFilters, page },
+    (restored) => {
+      setSearchTerm(restored.query);
+      setFilters(restored.filters);
+      setRestorePage(restored.page);
+    },
+    pathname === '/'
+  );
+
+  // The buttons shown under every movie card (grid, library pages and "similar movies"):
+  // "+ Rank", "+ List", plus the watchlist / watched / rating controls
+  // (and logos for any of the user's services that include the movie)
+  const renderCardActions = (movie) => (
+    <>
+      <WatchBadges movieId={movie.id} watch={watch} />
+      {isRanked(movie.id) ? (
+        <button type='button' onClick={() => removeMovie(movie.id)}>{t('card.ranked')}</button>
+      ) : (
+        <button type='button' onClick={() => addMovie(movie)}>{t('card.rank')}</button>
+      )}
+      <AddToList movie={movie} lists={lists.lists} onAdd={lists.addToList} />
+      <PersonalControls movie={movie} entry={library.getEntry(movie.id)} library={library} />
+    </>
+  );
 
   // ============================================
   // RENDER - What gets displayed on the screen (JSX/HTML-like code)
@@ -177,62 +222,182 @@ const App = () => {
     // bg-center: centers the background image
     // bg-fixed: keeps background fixed when scrolling
     // min-h-screen: minimum height of 100% of screen height
-    <main className="bg-[url('./background.png')] bg-cover bg-center bg-fixed min-h-screen">
+    <main className="bg-[url('/background.png')] bg-cover bg-center bg-fixed min-h-screen">
       
       {/* Empty div for decorative pattern overlay */}
       <div className="pattern"/>
       
       {/* Main content wrapper */}
       <div className='wrapper'>
-        
-        {/* ============================================ */}
-        {/* HEADER SECTION - Top of the page */}
-        {/* ============================================ */}
-        <header>
+
+        <Nav pathname={pathname} />
+
+        <OfflineBanner isOnline={isOnline} />
+
+        {/* Pick the page for the current URL - the home page is the fallback */}
+        {detailMatch ? (
+          <MovieDetail
+            movieId={detailMatch.id}
+            renderCardActions={renderCardActions}
+            watch={watch}
+            backTo={`/${homeSearch}`}
+          />
+        ) : pathname === '/watchlist' || pathname === '/watched' ? (
+          // key: a separate LibraryView for each page, so the sort and filters don't carry over
+          <LibraryView
+            key={pathname}
+            view={pathname.slice(1)}
+            library={library.library}
+            renderCardActions={renderCardActions}
+          />
+        ) : pathname === '/lists' ? (
+          <ListsPage lists={lists.lists} addList={lists.addList} />
+        ) : listMatch ? (
+          <ListEditor list={lists.getList(listMatch.id)} lists={lists} />
+        ) : pathname === '/shared' ? (
+          <SharedList code={hash.slice(1)} addList={lists.addList} />
+        ) : pathname === '/group' ? (
+          <GroupPage
+            rankedMovies={rankedMovies}
+            lists={lists.lists}
+            sessions={groups.sessions}
+            addSession={groups.addSession}
+            deleteSession={groups.deleteSession}
+          />
+        ) : groupMatch ? (
+          <GroupSession
+            session={groups.getSession(groupMatch.id)}
+            incomingCode={hash.slice(1)}
+            saveBallot={groups.saveBallot}
+            removeBallot={groups.removeBallot}
+          />
+        ) : pathname === '/stats' ? (
+          <StatsPage library={library.library} rankedMovies={rankedMovies} />
+        ) : pathname === '/vote' ? (
+          <VotePage code={hash.slice(1)} />
+        ) : pathname === '/data' ? (
+          <ImportExport
+            rankedMovies={rankedMovies}
+            addMovies={addMovies}
+            library={library.library}
+            importEntries={library.importEntries}
+          />
+        ) : (
+          <>
+            {/* ============================================ */}
+            {/* HEADER SECTION - Top of the page */}
+            {/* ============================================ */}
+            <header>
           
-          {/* Hero banner image - decorative image at top */}
-          <img src="./recommendations.png" alt="Hero Banner"/>
+              {/* Hero banner image - decorative image at top */}
+              <img src="./recommendations.png" alt={t('hero.alt')}/>
           
-          {/* Main heading - <span> lets us style part of the text differently */}
-          <h1>Find <span className='text-gradient'>Movies</span> You'll enjoy Without The Hastle</h1>
+              {/* Main heading - <span> lets us style part of the text differently */}
+              <h1>{t('hero.before')} <span className='text-gradient'>{t('hero.highlight')}</span> {t('hero.after')}</h1>
           
-          {/* Search component - we pass props (data) to it */}
-          {/* searchTerm: current value to display in search box */}
-          {/* setSearchTerm: function to update searchTerm when user types */}
-          <Search searchTerm={searchTerm} setSearchTerm={setSearchTerm} />
-        </header>
-
-        {/* ============================================ */}
-        {/* MOVIE LIST SECTION - Shows all the movies */}
-        {/* ============================================ */}
-        <section className='all-movies'>
+              {/* Search component - we pass props (data) to it */}
+              {/* searchTerm: current value to display in search box */}
+              {/* setSearchTerm: function to update searchTerm when user types */}
+              <Search searchTerm={searchTerm} setSearchTerm={changeSearchTerm} />
+
+              {/* Filters typed into the search box (e.g. actor:Tom Hanks) - click ✕ to remove one */}
+              <QueryChips query={searchTerm} setQuery={changeSearchTerm} />
+
+              {/* Filter panel - <details> lets the user fold it away when not needed */}
+              <details className='filters'>
+                <summary>{t('filters.summary')}</summary>
+                <FilterPanel
+                  filters={filters}
+                  setFilters={changeFilters}
+                  isSearching={Boolean(searchTerm)}
+                  watch={watch}
+                />
+              </details>
+            </header>
+
+            {/* ============================================ */}
+            {/* MY RANKINGS SECTION - The user's own ordered list */}
+            {/* ============================================ */}
+            <section className='my-rankings'>
+              <h2 className='mt-[40px]'>{t('section.myRankings')}</h2>
+
+              {/* Mode switch - aria-pressed tells screen readers which button is active */}
+              <div className='mode-switch'>
+                <button type='button' aria-pressed={rankingMode === 'list'} onClick={() => setRankingMode('list')}>
+                  {t('rankingMode.list')}
+                </button>
+                <button type='button' aria-pressed={rankingMode === 'head-to-head'} onClick={() => setRankingMode('head-to-head')}>
+                  {t('rankingMode.headToHead')}
+                </button>
+                <button type='button' aria-pressed={rankingMode === 'tiers'} onClick={() => setRankingMode('tiers')}>
+                  {t('rankingMode.tiers')}
+                </button>
+              </div>
+
+              {rankingMode === 'list' ? (
+                <RankedList movies={rankedMovies} onMove={moveMovie} onRemove={removeMovie} />
+              ) : rankingMode === 'head-to-head' ? (
+                <HeadToHead movies={rankedMovies} onApplyOrder={setOrder} />
+              ) : (
+                // The unranked tray is filled from whatever the search currently shows
+                <TierBoard trayMovies={movieList} />
+              )}
+            </section>
+
+            {/* ============================================ */}
+            {/* TRENDING SECTION - Top 10 from TMDB, right above All Movies */}
+            {/* ============================================ */}
+            <Trending/>
+
+            {/* ============================================ */}
+            {/* MOVIE LIST SECTION - Shows all the movies */}
+            {/* ============================================ */}
+            <section className='all-movies'>
           
-          {/* Section heading, mt-[40px] = margin-top of 40 pixels */}
-          <h2 className='mt-[40px]'>All Movies</h2>
+              {/* Section heading, mt-[40px] = margin-top of 40 pixels */}
+              <h2 className='mt-[40px]'>{t('section.allMovies')}</h2>
 
-          {/* CONDITIONAL RENDERING - Shows different things based on state */}
-          {/* JavaScript inside JSX must be in curly braces {} */}
-          {/* Ternary operator: condition ? ifTrue : ifFalse */}
+              {/* CONDITIONAL RENDERING - Shows different things based on state */}
+              {/* JavaScript inside JSX must be in curly braces {} */}
+              {/* Ternary operator: condition ? ifTrue : ifFalse */}
           
-          {isLoading ? (
-            // If isLoading is true, show the spinner (loading animation)
-            <Spinner/>
-          ) : errorMessage ? (
-            // If there's an error message, show it in red text
-            <p className="text-red-50">{errorMessage}</p>
-          ) : (
-            // Otherwise, show the list of movies
-            <ul>
-              {/* .map(): loops through each movie in movieList array */}
-              {/* For each movie, create a MovieCard component */}
-              {movieList.map((movie) => (
-                // key: unique identifier (React needs this for performance)
-                // movie: pass entire movie object to the MovieCard component
-                <MovieCard key={movie.id} movie={movie}/>
-              ))}
-            </ul>
-          )}
-        </section>
+              {isLoading ? (
+                // If isLoading is true, show the spinner (loading animation)
+                <Spinner/>
+              ) : (
+                // Otherwise, show the list of movies
+                // VirtualGrid only creates the cards near the screen, so hundreds of results stay fast
+                <VirtualGrid
+                  items={movieList}
+                  cacheKey='all-movies'
+                  // key: unique identifier (React needs this for performance)
+                  getKey={(movie) => movie.id}
+                  // For each movie, create a MovieCard component
+                  // personalRating: the user's own rating, if they gave one
+                  // children: the "+ Rank" and watchlist buttons shown under the movie details
+                  renderItem={(movie) => (
+                    <MovieCard movie={movie} personalRating={library.getEntry(movie.id)?.rating}>
+                      {renderCardActions(movie)}
+                    </MovieCard>
+                  )}
+                />
+              )}
+
+              {/* If a page failed, explain why and offer to try again */}
+              {/* (offline, the banner at the top already says why - and we retry once the connection is back) */}
+              {/* Otherwise: sentinel + button at the end of the grid - loads the next page */}
+              {error ? (
+                isOnline && <ErrorMessage error={error} onRetry={retry} />
+              ) : !isLoading && (
+                <LoadMore
+                  onLoadMore={loadMore}
+                  hasMore={hasMore}
+                  isLoading={isLoadingMore}
+                />
+              )}
+            </section>
+          </>
+        )}
       </div>
     </main>
   )
@@ -0,0 +1,102 @@
+// ============================================
+// API ERRORS - One error class per kind of failure
+// ============================================
+// Using separate classes means the UI can show the right message with a
+// simple "instanceof" check, and the retry logic knows which failures are
+// worth trying again (see retry.js).
+
+// Base class for every error the movie API can throw
+// retryable: true if trying again later might work
+export class ApiError extends Error {
+  constructor(message, { status = null, retryable = false, cause } = {}) {
+    super(message, { cause })
+    this.name = 'ApiError'
+    this.status = status
+    this.retryable = retryable
+  }
+}
+
+// 401: the API key is missing, wrong or revoked - retrying won't help
+export class InvalidApiKeyError extends ApiError {
+  constructor(message = 'Invalid API key') {
+    super(message, { status: 401 })
+    this.name = 'InvalidApiKeyError'
+  }
+}
+
+// 404: the movie (or page) doesn't exist
+export class NotFoundError extends ApiError {
+  constructor(message = 'Not found') {
+    super(message, { status: 404 })
+    this.name = 'NotFoundError'
+  }
+}
+
+// 429: too many requests - retryAfter is how many seconds the server asked us to wait
+export class RateLimitError extends ApiError {
+  constructor(retryAfter = null) {
+    super('Too many requests', { status: 429, retryable: true })
+    this.name = 'RateLimitError'
+    this.retryAfter = retryAfter
+  }
+}
+
+// 5xx and other unexpected statuses - usually a temporary problem on the server
+export class ServerError extends ApiError {
+  constructor(status) {
+    super(`Server error (${status})`, { status, retryable: status >= 500 })
+    this.name = 'ServerError'
+  }
+}
+
+// The request never got a response: no internet, DNS failure, CORS...
+// offline: true when the browser itself says there's no connection
+export class NetworkError extends ApiError {
+  constructor(cause) {
+    super('Network request failed', { retryable: true, cause })
+    this.name = 'NetworkError'
+    this.offline = typeof navigator !== 'undefined' && navigator.onLine === false
+  }
+}
+
+// The server answered, but the body wasn't the JSON we expected
+export class MalformedResponseError extends ApiError {
+  constructor(cause) {
+    super('The server sent a response we could not read', { cause })
+    this.name = 'MalformedResponseError'
+  }
+}
+
+// Read the Retry-After header: either a number of seconds or an HTTP date
+const parseRetryAfter = (value) => {
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds)) return Math.max(0, seconds)
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, (date - Date.now()) / 1000)
+}
+
+// Turn a fetch Response into its JSON body, or throw the matching error class
+export const readJsonResponse = async (response) => {
+  if (response.status === 401) throw new InvalidApiKeyError()
+  if (response.status === 404) throw new NotFoundError()
+  if (response.status === 429) throw new RateLimitError(parseRetryAfter(response.headers.get('Retry-After')))
+  if (!response.ok) throw new ServerError(response.status)
+
+  try {
+    return await response.json()
+  } catch (error) {
+    throw new MalformedResponseError(error)
+  }
+}
+
+// fetch() that throws NetworkError instead of a bare TypeError when there's no response
+// AbortErrors are passed through untouched, since cancelling is not a failure
+export const fetchOrThrow = async (url, options) => {
+  try {
+    return await fetch(url, options)
+  } catch (error) {
+    if (error.name === 'AbortError') throw error
+    throw new NetworkError(error)
+  }
+}
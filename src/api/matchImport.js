@@ -0,0 +1,62 @@
+// ============================================
+// IMPORT MATCHING - Find the TMDB movie for every imported row
+// ============================================
+
+import { requestMovieData } from './movieApi'
+import { pickMatch } from '../utils/transfer'
+
+// How many TMDB requests run at the same time (TMDB allows about 40 per second)
+const CONCURRENCY = 4
+
+// Find the TMDB movie for one row
+// Returns the row with a status added:
+// - 'matched': row.movie is the movie
+// - 'ambiguous': row.candidates holds up to 5 movies for the user to choose from
+// - 'failed': row.reason says why (see the import errors in utils/transfer.js)
+const matchRow = async (row, signal) => {
+  if (row.movie) return { ...row, status: 'matched' }
+
+  try {
+    // We know the exact id (our own CSV) - just look the movie up
+    if (row.tmdbId) {
+      const movie = await requestMovieData('details', { id: row.tmdbId }, { signal })
+      return { ...row, movie, status: 'matched' }
+    }
+
+    // Search by title and year; if the year was wrong, try again with the title alone
+    let { results = [] } = await requestMovieData('search', { query: row.title, year: row.year || undefined }, { signal })
+    if (results.length === 0 && row.year) {
+      ({ results = [] } = await requestMovieData('search', { query: row.title }, { signal }))
+    }
+
+    const match = pickMatch(row, results)
+    if (match.movie) return { ...row, movie: match.movie, status: 'matched' }
+    if (match.candidates.length) return { ...row, candidates: match.candidates, status: 'ambiguous' }
+    return { ...row, status: 'failed', reason: 'notFound' }
+  } catch (error) {
+    if (signal?.aborted) throw error
+    return { ...row, status: 'failed', reason: 'lookupFailed', params: { error: error.message } }
+  }
+}
+
+// Match every row, a few at a time
+// onProgress(done, total) is called after each row so the UI can show a progress bar
+// Aborting the signal stops the whole import
+export const matchImportRows = async (rows, { onProgress, signal } = {}) => {
+  const matched = new Array(rows.length)
+  let next = 0
+  let done = 0
+
+  // Each worker keeps taking the next unmatched row until none are left
+  const worker = async () => {
+    while (next < rows.length) {
+      const index = next++
+      matched[index] = await matchRow(rows[index], signal)
+      done++
+      onProgress?.(done, rows.length)
+    }
+  }
+
+  await Promise.all(Array.from({ length: Math.min(CONCURRENCY, rows.length) }, worker))
+  return matched
+}
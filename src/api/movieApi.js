@@ -0,0 +1,151 @@
+// ============================================
+// MOVIE API - The one place the app asks for movie data
+// ============================================
+// A "provider" is an object with these methods, each returning a Promise of
+// data in TMDB's response shapes:
+//   search({ query, page, year })   discover({ filters, people, page })
+//   details({ id })                 trending({ timeWindow })
+//   genres()                        languages()
+//   people({ query })               watchProviders({ id })
+//   watchServices({ region })       regions()
+// Every method also takes { signal, locale } as a second argument: signal for cancelling,
+// locale (e.g. 'fr-FR') for titles and overviews in the user's language.
+//
+// Which provider is used comes from the VITE_MOVIE_PROVIDER env variable:
+// - 'tmdb': the real TMDB API, through our proxy (needs TMDB_API_KEY on the server)
+// - 'mock': bundled fixture data, works fully offline
+// If it isn't set we use TMDB when the dev server has an API key, and the mock otherwise.
+// (VITE_TMDB_PROXY is set by vite.config.js - the key itself never reaches the browser)
+
+import tmdbProvider from './providers/tmdbProvider'
+import mockProvider from './providers/mockProvider'
+import { readCache, writeCache } from './responseCache'
+import { withRetry } from './retry'
+import { createRequestQueue } from './requestQueue'
+import { getLocale } from '../utils/i18n'
+import { DEFAULT_FILTERS } from '../utils/discover'
+import { findGenreId, hasQueryFilters, matchesQuery, parseQuery, pickPersonId } from '../utils/queryParser'
+
+const PROVIDERS = { tmdb: tmdbProvider, mock: mockProvider }
+
+const chooseProvider = () => {
+  const name = import.meta.env.VITE_MOVIE_PROVIDER || (import.meta.env.VITE_TMDB_PROXY ? 'tmdb' : 'mock')
+  if (!PROVIDERS[name]) {
+    console.log(`Unknown VITE_MOVIE_PROVIDER "${name}", using the mock provider`)
+    return mockProvider
+  }
+  return PROVIDERS[name]
+}
+
+export const provider = chooseProvider()
+
+// Cache keys include the provider's name, so mock data never shows up as TMDB data,
+// and the locale, so switching language doesn't show titles in the old one
+// JSON.stringify of a sorted copy makes { a, b } and { b, a } the same key
+const cacheKey = (method, params) => JSON.stringify([
+  provider.name,
+  getLocale(),
+  method,
+  Object.fromEntries(Object.entries(params).sort(([a], [b]) => a.localeCompare(b)))
+])
+
+// Methods that are called once per movie card get a queue, so a full grid can't send
+// dozens at once and use up the proxy's 40 requests per 10 seconds in one burst
+const QUEUES = { watchProviders: createRequestQueue(4) }
+
+// Call one provider method and remember the response in the cache
+// Rate limits, server hiccups and dropped connections are retried a few times first (see retry.js)
+// The response is in the app's current language (see utils/i18n.js)
+// Example: requestMovieData('details', { id: 550 }, { signal })
+export const requestMovieData = async (method, params = {}, { signal } = {}) => {
+  // Read once: the cache key must match the language the request was made in
+  const key = cacheKey(method, params)
+  const locale = getLocale()
+  const request = () => withRetry(() => provider[method](params, { signal, locale }), { signal })
+  // A queued request keeps its slot while it retries, so a rate limit slows the whole queue down
+  const data = await (QUEUES[method] ? QUEUES[method].run(request, signal) : request())
+  writeCache(key, data)
+  return data
+}
+
+// Look up a cached response for the same method and params as requestMovieData
+// Returns null, or { data, isFresh } - see responseCache.js
+export const getCachedMovieData = (method, params = {}) => readCache(cacheKey(method, params))
+
+// ============================================
+// MOVIE PAGES - Search and discover, including the advanced search syntax
+// ============================================
+
+// What an advanced query returns when a person or genre name matches nothing
+const EMPTY_PAGE = { page: 1, results: [], total_pages: 1, total_results: 0 }
+
+// The lookups an advanced query needs before it can ask for movies (see utils/queryParser.js):
+// one people() search per name, plus the genre list to turn genre names into ids
+const queryLookups = (parsed) => [
+  ...parsed.people.map((person) => ['people', { query: person.name }]),
+  ...(parsed.genres.length ? [['genres', {}]] : [])
+]
+
+// Which request gives us a page of movies, and which of its results to keep
+// - query: what the user searched for ('' = discover with the filters)
+// - page: which page of results (20 movies per page)
+// - filters: the filter panel's state - only used without a query
+// - lookups: the responses for queryLookups(parsed), in the same order
+// Returns { request: [method, params] or null for "nothing can match", keep(movie) }
+const moviePageRequest = ({ query = '', page = 1, filters }, parsed, lookups) => {
+  const keepAll = () => true
+  if (!query.trim()) return { request: ['discover', { filters, page }], keep: keepAll }
+  if (!hasQueryFilters(parsed)) return { request: ['search', { query, page }], keep: keepAll }
+
+  const personIds = parsed.people.map((person, index) => pickPersonId(lookups[index]?.results, person.role))
+  const genreList = parsed.genres.length ? lookups[lookups.length - 1]?.genres : []
+  const genreIds = parsed.genres.map((name) => findGenreId(name, genreList))
+  if (personIds.includes(null) || genreIds.includes(null)) return { request: null, keep: keepAll }
+
+  const { year, words, phrases } = parsed
+
+  // Title text without people: /search/movie, then check the year range, genres and phrases ourselves
+  if (parsed.text && personIds.length === 0) {
+    const singleYear = year && year.from === year.to ? year.from : undefined
+    return {
+      request: ['search', { query: parsed.text, page, year: singleYear }],
+      keep: (movie) => matchesQuery(movie, { phrases, year, genreIds })
+    }
+  }
+
+  // People, genres or years: /discover/movie does the filtering, we only check the title text
+  return {
+    request: ['discover', {
+      filters: { ...DEFAULT_FILTERS, genres: genreIds, yearFrom: year?.from ?? '', yearTo: year?.to ?? '' },
+      people: personIds,
+      page
+    }],
+    keep: (movie) => matchesQuery(movie, { words, phrases })
+  }
+}
+
+const keepResults = (data, keep) => ({ ...data, results: (data.results || []).filter(keep) })
+
+// Fetch one page of movies
+// Returns { page, results, total_pages, total_results }
+export const fetchMoviePage = async ({ signal, ...options } = {}) => {
+  const parsed = parseQuery(options.query)
+  const lookups = await Promise.all(
+    queryLookups(parsed).map(([method, params]) => requestMovieData(method, params, { signal }))
+  )
+  const { request, keep } = moviePageRequest(options, parsed, lookups)
+  if (!request) return EMPTY_PAGE
+  return keepResults(await requestMovieData(...request, { signal }), keep)
+}
+
+// The cached version of the same page, if we have one (see getCachedMovieData)
+export const getCachedMoviePage = (options = {}) => {
+  const parsed = parseQuery(options.query)
+  const lookups = queryLookups(parsed).map(([method, params]) => getCachedMovieData(method, params))
+  if (lookups.includes(null)) return null
+
+  const { request, keep } = moviePageRequest(options, parsed, lookups.map((item) => item.data))
+  if (!request) return { data: EMPTY_PAGE, isFresh: true }
+  const cached = getCachedMovieData(...request)
+  return cached && { ...cached, data: keepResults(cached.data, keep) }
+}
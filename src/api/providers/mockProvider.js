@@ -0,0 +1,190 @@
+// ============================================
+// MOCK PROVIDER - Offline movie data from bundled JSON fixtures
+// ============================================
+// Works with no API key and no network, for development, demos and tests.
+// It answers the same methods as the TMDB provider, in the same shapes,
+// by searching, filtering and sorting the movies in ../fixtures/movies.json.
+
+import movies from '../fixtures/movies.json'
+import genreList from '../fixtures/genres.json'
+import languages from '../fixtures/languages.json'
+import watch from '../fixtures/watch.json'
+import { NotFoundError } from '../errors'
+
+// Same page size as TMDB
+const PAGE_SIZE = 20
+
+// A short pause so loading spinners still show up like they would online
+const LATENCY_MS = 150
+
+// Wait LATENCY_MS, then return a copy of the result
+// Aborting the signal rejects with an AbortError, just like fetch does
+const respond = (result, signal) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('The operation was aborted.', 'AbortError')
+  if (signal?.aborted) {
+    reject(abortError())
+    return
+  }
+  const handleAbort = () => {
+    clearTimeout(timer)
+    reject(abortError())
+  }
+  const timer = setTimeout(() => {
+    // Settled - a signal that is reused for later requests shouldn't keep this listener
+    signal?.removeEventListener('abort', handleAbort)
+    resolve(structuredClone(result))
+  }, LATENCY_MS)
+  signal?.addEventListener('abort', handleAbort, { once: true })
+})
+
+// The movie as it appears in search / discover lists (no cast, runtime etc.)
+const toListItem = (movie) => {
+  const item = { ...movie }
+  delete item.cast
+  delete item.runtime
+  delete item.revenue
+  return item
+}
+
+// Cut a list into TMDB's { page, results, total_pages, total_results } shape
+const paginate = (list, page = 1) => ({
+  page,
+  results: list.slice((page - 1) * PAGE_SIZE, page * PAGE_SIZE).map(toListItem),
+  total_pages: Math.max(1, Math.ceil(list.length / PAGE_SIZE)),
+  total_results: list.length
+})
+
+// The same sort options as TMDB's discover (see utils/discover.js)
+const SORTERS = {
+  'popularity.desc': (a, b) => b.popularity - a.popularity,
+  'vote_average.desc': (a, b) => b.vote_average - a.vote_average,
+  'primary_release_date.desc': (a, b) => b.release_date.localeCompare(a.release_date),
+  'revenue.desc': (a, b) => b.revenue - a.revenue
+}
+
+const byPopularity = (list) => [...list].sort(SORTERS['popularity.desc'])
+
+// The fixtures only have cast names, so every actor gets a made-up id in order of appearance
+const people = [...new Set(movies.flatMap((movie) => movie.cast.map((person) => person.name)))]
+  .map((name, index) => ({ id: index + 1, name, known_for_department: 'Acting' }))
+const personNames = new Map(people.map((person) => [person.id, person.name]))
+
+// Made-up but stable availability: every movie can be rented and bought, most are on one
+// or two streaming services (picked from the movie id), and every 7th isn't streaming anywhere
+const streamingServices = (movie) => {
+  if (movie.id % 7 === 0) return []
+  const { streaming } = watch
+  const first = streaming[movie.id % streaming.length]
+  const second = streaming[(movie.id + 2) % streaming.length]
+  return movie.id % 3 === 0 ? [first, second] : [first]
+}
+
+const mockProvider = {
+  name: 'mock',
+
+  search: ({ query = '', page = 1, year }, { signal } = {}) => {
+    const needle = query.trim().toLowerCase()
+    const found = movies.filter((movie) =>
+      (movie.title.toLowerCase().includes(needle) || movie.original_title.toLowerCase().includes(needle))
+      && (!year || movie.release_date.startsWith(String(year)))
+    )
+    return respond(paginate(byPopularity(found), page), signal)
+  },
+
+  discover: ({ filters = {}, people: personIds = [], page = 1 }, { signal } = {}) => {
+    const {
+      genres = [],
+      yearFrom,
+      yearTo,
+      minRating = 0,
+      minVotes = 0,
+      language,
+      watchProviders = [],
+      sortBy = 'popularity.desc'
+    } = filters
+    const year = (movie) => Number(movie.release_date.slice(0, 4))
+
+    const found = movies.filter((movie) =>
+      genres.every((id) => movie.genre_ids.includes(id))
+      && (!yearFrom || year(movie) >= Number(yearFrom))
+      && (!yearTo || year(movie) <= Number(yearTo))
+      && movie.vote_average >= minRating
+      && movie.vote_count >= minVotes
+      && (!language || movie.original_language === language)
+      && personIds.every((id) => movie.cast.some((person) => person.name === personNames.get(id)))
+      && (!watchProviders.length
+        || streamingServices(movie).some((service) => watchProviders.includes(service.provider_id)))
+    )
+    const sorted = [...found].sort(SORTERS[sortBy] || SORTERS['popularity.desc'])
+    return respond(paginate(sorted, page), signal)
+  },
+
+  details: ({ id }, { signal } = {}) => {
+    const movie = movies.find((item) => item.id === Number(id))
+    if (!movie) {
+      return Promise.reject(new NotFoundError(`Movie ${id} is not in the mock data`))
+    }
+
+    // "Similar" = other movies sharing the first genre
+    const similar = byPopularity(
+      movies.filter((item) => item.id !== movie.id && item.genre_ids.includes(movie.genre_ids[0]))
+    )
+
+    const { cast, ...rest } = movie
+    return respond({
+      ...rest,
+      tagline: '',
+      genres: genreList.genres.filter((genre) => movie.genre_ids.includes(genre.id)),
+      credits: {
+        cast: cast.map((person, index) => ({
+          ...person,
+          credit_id: `${movie.id}-${index}`,
+          profile_path: null
+        }))
+      },
+      videos: { results: [] },
+      similar: paginate(similar)
+    }, signal)
+  },
+
+  people: ({ query = '' }, { signal } = {}) => {
+    const needle = query.trim().toLowerCase()
+    return respond({ results: people.filter((person) => person.name.toLowerCase().includes(needle)) }, signal)
+  },
+
+  // "day" = most popular, "week" = most voted - just so the toggle visibly changes something
+  trending: ({ timeWindow = 'day' }, { signal } = {}) => {
+    const sorted = timeWindow === 'week'
+      ? [...movies].sort((a, b) => b.vote_count - a.vote_count)
+      : byPopularity(movies)
+    return respond(paginate(sorted), signal)
+  },
+
+  genres: (params, { signal } = {}) => respond(genreList, signal),
+
+  languages: (params, { signal } = {}) => respond(languages, signal),
+
+  // The same offers in every country, with a JustWatch-style link back to the movie
+  watchProviders: ({ id }, { signal } = {}) => {
+    const movie = movies.find((item) => item.id === Number(id))
+    if (!movie) {
+      return Promise.reject(new NotFoundError(`Movie ${id} is not in the mock data`))
+    }
+    const offers = {
+      link: `https://www.themoviedb.org/movie/${movie.id}/watch`,
+      flatrate: streamingServices(movie),
+      rent: watch.stores,
+      buy: watch.stores
+    }
+    return respond({
+      id: movie.id,
+      results: Object.fromEntries(watch.regions.map((region) => [region.iso_3166_1, offers]))
+    }, signal)
+  },
+
+  watchServices: (params, { signal } = {}) => respond({ results: watch.streaming }, signal),
+
+  regions: (params, { signal } = {}) => respond({ results: watch.regions }, signal)
+}
+
+export default mockProvider
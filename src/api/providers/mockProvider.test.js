@@ -0,0 +1,43 @@
+// ============================================
+// MOCK PROVIDER TESTS - npm test
+// ============================================
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import mockProvider from './mockProvider'
+
+beforeEach(() => {
+  vi.useFakeTimers()
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+describe('mockProvider aborting', () => {
+  it('removes its abort listener once the response arrives', async () => {
+    const controller = new AbortController()
+    const add = vi.spyOn(controller.signal, 'addEventListener')
+    const remove = vi.spyOn(controller.signal, 'removeEventListener')
+
+    const response = mockProvider.genres({}, { signal: controller.signal })
+    await vi.runAllTimersAsync()
+
+    await expect(response).resolves.toHaveProperty('genres')
+    expect(add).toHaveBeenCalledWith('abort', expect.any(Function), { once: true })
+    expect(remove).toHaveBeenCalledWith('abort', add.mock.calls[0][1])
+  })
+
+  it('rejects with an AbortError when the signal aborts first', async () => {
+    const controller = new AbortController()
+    const response = mockProvider.genres({}, { signal: controller.signal })
+
+    controller.abort()
+
+    await expect(response).rejects.toMatchObject({ name: 'AbortError' })
+  })
+
+  it('rejects straight away for a signal that was already aborted', async () => {
+    await expect(mockProvider.genres({}, { signal: AbortSignal.abort() })).rejects.toMatchObject({ name: 'AbortError' })
+  })
+})
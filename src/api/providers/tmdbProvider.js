@@ -0,0 +1,95 @@
+// ============================================
+// TMDB PROVIDER - Movie data from The Movie Database's real API
+// ============================================
+// Every provider has the same methods (see movieApi.js) and returns data
+// in TMDB's own response shapes, so the rest of the app never needs to know
+// which provider it is talking to.
+
+import { buildDiscoverParams } from '../../utils/discover'
+import { fetchOrThrow, readJsonResponse } from '../errors'
+import { localeRegion } from '../../utils/i18n'
+
+// The base URL for our requests
+// This is our own server, not TMDB: the proxy in server/tmdbProxy.js adds the
+// secret API key and forwards the request to https://api.themoviedb.org/3.
+// Keeping the key on the server means it never ends up in the browser's JavaScript.
+// It's relative, so it works on whatever host and port the app is served from.
+const API_BASE_URL = '/api/tmdb'
+
+// Options/settings that we send with every API request
+const API_OPTIONS = {
+  method: 'GET',  // GET means we're requesting data (not changing anything)
+  headers: {      // Headers are like metadata - extra info about our request
+    accept: 'application/json'  // We want the response in JSON format (structured data)
+  }
+}
+
+// Turn a path and its query parameters into a full TMDB URL
+// Empty values are left out, so optional filters can be passed as undefined
+// e.g. buildUrl('/search/movie', { query: 'alien' }) -> '/api/tmdb/search/movie?query=alien'
+const buildUrl = (path, params = {}) => {
+  const search = new URLSearchParams(
+    Object.entries(params).filter(([, value]) => value !== undefined && value !== null && value !== '')
+  ).toString()
+  return `${API_BASE_URL}${path}${search ? `?${search}` : ''}`
+}
+
+// GET any TMDB path
+// - signal: an AbortSignal - aborting it cancels the request mid-flight
+// - locale: e.g. 'fr-FR' - TMDB sends titles, overviews and genre names in that language
+//   (and uses the country for release dates), falling back to English where there's no translation
+// Failures are thrown as the error classes in errors.js (invalid key, not found, rate limit...)
+const tmdbGet = async (path, params = {}, { signal, locale } = {}) => {
+  const localized = locale ? { language: locale, region: localeRegion(locale), ...params } : params
+  const response = await fetchOrThrow(buildUrl(path, localized), { ...API_OPTIONS, signal })
+  return readJsonResponse(response)
+}
+
+const tmdbProvider = {
+  name: 'tmdb',
+
+  // Search by title - year is optional and narrows the results
+  search: ({ query, page = 1, year }, options) =>
+    tmdbGet('/search/movie', { query, page, year }, options),
+
+  // Browse with the filter panel's settings (see utils/discover.js)
+  // people: person ids from people() - a comma means every one of them must be in the movie
+  discover: ({ filters, people = [], page = 1 }, options) =>
+    tmdbGet('/discover/movie', {
+      ...buildDiscoverParams(filters),
+      with_people: people.length ? people.join(',') : undefined,
+      page
+    }, options),
+
+  // Find actors, directors etc. by name: { results: [{ id, name, known_for_department }] }
+  people: ({ query }, options) =>
+    tmdbGet('/search/person', { query }, options),
+
+  // Everything the detail page needs in one request:
+  // append_to_response adds the cast (credits), trailers (videos) and similar titles
+  details: ({ id }, options) =>
+    tmdbGet(`/movie/${id}`, { append_to_response: 'credits,videos,similar' }, options),
+
+  // timeWindow: 'day' (last 24 hours) or 'week' (last 7 days)
+  trending: ({ timeWindow = 'day' }, options) =>
+    tmdbGet(`/trending/movie/${timeWindow}`, {}, options),
+
+  // Every movie genre TMDB knows about: { genres: [{ id, name }] }
+  genres: (params, options) => tmdbGet('/genre/movie/list', {}, options),
+
+  // Every language code TMDB uses: [{ iso_639_1, english_name, name }]
+  languages: (params, options) => tmdbGet('/configuration/languages', {}, options),
+
+  // Where to stream, rent or buy one movie, for every country (see utils/watch.js)
+  watchProviders: ({ id }, options) =>
+    tmdbGet(`/movie/${id}/watch/providers`, {}, options),
+
+  // The streaming services available in a country: { results: [{ provider_id, provider_name, logo_path, display_priorities }] }
+  watchServices: ({ region }, options) =>
+    tmdbGet('/watch/providers/movie', { watch_region: region }, options),
+
+  // The countries TMDB has availability for: { results: [{ iso_3166_1, english_name, native_name }] }
+  regions: (params, options) => tmdbGet('/watch/providers/regions', {}, options)
+}
+
+export default tmdbProvider
@@ -0,0 +1,49 @@
+// ============================================
+// REQUEST QUEUE - Run at most a few requests of one kind at the same time
+// ============================================
+// Some requests are sent once per movie card (see components/WatchBadges.jsx). A grid
+// full of cards would fire them all at once and use up the proxy's rate limit
+// (server/rateLimiter.js), so the rest wait here until a running one finishes.
+
+// Wait for a free slot, then run task()
+// A request that is cancelled while it's still waiting is dropped without ever being sent
+// Example: const queue = createRequestQueue(4); queue.run(() => fetch(url), signal)
+export const createRequestQueue = (limit) => {
+  let running = 0
+  // Tasks waiting for a slot, oldest first: { start, cancel }
+  const waiting = []
+
+  const next = () => {
+    if (running >= limit || waiting.length === 0) return
+    waiting.shift().start()
+  }
+
+  const run = (task, signal) => new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(new DOMException('The operation was aborted.', 'AbortError'))
+      return
+    }
+
+    const entry = {
+      start: () => {
+        signal?.removeEventListener('abort', entry.cancel)
+        running++
+        // Promise.resolve().then: a task that throws straight away still frees its slot
+        Promise.resolve().then(task).then(resolve, reject).finally(() => {
+          running--
+          next()
+        })
+      },
+      cancel: () => {
+        waiting.splice(waiting.indexOf(entry), 1)
+        reject(new DOMException('The operation was aborted.', 'AbortError'))
+      }
+    }
+
+    signal?.addEventListener('abort', entry.cancel, { once: true })
+    waiting.push(entry)
+    next()
+  })
+
+  return { run }
+}
@@ -0,0 +1,60 @@
+// ============================================
+// REQUEST QUEUE TESTS - npm test
+// ============================================
+
+import { describe, expect, it } from 'vitest'
+import { createRequestQueue } from './requestQueue'
+
+// A task that only finishes when the test calls finish()
+const manualTask = () => {
+  const task = { started: false }
+  task.run = () => new Promise((resolve) => {
+    task.started = true
+    task.finish = resolve
+  })
+  return task
+}
+
+// Let the queue's promise callbacks run
+const flush = () => new Promise((resolve) => setTimeout(resolve, 0))
+
+describe('createRequestQueue', () => {
+  it('runs at most "limit" tasks at once, and starts the next when one finishes', async () => {
+    const queue = createRequestQueue(2)
+    const tasks = [manualTask(), manualTask(), manualTask()]
+    const results = tasks.map((task) => queue.run(task.run))
+    await flush()
+
+    expect(tasks.map((task) => task.started)).toEqual([true, true, false])
+
+    tasks[0].finish('first')
+    await flush()
+    expect(tasks[2].started).toBe(true)
+
+    tasks[1].finish('second')
+    tasks[2].finish('third')
+    await expect(Promise.all(results)).resolves.toEqual(['first', 'second', 'third'])
+  })
+
+  it('drops a waiting task whose signal aborts, without running it', async () => {
+    const queue = createRequestQueue(1)
+    const running = manualTask()
+    const waiting = manualTask()
+    const controller = new AbortController()
+
+    queue.run(running.run)
+    const result = queue.run(waiting.run, controller.signal)
+    controller.abort()
+
+    await expect(result).rejects.toMatchObject({ name: 'AbortError' })
+    running.finish()
+    await flush()
+    expect(waiting.started).toBe(false)
+  })
+
+  it('frees the slot when a task fails', async () => {
+    const queue = createRequestQueue(1)
+    await expect(queue.run(() => { throw new Error('Offline') })).rejects.toThrow('Offline')
+    await expect(queue.run(async () => 'ok')).resolves.toBe('ok')
+  })
+})
@@ -0,0 +1,84 @@
+// ============================================
+// RESPONSE CACHE - Remembers TMDB responses in memory and in localStorage
+// ============================================
+// Stale-while-revalidate: a cached response is shown right away, and if it is
+// older than FRESH_FOR_MS we also ask TMDB again in the background and swap
+// in the new data when it arrives.
+
+import { loadJSON, saveJSON } from '../utils/storage'
+
+// Under 5 minutes old: good enough, don't even ask TMDB again
+const FRESH_FOR_MS = 5 * 60 * 1000
+
+// Over 24 hours old: too old to show at all, throw it away
+const TTL_MS = 24 * 60 * 60 * 1000
+
+// How many responses we keep in memory (roughly 20 movies each)
+const MEMORY_LIMIT = 100
+
+// Roughly how many characters of JSON we allow in localStorage (~1 MB)
+// localStorage usually allows 5 MB for the whole site, and we need room for rankings too
+const STORAGE_LIMIT = 1000000
+
+const STORAGE_KEY = 'response-cache'
+
+// key -> { data, savedAt }
+// A Map remembers insertion order, so the first key is always the least recently used
+const memory = new Map()
+
+// Remember that this key was just used, so it is the last to be evicted
+const touch = (key, entry) => {
+  memory.delete(key)
+  memory.set(key, entry)
+  if (memory.size > MEMORY_LIMIT) {
+    memory.delete(memory.keys().next().value)
+  }
+}
+
+// Write every entry we still trust to localStorage, dropping the oldest until it fits
+const persist = (key, entry) => {
+  const stored = { ...loadJSON(STORAGE_KEY, {}), [key]: entry }
+  const now = Date.now()
+
+  // Newest first, skipping anything past its TTL
+  const entries = Object.entries(stored)
+    .filter(([, value]) => now - value.savedAt < TTL_MS)
+    .sort(([, a], [, b]) => b.savedAt - a.savedAt)
+
+  const kept = {}
+  let size = 0
+  for (const [entryKey, value] of entries) {
+    size += entryKey.length + JSON.stringify(value).length
+    if (size > STORAGE_LIMIT) break
+    kept[entryKey] = value
+  }
+  saveJSON(STORAGE_KEY, kept)
+}
+
+// Look up a cached response
+// Returns null when there is nothing usable, otherwise { data, isFresh }
+export const readCache = (key) => {
+  let entry = memory.get(key)
+
+  // Not in memory (e.g. after a page reload) - try localStorage
+  if (!entry) {
+    entry = loadJSON(STORAGE_KEY, {})[key]
+  }
+  if (!entry) return null
+
+  const age = Date.now() - entry.savedAt
+  if (age >= TTL_MS) {
+    memory.delete(key)
+    return null
+  }
+
+  touch(key, entry)
+  return { data: entry.data, isFresh: age < FRESH_FOR_MS }
+}
+
+// Save a response under its key, in memory and in localStorage
+export const writeCache = (key, data) => {
+  const entry = { data, savedAt: Date.now() }
+  touch(key, entry)
+  persist(key, entry)
+}
@@ -0,0 +1,56 @@
+// ============================================
+// RETRY - Try a request again with exponential backoff
+// ============================================
+
+// How many extra attempts after the first one fails
+const MAX_RETRIES = 3
+
+// First wait in milliseconds - doubled after every failure (500, 1000, 2000...)
+const BASE_DELAY_MS = 500
+
+// Never wait longer than this, even if the server asks for more
+const MAX_DELAY_MS = 30000
+
+// Wait for "ms" milliseconds, but stop early (with an AbortError) if the signal aborts
+const sleep = (ms, signal) => new Promise((resolve, reject) => {
+  const abortError = () => new DOMException('The operation was aborted.', 'AbortError')
+  if (signal?.aborted) {
+    reject(abortError())
+    return
+  }
+  const handleAbort = () => {
+    clearTimeout(timer)
+    reject(abortError())
+  }
+  const timer = setTimeout(() => {
+    // Done waiting - the signal lives as long as the request, so don't leave the listener on it
+    signal?.removeEventListener('abort', handleAbort)
+    resolve()
+  }, ms)
+  signal?.addEventListener('abort', handleAbort, { once: true })
+})
+
+// How long to wait before attempt number "attempt" (0 = the first retry)
+// A rate-limited response tells us how long to wait with Retry-After; otherwise we
+// double the delay each time and add a little randomness ("jitter") so many tabs
+// retrying together don't all hit the server at the same moment
+export const retryDelay = (error, attempt) => {
+  if (error.retryAfter !== null && error.retryAfter !== undefined) {
+    return Math.min(error.retryAfter * 1000, MAX_DELAY_MS)
+  }
+  const backoff = BASE_DELAY_MS * 2 ** attempt
+  return Math.min(backoff + Math.random() * BASE_DELAY_MS, MAX_DELAY_MS)
+}
+
+// Run request() and try again when it fails with a retryable error (see errors.js)
+// Errors that won't get better by retrying (bad API key, 404...) are thrown straight away
+export const withRetry = async (request, { signal, retries = MAX_RETRIES } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await request()
+    } catch (error) {
+      if (signal?.aborted || !error.retryable || attempt >= retries) throw error
+      await sleep(retryDelay(error, attempt), signal)
+    }
+  }
+}
@@ -0,0 +1,62 @@
+// ============================================
+// RETRY TESTS - npm test
+// ============================================
+
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import { withRetry } from './retry'
+import { ApiError } from './errors'
+
+beforeEach(() => {
+  vi.useFakeTimers()
+})
+
+afterEach(() => {
+  vi.useRealTimers()
+  vi.restoreAllMocks()
+})
+
+// Fails with a retryable error "failures" times, then answers 'ok'
+const flakyRequest = (failures) => {
+  let calls = 0
+  return vi.fn(async () => {
+    calls++
+    if (calls <= failures) throw new ApiError('Server error', { status: 500, retryable: true })
+    return 'ok'
+  })
+}
+
+describe('withRetry', () => {
+  it('removes the abort listener after each wait', async () => {
+    const controller = new AbortController()
+    const add = vi.spyOn(controller.signal, 'addEventListener')
+    const remove = vi.spyOn(controller.signal, 'removeEventListener')
+
+    const result = withRetry(flakyRequest(2), { signal: controller.signal })
+    await vi.runAllTimersAsync()
+
+    await expect(result).resolves.toBe('ok')
+    expect(add).toHaveBeenCalledTimes(2)
+    add.mock.calls.forEach(([type, handler]) => {
+      expect(remove).toHaveBeenCalledWith(type, handler)
+    })
+  })
+
+  it('stops waiting and rejects with an AbortError when the signal aborts', async () => {
+    const controller = new AbortController()
+    const request = flakyRequest(1)
+
+    const result = withRetry(request, { signal: controller.signal })
+    const rejected = expect(result).rejects.toMatchObject({ name: 'AbortError' })
+    await vi.advanceTimersByTimeAsync(0)
+    controller.abort()
+
+    await rejected
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+
+  it('does not retry errors that are not retryable', async () => {
+    const request = vi.fn(async () => { throw new ApiError('Not found', { status: 404 }) })
+    await expect(withRetry(request)).rejects.toThrow('Not found')
+    expect(request).toHaveBeenCalledTimes(1)
+  })
+})
@@ -0,0 +1,39 @@
+// ============================================
+// ADD TO LIST COMPONENT - "+ List" menu under a movie card
+// ============================================
+
+import React from 'react'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - movie: the movie to add
+// - lists: the user's lists (from useLists)
+// - onAdd(listId, movie): called when the user picks a list
+const AddToList = ({ movie, lists, onAdd }) => {
+  const { t } = useLocale()
+
+  // Nothing to pick from until the user has made a list on the Lists page
+  if (lists.length === 0) return null
+
+  return (
+    // The select always shows "+ List" - picking an option adds the movie, then it resets
+    <select
+      className='add-to-list'
+      value=''
+      aria-label={t('lists.addTo', { title: movie.title })}
+      onChange={(event) => onAdd(event.target.value, movie)}
+    >
+      <option value='' disabled>{t('lists.addButton')}</option>
+      {lists.map((list) => {
+        const isInList = list.movies.some((item) => item.id === movie.id)
+        return (
+          <option key={list.id} value={list.id} disabled={isInList}>
+            {isInList ? `✓ ${list.name}` : list.name}
+          </option>
+        )
+      })}
+    </select>
+  )
+}
+
+export default AddToList
@@ -0,0 +1,26 @@
+// ============================================
+// BACK LINK COMPONENT - "← Back" that works like the browser's back button
+// ============================================
+
+import React from 'react'
+import { goBack } from '../utils/router'
+
+// Props:
+// - fallback: where to go when the previous page isn't one of ours (see goBack)
+// - everything else (className, children...) is passed to the <a>
+const BackLink = ({ fallback, children, ...props }) => {
+  const handleClick = (event) => {
+    // Let the browser handle ctrl/cmd-click, middle click etc. (open in new tab)
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+    event.preventDefault()
+    goBack(fallback)
+  }
+
+  return (
+    <a href={fallback} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default BackLink
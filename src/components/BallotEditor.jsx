@@ -0,0 +1,58 @@
+// ============================================
+// BALLOT EDITOR COMPONENT - One person ranks the group's shortlist
+// ============================================
+
+import React, { useState } from 'react'
+import RankedList from './RankedList'
+import { moveItem } from '../utils/reorder'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - movies: the shortlist, in the session's order
+// - submitLabel: text for the submit button, e.g. t('group.addBallot')
+// - onSubmit({ voter, order }): called with the voter's name and movie ids, best first
+const BallotEditor = ({ movies, submitLabel, onSubmit }) => {
+  const { t } = useLocale()
+
+  const [voter, setVoter] = useState('')
+
+  // The ranking being built - starts in the shortlist's order
+  // Removing a movie leaves it unranked (it then counts as tied for last place)
+  const [ranked, setRanked] = useState(movies)
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    onSubmit({ voter, order: ranked.map((movie) => movie.id) })
+    setVoter('')
+    setRanked(movies)
+  }
+
+  return (
+    <form className='ballot-editor' onSubmit={handleSubmit}>
+      <input
+        type='text'
+        placeholder={t('ballot.namePlaceholder')}
+        aria-label={t('ballot.name')}
+        value={voter}
+        onChange={(event) => setVoter(event.target.value)}
+        required
+      />
+
+      <p className='text-sm text-gray-100'>{t('ballot.help')}</p>
+      <RankedList
+        movies={ranked}
+        onMove={(from, to) => setRanked((current) => moveItem(current, from, to))}
+        onRemove={(movieId) => setRanked((current) => current.filter((movie) => movie.id !== movieId))}
+      />
+
+      <div className='buttons'>
+        <button type='submit' disabled={ranked.length === 0}>{submitLabel}</button>
+        {ranked.length !== movies.length && (
+          <button type='button' onClick={() => setRanked(movies)}>{t('ballot.reset')}</button>
+        )}
+      </div>
+    </form>
+  )
+}
+
+export default BallotEditor
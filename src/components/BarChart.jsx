@@ -0,0 +1,51 @@
+// ============================================
+// BAR CHART COMPONENT - Horizontal bars drawn with plain SVG
+// ============================================
+
+import React from 'react'
+
+// Sizes in SVG units - the chart scales to the width of its container
+const WIDTH = 400
+const ROW_HEIGHT = 28
+const LABEL_WIDTH = 130
+const VALUE_WIDTH = 60
+const BAR_HEIGHT = 16
+
+// Props:
+// - title: what screen readers announce for the whole chart
+// - items: [{ key, label, value, detail }] - detail is an optional extra line for the tooltip
+// - formatValue(value): the text at the end of each bar (defaults to the number itself)
+const BarChart = ({ title, items, formatValue = String }) => {
+  // The longest bar fills the space between the labels and the values
+  const max = Math.max(1, ...items.map((item) => item.value))
+  const barSpace = WIDTH - LABEL_WIDTH - VALUE_WIDTH
+
+  return (
+    <svg
+      className='chart bar-chart'
+      viewBox={`0 0 ${WIDTH} ${items.length * ROW_HEIGHT}`}
+      role='img'
+      aria-label={title}
+    >
+      {items.map((item, index) => {
+        const y = index * ROW_HEIGHT
+        const width = (item.value / max) * barSpace
+        return (
+          <g key={item.key}>
+            {/* <title>: the tooltip on hover */}
+            <title>{item.detail ? `${item.label}: ${item.detail}` : `${item.label}: ${formatValue(item.value)}`}</title>
+            <text className='label' x={LABEL_WIDTH - 8} y={y + ROW_HEIGHT / 2} textAnchor='end' dominantBaseline='middle'>
+              {item.label}
+            </text>
+            <rect className='bar' x={LABEL_WIDTH} y={y + (ROW_HEIGHT - BAR_HEIGHT) / 2} width={width} height={BAR_HEIGHT} rx={3} />
+            <text className='value' x={LABEL_WIDTH + width + 6} y={y + ROW_HEIGHT / 2} dominantBaseline='middle'>
+              {formatValue(item.value)}
+            </text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+export default BarChart
@@ -0,0 +1,48 @@
+// ============================================
+// COLUMN CHART COMPONENT - Vertical columns drawn with plain SVG
+// ============================================
+
+import React from 'react'
+
+// Sizes in SVG units - the chart scales to the width of its container
+const WIDTH = 400
+const HEIGHT = 180
+const AXIS_HEIGHT = 22
+const VALUE_HEIGHT = 16
+const GAP = 6
+
+// Props:
+// - title: what screen readers announce for the whole chart
+// - items: [{ key, label, value }], drawn left to right
+const ColumnChart = ({ title, items }) => {
+  // The tallest column reaches the top, leaving room for its number above it
+  const max = Math.max(1, ...items.map((item) => item.value))
+  const columnSpace = HEIGHT - AXIS_HEIGHT - VALUE_HEIGHT
+  const columnWidth = WIDTH / Math.max(1, items.length)
+
+  return (
+    <svg className='chart column-chart' viewBox={`0 0 ${WIDTH} ${HEIGHT}`} role='img' aria-label={title}>
+      {/* Baseline along the bottom */}
+      <line className='axis' x1={0} x2={WIDTH} y1={HEIGHT - AXIS_HEIGHT} y2={HEIGHT - AXIS_HEIGHT} />
+
+      {items.map((item, index) => {
+        const height = (item.value / max) * columnSpace
+        const x = index * columnWidth
+        const top = HEIGHT - AXIS_HEIGHT - height
+        return (
+          <g key={item.key}>
+            <title>{`${item.label}: ${item.value}`}</title>
+            <rect className='bar' x={x + GAP / 2} y={top} width={columnWidth - GAP} height={height} rx={3} />
+            {/* Empty columns don't get a "0" floating on the baseline */}
+            {item.value > 0 && (
+              <text className='value' x={x + columnWidth / 2} y={top - 4} textAnchor='middle'>{item.value}</text>
+            )}
+            <text className='label' x={x + columnWidth / 2} y={HEIGHT - 6} textAnchor='middle'>{item.label}</text>
+          </g>
+        )
+      })}
+    </svg>
+  )
+}
+
+export default ColumnChart
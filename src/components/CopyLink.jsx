@@ -0,0 +1,42 @@
+// ============================================
+// COPY LINK COMPONENT - A button that makes a share link and copies it
+// ============================================
+
+import React, { useState } from 'react'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - label: the button text, e.g. t('lists.share')
+// - makeUrl(): returns (a Promise of) the link to copy
+// - note: shown once the link is copied, e.g. t('lists.shareNote')
+const CopyLink = ({ label, makeUrl, note }) => {
+  const { t } = useLocale()
+
+  // The link once it has been made, and whether it made it to the clipboard
+  const [share, setShare] = useState({ url: '', copied: false })
+
+  const handleClick = async () => {
+    const url = await makeUrl()
+    try {
+      await navigator.clipboard.writeText(url)
+      setShare({ url, copied: true })
+    } catch {
+      // Clipboard blocked (e.g. no permission) - the link is still shown for copying by hand
+      setShare({ url, copied: false })
+    }
+  }
+
+  return (
+    <div className='copy-link'>
+      <button type='button' onClick={handleClick}>{label}</button>
+      {share.url && (
+        <>
+          <p role='status'>{share.copied ? t('copyLink.copied', { note }) : t('copyLink.copyByHand')}</p>
+          <input type='text' readOnly value={share.url} aria-label={label} onFocus={(event) => event.target.select()} />
+        </>
+      )}
+    </div>
+  )
+}
+
+export default CopyLink
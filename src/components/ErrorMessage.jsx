@@ -0,0 +1,50 @@
+// ============================================
+// ERROR MESSAGE COMPONENT - What went wrong, plus a Retry button
+// ============================================
+
+import React from 'react'
+import {
+  InvalidApiKeyError,
+  MalformedResponseError,
+  NetworkError,
+  NotFoundError,
+  RateLimitError,
+  ServerError
+} from '../api/errors'
+import useLocale from '../hooks/useLocale'
+
+// Which message to show for each kind of error (see api/errors.js)
+// Returns { key, hint, params }: the title is `${key}.title`, the hint `${key}.hint` unless
+// another one is given, and params are the values to fill in (see src/locales)
+const describeError = (error) => {
+  if (error instanceof InvalidApiKeyError) return { key: 'errors.apiKey' }
+  if (error instanceof NotFoundError) return { key: 'errors.notFound' }
+  if (error instanceof RateLimitError) {
+    return error.retryAfter
+      ? { key: 'errors.rateLimit', hint: 'errors.rateLimit.wait', params: { count: Math.ceil(error.retryAfter) } }
+      : { key: 'errors.rateLimit' }
+  }
+  if (error instanceof NetworkError) return { key: error.offline ? 'errors.offline' : 'errors.network' }
+  if (error instanceof MalformedResponseError) return { key: 'errors.malformed' }
+  if (error instanceof ServerError) return { key: 'errors.server', params: { status: String(error.status) } }
+  return { key: 'errors.unknown' }
+}
+
+// Props:
+// - error: the error thrown by the movie API
+// - onRetry: called when the Retry button is clicked
+const ErrorMessage = ({ error, onRetry }) => {
+  const { t } = useLocale()
+  const { key, hint = `${key}.hint`, params } = describeError(error)
+
+  return (
+    // role='alert': screen readers read the message out as soon as it appears
+    <div className='error-message' role='alert'>
+      <p className='title'>{t(`${key}.title`, params)}</p>
+      <p className='hint'>{t(hint, params)}</p>
+      {onRetry && <button type='button' onClick={onRetry}>{t('errors.retry')}</button>}
+    </div>
+  )
+}
+
+export default ErrorMessage
@@ -0,0 +1,199 @@
+// ============================================
+// FILTER PANEL COMPONENT - Genre, year, rating, language and sort for discover
+// ============================================
+
+import React, { useState } from 'react'
+import ProviderLogo from './ProviderLogo'
+import RegionSelect from './RegionSelect'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { DEFAULT_FILTERS, SORT_OPTIONS, hasActiveFilters } from '../utils/discover'
+import { languageName } from '../utils/i18n'
+import { sortServices } from '../utils/watch'
+
+// How many streaming services to show before "Show all" - most countries have over 50
+const SERVICES_SHOWN = 12
+
+// Props:
+// - filters: the current filter values (see DEFAULT_FILTERS in utils/discover.js)
+// - setFilters: function to replace them
+// - isSearching: true while the user has typed a search - searches use the filters typed into them instead
+// - watch: the user's region and streaming services (see hooks/useWatchSettings.js)
+const FilterPanel = ({ filters, setFilters, isSearching, watch }) => {
+  // The genre and language lists come from the movie provider (and are cached like everything else)
+  const { data: genreData } = useMovieData('genres')
+  const { data: languageData } = useMovieData('languages')
+  const { data: serviceData } = useMovieData('watchServices', { region: watch.region })
+  const { locale, t } = useLocale()
+
+  // showAllServices: false = only the most popular services (plus any the user already picked)
+  const [showAllServices, setShowAllServices] = useState(false)
+  const services = sortServices(serviceData?.results, watch.region)
+  const shownServices = showAllServices
+    ? services
+    : services.filter((service, index) => index < SERVICES_SHOWN || watch.serviceIds.includes(service.provider_id))
+
+  // Genre names come from TMDB already translated
+  const genres = genreData?.genres || []
+  // Language names in the user's language, sorted alphabetically for the dropdown
+  const languages = (languageData || [])
+    .map((language) => ({ code: language.iso_639_1, name: languageName(language.iso_639_1, locale) }))
+    .sort((a, b) => a.name.localeCompare(b.name, locale))
+
+  // Change one filter and keep the rest
+  const update = (key, value) => setFilters({ ...filters, [key]: value })
+
+  // Add the genre if it isn't selected yet, remove it if it is
+  const toggleGenre = (genreId) => update(
+    'genres',
+    filters.genres.includes(genreId)
+      ? filters.genres.filter((id) => id !== genreId)
+      : [...filters.genres, genreId]
+  )
+
+  return (
+    <form className='filter-panel' aria-label={t('filters.label')} onSubmit={(event) => event.preventDefault()}>
+      {isSearching && <p className='note'>{t('filters.searchNote')}</p>}
+
+      {/* fieldset disabled: greys out and disables every input inside at once */}
+      <fieldset disabled={isSearching}>
+
+        {/* ============================================ */}
+        {/* GENRES - Toggle buttons, any number can be on */}
+        {/* ============================================ */}
+        <div className='genres' role='group' aria-label={t('filters.genres')}>
+          {genres.map((genre) => (
+            <button
+              key={genre.id}
+              type='button'
+              aria-pressed={filters.genres.includes(genre.id)}
+              onClick={() => toggleGenre(genre.id)}
+            >
+              {genre.name}
+            </button>
+          ))}
+        </div>
+
+        <div className='fields'>
+          {/* ============================================ */}
+          {/* RELEASE YEAR RANGE */}
+          {/* ============================================ */}
+          <label>
+            {t('filters.yearFrom')}
+            <input
+              type='number'
+              min='1874'
+              max='2100'
+              placeholder={t('filters.any')}
+              value={filters.yearFrom}
+              onChange={(event) => update('yearFrom', event.target.value)}
+            />
+          </label>
+          <label>
+            {t('filters.yearTo')}
+            <input
+              type='number'
+              min='1874'
+              max='2100'
+              placeholder={t('filters.any')}
+              value={filters.yearTo}
+              onChange={(event) => update('yearTo', event.target.value)}
+            />
+          </label>
+
+          {/* ============================================ */}
+          {/* MINIMUM RATING AND VOTES */}
+          {/* ============================================ */}
+          <label>
+            {t('filters.minRating', { value: filters.minRating })}
+            <input
+              type='range'
+              min='0'
+              max='10'
+              step='0.5'
+              value={filters.minRating}
+              onChange={(event) => update('minRating', Number(event.target.value))}
+            />
+          </label>
+          <label>
+            {t('filters.minVotes')}
+            <input
+              type='number'
+              min='0'
+              step='50'
+              value={filters.minVotes}
+              onChange={(event) => update('minVotes', Number(event.target.value))}
+            />
+          </label>
+
+          {/* ============================================ */}
+          {/* ORIGINAL LANGUAGE AND SORT ORDER */}
+          {/* ============================================ */}
+          <label>
+            {t('filters.language')}
+            <select value={filters.language} onChange={(event) => update('language', event.target.value)}>
+              <option value=''>{t('filters.anyLanguage')}</option>
+              {languages.map((language) => (
+                <option key={language.code} value={language.code}>{language.name}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            {t('filters.sortBy')}
+            <select value={filters.sortBy} onChange={(event) => update('sortBy', event.target.value)}>
+              {SORT_OPTIONS.map((option) => (
+                <option key={option} value={option}>{t(`sort.${option}`)}</option>
+              ))}
+            </select>
+          </label>
+        </div>
+
+        {hasActiveFilters(filters) && (
+          <button type='button' className='reset' onClick={() => setFilters(DEFAULT_FILTERS)}>
+            {t('filters.reset')}
+          </button>
+        )}
+      </fieldset>
+
+      {/* ============================================ */}
+      {/* MY SERVICES - Not disabled while searching: cards and movie pages use them too */}
+      {/* ============================================ */}
+      <fieldset className='services'>
+        <legend>{t('services.legend')}</legend>
+        <RegionSelect region={watch.region} setRegion={watch.setRegion} />
+
+        <div role='group' aria-label={t('services.groupLabel')}>
+          {shownServices.map((service) => (
+            <button
+              key={service.provider_id}
+              type='button'
+              aria-pressed={watch.serviceIds.includes(service.provider_id)}
+              onClick={() => watch.toggleService(service)}
+            >
+              <ProviderLogo provider={service} size={32} />
+              <span>{service.provider_name}</span>
+            </button>
+          ))}
+          {services.length > shownServices.length && (
+            <button type='button' className='show-all' onClick={() => setShowAllServices(true)}>
+              {t('services.showAll', { count: services.length })}
+            </button>
+          )}
+        </div>
+
+        {/* Only checkable once there's a service to filter by */}
+        <label className='checkbox'>
+          <input
+            type='checkbox'
+            checked={filters.myServices}
+            disabled={isSearching || watch.serviceIds.length === 0}
+            onChange={(event) => update('myServices', event.target.checked)}
+          />
+          {t('services.onlyMine')}
+        </label>
+      </fieldset>
+    </form>
+  )
+}
+
+export default FilterPanel
@@ -0,0 +1,91 @@
+// ============================================
+// GROUP PAGE COMPONENT - Start a group ranking session, or open an old one (/group)
+// ============================================
+
+import React, { useState } from 'react'
+import Link from './Link'
+import { navigate } from '../utils/router'
+import { MIN_SESSION_MOVIES } from '../utils/group'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - rankedMovies: "My Rankings" - one possible shortlist
+// - lists: the user's named lists - any of them can be the shortlist too
+// - sessions / addSession / deleteSession: from useGroupSessions
+const GroupPage = ({ rankedMovies, lists, sessions, addSession, deleteSession }) => {
+  const { t } = useLocale()
+  const [name, setName] = useState('')
+
+  // Where the shortlist comes from: 'rankings' or a list id
+  const [source, setSource] = useState('rankings')
+
+  const sources = [
+    { id: 'rankings', name: t('section.myRankings'), movies: rankedMovies },
+    ...lists.map((list) => ({ id: list.id, name: list.name, movies: list.movies }))
+  ]
+  const shortlist = (sources.find((item) => item.id === source) || sources[0]).movies
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    // A session without a name gets the default one in the app's language
+    const session = addSession({ name: name.trim() || t('group.defaultName'), movies: shortlist })
+    navigate(`/group/${session.id}`)
+  }
+
+  return (
+    <section className='group-page'>
+      <h2 className='mt-[40px]'>{t('group.title')}</h2>
+      <p className='text-light-200'>{t('group.intro')}</p>
+
+      {/* ============================================ */}
+      {/* NEW SESSION FORM */}
+      {/* ============================================ */}
+      <form className='panel' onSubmit={handleSubmit}>
+        <h3>{t('group.new')}</h3>
+        <input
+          type='text'
+          placeholder={t('group.namePlaceholder')}
+          aria-label={t('group.name')}
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+        />
+        <label>
+          {t('group.shortlist')}
+          <select value={source} onChange={(event) => setSource(event.target.value)}>
+            {sources.map((item) => (
+              <option key={item.id} value={item.id}>{item.name} ({t('lists.movieCount', { count: item.movies.length })})</option>
+            ))}
+          </select>
+        </label>
+        <button type='submit' disabled={shortlist.length < MIN_SESSION_MOVIES}>{t('group.start')}</button>
+        {shortlist.length < MIN_SESSION_MOVIES && (
+          <p className='text-sm text-gray-100'>{t('group.tooFew', { count: MIN_SESSION_MOVIES })}</p>
+        )}
+      </form>
+
+      {/* ============================================ */}
+      {/* EARLIER SESSIONS */}
+      {/* ============================================ */}
+      {sessions.length > 0 && (
+        <ul className='list-cards'>
+          {sessions.map((session) => (
+            <li key={session.id} className='panel'>
+              <h3><Link to={`/group/${session.id}`}>{session.name}</Link></h3>
+              <p className='meta'>
+                {t('lists.movieCount', { count: session.movies.length })} · {t('group.ballotCount', { count: session.ballots.length })}
+              </p>
+              <button
+                type='button'
+                onClick={() => window.confirm(t('group.confirmDelete', { name: session.name })) && deleteSession(session.id)}
+              >
+                {t('lists.delete')}
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default GroupPage
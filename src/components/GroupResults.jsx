@@ -0,0 +1,85 @@
+// ============================================
+// GROUP RESULTS COMPONENT - The consensus ranking and who voted what
+// ============================================
+
+import React from 'react'
+import { ballotPositions, bordaCount, schulze } from '../utils/voting'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - session: the group session (see utils/group.js)
+const GroupResults = ({ session }) => {
+  const { t } = useLocale()
+  const { movies, ballots } = session
+  if (ballots.length === 0) {
+    return <p className='text-gray-100'>{t('results.empty')}</p>
+  }
+
+  const candidates = movies.map((movie) => movie.id)
+  const orders = ballots.map((ballot) => ballot.order)
+  const byId = new Map(movies.map((movie) => [movie.id, movie]))
+
+  // Schulze is the main result; Borda is shown next to it for comparison
+  const schulzeRows = schulze(candidates, orders)
+  const bordaRows = bordaCount(candidates, orders)
+  const bordaById = new Map(bordaRows.map((row) => [row.id, row]))
+  const positions = ballotPositions(candidates, orders)
+
+  // More than one movie can share first place
+  const winners = schulzeRows.filter((row) => row.place === 1).map((row) => byId.get(row.id).title)
+  const bordaWinners = bordaRows.filter((row) => row.place === 1).map((row) => byId.get(row.id).title)
+  const methodsAgree = winners.join() === bordaWinners.join()
+
+  return (
+    <div className='group-results'>
+      {/* ============================================ */}
+      {/* WINNER */}
+      {/* ============================================ */}
+      <div className='winner'>
+        <p className='label'>{t(winners.length > 1 ? 'results.tiedWinners' : 'results.winner')}</p>
+        <p className='title'>{winners.join(' & ')}</p>
+        <p className='note'>
+          {methodsAgree
+            ? t('results.methodsAgree')
+            : t('results.bordaDiffers', { titles: bordaWinners.join(' & ') })}
+        </p>
+      </div>
+
+      {/* ============================================ */}
+      {/* FULL ORDERING + PER-PERSON BREAKDOWN */}
+      {/* ============================================ */}
+      <div className='table-scroll'>
+        <table>
+          <caption className='sr-only'>{t('results.caption')}</caption>
+          <thead>
+            <tr>
+              <th scope='col'>{t('results.place')}</th>
+              <th scope='col'>{t('results.movie')}</th>
+              <th scope='col' title={t('results.beatsTitle')}>{t('results.beats')}</th>
+              <th scope='col' title={t('results.bordaTitle')}>{t('results.borda')}</th>
+              {ballots.map((ballot) => <th key={ballot.voter} scope='col'>{ballot.voter}</th>)}
+            </tr>
+          </thead>
+          <tbody>
+            {schulzeRows.map((row) => (
+              <tr key={row.id}>
+                <td>{row.place}</td>
+                <th scope='row'>{byId.get(row.id).title}</th>
+                <td>{row.score}</td>
+                <td>{bordaById.get(row.id).score} <span className='place'>(#{bordaById.get(row.id).place})</span></td>
+                {positions[row.id].map((position, index) => (
+                  <td key={ballots[index].voter}>{position ?? '–'}</td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+      <p className='text-xs text-gray-100'>
+        {t('results.beatsHelp')} {t('results.bordaHelp', { first: candidates.length - 1, second: candidates.length - 2 })}
+      </p>
+    </div>
+  )
+}
+
+export default GroupResults
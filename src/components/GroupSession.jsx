@@ -0,0 +1,154 @@
+// ============================================
+// GROUP SESSION COMPONENT - Collect ballots and show the consensus (/group/:id)
+// ============================================
+// Ballots arrive three ways:
+// - typed in here, one person after another on the same device
+// - a ballot link opened in this browser (/group/:id#<code>) - see VotePage
+// - a ballot link pasted into the import box
+
+import React, { useState } from 'react'
+import Link from './Link'
+import CopyLink from './CopyLink'
+import BallotEditor from './BallotEditor'
+import GroupResults from './GroupResults'
+import useShareCode from '../hooks/useShareCode'
+import { navigate } from '../utils/router'
+import { decodeShareCode, encodeShareCode, ShareLinkError } from '../utils/shareCode'
+import { fromBallotPayload, shareCodeFromLink, toInvitePayload } from '../utils/group'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - session: the session to show (null if the id in the URL doesn't exist)
+// - incomingCode: a ballot share code from the URL's # (or '')
+// - saveBallot / removeBallot: from useGroupSessions
+const GroupSession = ({ session, incomingCode, saveBallot, removeBallot }) => {
+  const { t } = useLocale()
+
+  // A ballot link opened in this browser - checked against this session before it can be added
+  const incoming = useShareCode(
+    session ? incomingCode : '',
+    (payload) => fromBallotPayload(payload, session)
+  )
+
+  // The import box - the message is kept as { key, params } so it follows a language change
+  const [pasted, setPasted] = useState('')
+  const [importMessage, setImportMessage] = useState(null)
+
+  if (!session) {
+    return (
+      <section className='group-session'>
+        <Link to='/group' className='back-link'>{t('group.back')}</Link>
+        <p className='text-gray-100'>{t('group.missing')}</p>
+      </section>
+    )
+  }
+
+  const makeInviteUrl = async () => `${window.location.origin}/vote#${await encodeShareCode(toInvitePayload(session))}`
+
+  // Remove the code from the address bar once it has been dealt with
+  const clearIncoming = () => navigate(`/group/${session.id}`, { replace: true })
+
+  const acceptIncoming = () => {
+    saveBallot(session.id, incoming.data)
+    clearIncoming()
+  }
+
+  const importPasted = async (event) => {
+    event.preventDefault()
+    try {
+      const ballot = fromBallotPayload(await decodeShareCode(shareCodeFromLink(pasted)), session)
+      saveBallot(session.id, ballot)
+      setImportMessage({ key: 'group.ballotAdded', params: { voter: ballot.voter } })
+      setPasted('')
+    } catch (error) {
+      setImportMessage({ key: `share.error.${error instanceof ShareLinkError ? error.reason : 'damaged'}` })
+    }
+  }
+
+  return (
+    <section className='group-session'>
+      <Link to='/group' className='back-link'>{t('group.back')}</Link>
+      <h2>{session.name}</h2>
+
+      {/* ============================================ */}
+      {/* INCOMING BALLOT - From a link opened in this browser */}
+      {/* ============================================ */}
+      {incomingCode && !incoming.isLoading && (
+        <div className='panel incoming' role='status'>
+          {incoming.error ? (
+            <p className="text-red-50">{t(`share.error.${incoming.error}`)}</p>
+          ) : (
+            <p>{t('group.addIncoming', { voter: incoming.data.voter })}</p>
+          )}
+          <div className='buttons'>
+            {incoming.data && <button type='button' onClick={acceptIncoming}>{t('group.addBallot')}</button>}
+            <button type='button' onClick={clearIncoming}>{t('group.dismiss')}</button>
+          </div>
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* RESULTS */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('group.results')}</h3>
+        <GroupResults session={session} />
+      </div>
+
+      {/* ============================================ */}
+      {/* BALLOTS - Who has voted */}
+      {/* ============================================ */}
+      {session.ballots.length > 0 && (
+        <div className='panel'>
+          <h3>{t('group.ballots', { count: session.ballots.length })}</h3>
+          <ul className='ballots'>
+            {session.ballots.map((ballot) => (
+              <li key={ballot.voter}>
+                <span>{ballot.voter}</span>
+                <button
+                  type='button'
+                  aria-label={t('group.removeBallot', { voter: ballot.voter })}
+                  onClick={() => removeBallot(session.id, ballot.voter)}
+                >
+                  ✕
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* ADD A BALLOT - On this device, or from someone else's link */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('group.voteHere')}</h3>
+        <p className='text-sm text-gray-100'>{t('group.voteHereHelp')}</p>
+        <BallotEditor
+          movies={session.movies}
+          submitLabel={t('group.addBallot')}
+          onSubmit={(ballot) => saveBallot(session.id, ballot)}
+        />
+      </div>
+
+      <div className='panel'>
+        <h3>{t('group.voteRemotely')}</h3>
+        <p className='text-sm text-gray-100'>{t('group.voteRemotelyHelp')}</p>
+        <CopyLink label={t('group.copyInvite')} makeUrl={makeInviteUrl} note={t('group.inviteNote')} />
+        <form className='import-ballot' onSubmit={importPasted}>
+          <input
+            type='text'
+            placeholder={t('group.pastePlaceholder')}
+            aria-label={t('group.ballotLink')}
+            value={pasted}
+            onChange={(event) => setPasted(event.target.value)}
+          />
+          <button type='submit' disabled={!pasted.trim()}>{t('group.importBallot')}</button>
+        </form>
+        {importMessage && <p role='status' className='text-sm'>{t(importMessage.key, importMessage.params)}</p>}
+      </div>
+    </section>
+  )
+}
+
+export default GroupSession
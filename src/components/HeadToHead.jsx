@@ -0,0 +1,106 @@
+// ============================================
+// HEAD TO HEAD COMPONENT - "Which is better?" ranking mode
+// ============================================
+
+import React from 'react'
+import MovieCard from './MovieCard'
+import useHeadToHead from '../hooks/useHeadToHead'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - movies: the pool of movies to compare (the user's ranked list)
+// - onApplyOrder(movieIds): called to copy the Elo order back into "My Rankings"
+const HeadToHead = ({ movies, onApplyOrder }) => {
+  const {
+    comparisonCount,
+    ratings,
+    rankedByRating,
+    pair,
+    recordResult,
+    undo,
+    reset
+  } = useHeadToHead(movies)
+  const { t } = useLocale()
+
+  if (!pair) {
+    return <p className='text-gray-100'>{t('headToHead.empty')}</p>
+  }
+
+  const [left, right] = pair
+
+  // ============================================
+  // KEYBOARD SHORTCUTS - ← picks the left movie, → the right one, ↓ is a tie
+  // ============================================
+  // Only while the match-up (or a button in it) has focus - results are saved straight
+  // away, so arrow keys pressed anywhere else on the page must keep scrolling as usual
+  const handleKeyDown = (event) => {
+    // Leave arrow keys alone in anything inside a card that uses them itself (e.g. the "+ List" menu)
+    if (['INPUT', 'TEXTAREA', 'SELECT'].includes(event.target.tagName)) return
+
+    if (event.key === 'ArrowLeft') recordResult(left.id, right.id)
+    else if (event.key === 'ArrowRight') recordResult(right.id, left.id)
+    else if (event.key === 'ArrowDown') recordResult(left.id, right.id, true)
+    else return
+    event.preventDefault()
+  }
+
+  return (
+    <div className='head-to-head'>
+      <p className='text-sm text-gray-100'>
+        {t('headToHead.help')}
+      </p>
+
+      {/* ============================================ */}
+      {/* THE MATCH-UP - Two movie cards side by side */}
+      {/* ============================================ */}
+      {/* tabIndex: focusable, so the arrow keys can be used without clicking a button first */}
+      <div
+        className='match-up'
+        tabIndex={0}
+        role='group'
+        aria-label={t('headToHead.matchUp')}
+        onKeyDown={handleKeyDown}
+      >
+        <MovieCard movie={left}>
+          <button type='button' onClick={() => recordResult(left.id, right.id)}>{t('headToHead.pickLeft')}</button>
+        </MovieCard>
+
+        <span className='versus'>{t('headToHead.versus')}</span>
+
+        <MovieCard movie={right}>
+          <button type='button' onClick={() => recordResult(right.id, left.id)}>{t('headToHead.pickRight')}</button>
+        </MovieCard>
+      </div>
+
+      <div className='controls'>
+        <button type='button' onClick={() => recordResult(left.id, right.id, true)}>{t('headToHead.draw')}</button>
+        <button type='button' onClick={undo} disabled={comparisonCount === 0}>{t('headToHead.undo')}</button>
+        <button type='button' onClick={reset} disabled={comparisonCount === 0}>{t('headToHead.reset')}</button>
+        <button
+          type='button'
+          onClick={() => onApplyOrder(rankedByRating.map((movie) => movie.id))}
+          disabled={comparisonCount === 0}
+        >
+          {t('headToHead.apply')}
+        </button>
+      </div>
+
+      {/* ============================================ */}
+      {/* ELO STANDINGS - Every movie sorted by rating */}
+      {/* ============================================ */}
+      <h3>{t('headToHead.standings', { count: comparisonCount })}</h3>
+      <ol className='standings'>
+        {rankedByRating.map((movie, index) => (
+          <li key={movie.id}>
+            <span className='position'>{index + 1}</span>
+            <span className='title'>{movie.title}</span>
+            {/* Math.round: ratings are decimals internally, whole numbers read better */}
+            <span className='score'>{Math.round(ratings[movie.id])}</span>
+          </li>
+        ))}
+      </ol>
+    </div>
+  )
+}
+
+export default HeadToHead
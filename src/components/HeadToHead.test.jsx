@@ -0,0 +1,46 @@
+// @vitest-environment jsdom
+// ============================================
+// HEAD TO HEAD COMPONENT TESTS - npm test
+// ============================================
+
+import React from 'react'
+import { cleanup, fireEvent, render, screen } from '@testing-library/react'
+import { afterEach, describe, expect, it } from 'vitest'
+import HeadToHead from './HeadToHead'
+import { loadJSON } from '../utils/storage'
+
+const movies = [
+  { id: 1, title: 'Heat', poster_path: null, release_date: '1995-12-15', vote_average: 8, original_language: 'en' },
+  { id: 2, title: 'Ronin', poster_path: null, release_date: '1998-09-25', vote_average: 7, original_language: 'en' }
+]
+
+const renderMatchUp = () => {
+  render(<HeadToHead movies={movies} onApplyOrder={() => {}} />)
+  return screen.getByRole('group')
+}
+
+// Vitest globals are off, so Testing Library can't unmount by itself
+afterEach(() => {
+  cleanup()
+  window.localStorage.clear()
+})
+
+describe('HeadToHead keyboard shortcuts', () => {
+  it('records a result for arrow keys pressed on the match-up', () => {
+    const matchUp = renderMatchUp()
+
+    expect(fireEvent.keyDown(matchUp, { key: 'ArrowDown' })).toBe(false)
+
+    expect(loadJSON('comparisons', [])).toMatchObject([{ isDraw: true }])
+  })
+
+  it('leaves arrow keys pressed elsewhere on the page alone', () => {
+    renderMatchUp()
+
+    // Not cancelled, so the page still scrolls
+    expect(fireEvent.keyDown(document.body, { key: 'ArrowDown' })).toBe(true)
+    fireEvent.keyDown(screen.getByRole('button', { name: /undo/i }), { key: 'ArrowLeft' })
+
+    expect(loadJSON('comparisons', [])).toEqual([])
+  })
+})
@@ -0,0 +1,252 @@
+// ============================================
+// IMPORT / EXPORT COMPONENT - Move rankings and watch history between browsers
+// ============================================
+
+import React, { useEffect, useRef, useState } from 'react'
+import Spinner from './Spinner'
+import { buildBackup, buildCsv, parseImportFile } from '../utils/transfer'
+import { matchImportRows } from '../api/matchImport'
+import { loadJSON, replaceJSON } from '../utils/storage'
+import useLocale from '../hooks/useLocale'
+
+// Let the browser "download" a file we made in memory
+const downloadFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }))
+  const link = document.createElement('a')
+  link.href = url
+  link.download = fileName
+  link.click()
+  URL.revokeObjectURL(url)
+}
+
+// Props:
+// - rankedMovies / addMovies: from useRankings
+// - library / importEntries: from useLibrary
+const ImportExport = ({ rankedMovies, addMovies, library, importEntries }) => {
+  const { t } = useLocale()
+
+  // step: 'idle' -> 'matching' -> 'review' -> 'done'
+  const [step, setStep] = useState('idle')
+  const [progress, setProgress] = useState({ done: 0, total: 0 })
+
+  // The parsed file: { format, rows (matched), comparisons, errors }
+  const [result, setResult] = useState(null)
+
+  // For ambiguous rows: index of the row -> id of the movie the user picked ('' = skip)
+  const [choices, setChoices] = useState({})
+
+  // How many movies the last import added, for the summary message
+  const [importedCount, setImportedCount] = useState(0)
+
+  // Cancel the TMDB lookups if the user leaves the page mid-import
+  const controllerRef = useRef(null)
+  useEffect(() => () => controllerRef.current?.abort(), [])
+
+  // ============================================
+  // EXPORT
+  // ============================================
+  const today = new Date().toISOString().slice(0, 10)
+  const comparisons = () => loadJSON('comparisons', [])
+
+  const exportJson = () => downloadFile(
+    `movie-rankings-${today}.json`,
+    JSON.stringify(buildBackup({ rankings: rankedMovies, library, comparisons: comparisons() }), null, 2),
+    'application/json'
+  )
+
+  const exportCsv = () => downloadFile(
+    `movie-rankings-${today}.csv`,
+    buildCsv({ rankings: rankedMovies, library }),
+    'text/csv'
+  )
+
+  // ============================================
+  // IMPORT - Read the file, then match every row to a TMDB movie
+  // ============================================
+  const handleFile = async (event) => {
+    const file = event.target.files[0]
+    // Clear the input so picking the same file again still fires onChange
+    event.target.value = ''
+    if (!file) return
+
+    // Reading can fail, e.g. if the file was moved or deleted after it was picked
+    let text
+    try {
+      text = await file.text()
+    } catch (error) {
+      setResult({ format: null, rows: [], comparisons: [], errors: [{ line: null, reason: 'unreadableFile', params: { error: error.message } }] })
+      setStep('review')
+      return
+    }
+
+    const parsed = parseImportFile(file.name, text)
+
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    setStep('matching')
+    setProgress({ done: 0, total: parsed.rows.length })
+    setChoices({})
+
+    try {
+      const rows = await matchImportRows(parsed.rows, {
+        signal: controller.signal,
+        onProgress: (done, total) => setProgress({ done, total })
+      })
+      setResult({ ...parsed, rows })
+      setStep('review')
+    } catch (error) {
+      if (controller.signal.aborted) return
+      setResult({ ...parsed, rows: [], errors: [...parsed.errors, { line: null, reason: 'lookupFailed', params: { error: error.message } }] })
+      setStep('review')
+    }
+  }
+
+  // ============================================
+  // IMPORT - Apply the matched rows to rankings and library
+  // ============================================
+  const applyImport = () => {
+    // Confident matches, plus the movies the user picked for ambiguous rows
+    const resolved = result.rows
+      .map((row, index) => {
+        if (row.status === 'matched') return row
+        if (row.status !== 'ambiguous') return null
+        const movie = row.candidates.find((candidate) => String(candidate.id) === String(choices[index]))
+        return movie ? { ...row, movie } : null
+      })
+      .filter(Boolean)
+
+    // Ranked movies are added in the file's order, below the existing list
+    addMovies(
+      resolved
+        .filter((row) => row.rank !== undefined)
+        .sort((a, b) => a.rank - b.rank)
+        .map((row) => row.movie)
+    )
+
+    importEntries(resolved.map(({ movie, onWatchlist, watchedAt, rating, note }) => ({
+      movie, onWatchlist, watchedAt, rating, note
+    })))
+
+    // Head-to-head history from JSON backups - skip comparisons we already have
+    // replaceJSON, so a mounted useHeadToHead picks the new history up instead of overwriting it
+    if (result.comparisons.length) {
+      const existing = comparisons()
+      const key = (item) => `${item.winnerId}:${item.loserId}:${item.createdAt}`
+      const seen = new Set(existing.map(key))
+      replaceJSON('comparisons', [...existing, ...result.comparisons.filter((item) => !seen.has(key(item)))])
+    }
+
+    setImportedCount(resolved.length)
+    setStep('done')
+  }
+
+  const matched = result?.rows.filter((row) => row.status === 'matched') || []
+  const ambiguous = result?.rows
+    .map((row, index) => ({ row, index }))
+    .filter(({ row }) => row.status === 'ambiguous') || []
+  const failed = [
+    ...(result?.errors || []),
+    ...(result?.rows.filter((row) => row.status === 'failed') || [])
+  ]
+
+  // "Line 12: " in front of a row's message, when we know which line it came from
+  const linePrefix = (row) => row.line ? t('import.line', { line: row.line }) : ''
+
+  return (
+    <section className='import-export'>
+      <h2 className='mt-[40px]'>{t('import.title')}</h2>
+
+      {/* ============================================ */}
+      {/* EXPORT BUTTONS */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('import.export')}</h3>
+        <p>{t('import.exportHelp')}</p>
+        <div className='buttons'>
+          <button type='button' onClick={exportJson}>{t('import.downloadJson')}</button>
+          <button type='button' onClick={exportCsv}>{t('import.downloadCsv')}</button>
+        </div>
+      </div>
+
+      {/* ============================================ */}
+      {/* IMPORT - File picker, progress, review and summary */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('import.import')}</h3>
+        <p>{t('import.importHelp')}</p>
+
+        {step !== 'matching' && (
+          <label className='file-picker'>
+            {t('import.chooseFile')}
+            <input type='file' accept='.json,.csv,application/json,text/csv' onChange={handleFile} />
+          </label>
+        )}
+
+        {step === 'matching' && (
+          <div className='progress' role='status'>
+            <Spinner/>
+            <p>{t('import.matching', { done: progress.done, total: progress.total })}</p>
+          </div>
+        )}
+
+        {step === 'review' && (
+          <div className='review'>
+            <p>{t('import.summary', { matched: matched.length, ambiguous: ambiguous.length, failed: failed.length })}</p>
+
+            {/* Rows with several possible movies - the user picks one or skips */}
+            {ambiguous.length > 0 && (
+              <ul className='ambiguous'>
+                {ambiguous.map(({ row, index }) => (
+                  <li key={index}>
+                    <p>{linePrefix(row)}<strong>{row.title}</strong> {row.year && `(${row.year})`}</p>
+                    <select
+                      aria-label={t('import.whichMovie', { title: row.title })}
+                      value={choices[index] ?? ''}
+                      onChange={(event) => setChoices({ ...choices, [index]: event.target.value })}
+                    >
+                      <option value=''>{t('import.skipRow')}</option>
+                      {row.candidates.map((candidate) => (
+                        <option key={candidate.id} value={candidate.id}>
+                          {candidate.title} ({candidate.release_date ? candidate.release_date.split('-')[0] : t('common.notAvailable')})
+                        </option>
+                      ))}
+                    </select>
+                  </li>
+                ))}
+              </ul>
+            )}
+
+            {/* Rows that could not be read or matched */}
+            {failed.length > 0 && (
+              <details className='failed'>
+                <summary>{t('import.showFailed', { count: failed.length })}</summary>
+                <ul>
+                  {failed.map((item, index) => (
+                    <li key={index} className="text-red-50">
+                      {linePrefix(item)}{item.title ? `${item.title} - ` : ''}{t(`import.reason.${item.reason}`, item.params)}
+                    </li>
+                  ))}
+                </ul>
+              </details>
+            )}
+
+            <div className='buttons'>
+              <button type='button' onClick={applyImport} disabled={matched.length + ambiguous.length === 0}>
+                {t('import.importMovies')}
+              </button>
+              <button type='button' onClick={() => setStep('idle')}>{t('common.cancel')}</button>
+            </div>
+          </div>
+        )}
+
+        {step === 'done' && (
+          <p role='status'>{t('import.imported', { count: importedCount })}</p>
+        )}
+      </div>
+    </section>
+  )
+}
+
+export default ImportExport
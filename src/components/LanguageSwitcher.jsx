@@ -0,0 +1,26 @@
+// ============================================
+// LANGUAGE SWITCHER COMPONENT - Pick the app's language
+// ============================================
+
+import React from 'react'
+import useLocale from '../hooks/useLocale'
+import { LOCALES } from '../utils/i18n'
+
+const LanguageSwitcher = () => {
+  const { locale, setLocale, t } = useLocale()
+
+  return (
+    <label className='language-switcher'>
+      {/* The label is for screen readers - the select already shows the language */}
+      <span className='sr-only'>{t('language.label')}</span>
+      <select value={locale} onChange={(event) => setLocale(event.target.value)}>
+        {/* lang: each name is written in its own language, so screen readers pronounce it right */}
+        {LOCALES.map((item) => (
+          <option key={item.code} value={item.code} lang={item.code}>{item.name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default LanguageSwitcher
@@ -0,0 +1,100 @@
+// ============================================
+// LIBRARY VIEW COMPONENT - The Watchlist and Watched pages
+// ============================================
+
+import React, { useState } from 'react'
+import MovieCard from './MovieCard'
+import VirtualGrid from './VirtualGrid'
+import useLocale from '../hooks/useLocale'
+import { LIBRARY_SORTS, selectEntries } from '../utils/library'
+
+// Each view has its own title, default sort and empty message (title and empty are message keys)
+const VIEWS = {
+  watchlist: {
+    title: 'nav.watchlist',
+    defaultSort: 'added',
+    empty: 'library.emptyWatchlist'
+  },
+  watched: {
+    title: 'nav.watched',
+    defaultSort: 'watched',
+    empty: 'library.emptyWatched'
+  }
+}
+
+// Props:
+// - view: 'watchlist' or 'watched'
+// - library: the library object from useLibrary
+// - renderCardActions(movie): the buttons shown under each card
+const LibraryView = ({ view, library, renderCardActions }) => {
+  const { title, defaultSort, empty } = VIEWS[view]
+  const { t } = useLocale()
+
+  // Each view has its own sort and filters - App gives each view its own key, so
+  // switching between Watchlist and Watched starts the other page from its defaults
+  const [sortKey, setSortKey] = useState(defaultSort)
+  const [text, setText] = useState('')
+  const [minRating, setMinRating] = useState(0)
+
+  const entries = selectEntries(library, { view, text, minRating, sortKey })
+  const total = selectEntries(library, { view, sortKey }).length
+
+  return (
+    <section className='all-movies library-view'>
+      <h2 className='mt-[40px]'>{t(title)} <span className='count'>({total})</span></h2>
+
+      {/* ============================================ */}
+      {/* SORT AND FILTER */}
+      {/* ============================================ */}
+      <div className='library-toolbar'>
+        <input
+          type='search'
+          placeholder={t('library.filterTitle')}
+          aria-label={t('library.filterTitle')}
+          value={text}
+          onChange={(event) => setText(event.target.value)}
+        />
+
+        {view === 'watched' && (
+          <label>
+            {t('library.minRating')}
+            <select value={minRating} onChange={(event) => setMinRating(Number(event.target.value))}>
+              <option value={0}>{t('filters.any')}</option>
+              {[2, 4, 6, 8, 10].map((value) => (
+                <option key={value} value={value}>{'★'.repeat(value / 2)}</option>
+              ))}
+            </select>
+          </label>
+        )}
+
+        <label>
+          {t('filters.sortBy')}
+          <select value={sortKey} onChange={(event) => setSortKey(event.target.value)}>
+            {Object.keys(LIBRARY_SORTS).map((key) => (
+              <option key={key} value={key}>{t(`librarySort.${key}`)}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {total === 0 ? (
+        <p className='text-gray-100'>{t(empty)}</p>
+      ) : entries.length === 0 ? (
+        <p className='text-gray-100'>{t('library.noMatches')}</p>
+      ) : (
+        <VirtualGrid
+          items={entries}
+          cacheKey={view}
+          getKey={(entry) => entry.movie.id}
+          renderItem={(entry) => (
+            <MovieCard movie={entry.movie} personalRating={entry.rating}>
+              {renderCardActions(entry.movie)}
+            </MovieCard>
+          )}
+        />
+      )}
+    </section>
+  )
+}
+
+export default LibraryView
@@ -0,0 +1,26 @@
+// ============================================
+// LINK COMPONENT - An <a> tag that navigates without reloading the page
+// ============================================
+
+import React from 'react'
+import { navigate } from '../utils/router'
+
+// Props:
+// - to: the path to go to, e.g. '/movie/550'
+// - everything else (className, children, aria-label...) is passed to the <a>
+const Link = ({ to, children, ...props }) => {
+  const handleClick = (event) => {
+    // Let the browser handle ctrl/cmd-click, middle click etc. (open in new tab)
+    if (event.button !== 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return
+    event.preventDefault()
+    navigate(to)
+  }
+
+  return (
+    <a href={to} onClick={handleClick} {...props}>
+      {children}
+    </a>
+  )
+}
+
+export default Link
@@ -0,0 +1,116 @@
+// ============================================
+// LIST EDITOR COMPONENT - One list: edit it, reorder it, share it (/lists/:id)
+// ============================================
+
+import React from 'react'
+import Link from './Link'
+import CopyLink from './CopyLink'
+import MovieCard from './MovieCard'
+import RankedList from './RankedList'
+import VirtualGrid from './VirtualGrid'
+import { navigate } from '../utils/router'
+import { encodeShareCode } from '../utils/shareCode'
+import { toSharePayload } from '../utils/lists'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - list: the list to show (null if the id in the URL doesn't exist)
+// - lists: the functions returned by useLists
+const ListEditor = ({ list, lists }) => {
+  const { t } = useLocale()
+  const { updateList, duplicateList, deleteList, removeFromList, moveInList } = lists
+
+  if (!list) {
+    return (
+      <section className='list-editor'>
+        <Link to='/lists' className='back-link'>{t('lists.back')}</Link>
+        <p className='text-gray-100'>{t('lists.missing')}</p>
+      </section>
+    )
+  }
+
+  // ============================================
+  // SHARING - Everything goes into the link itself, after the # (never sent to a server)
+  // ============================================
+  const makeShareUrl = async () => `${window.location.origin}/shared#${await encodeShareCode(toSharePayload(list))}`
+
+  const handleDuplicate = () => {
+    const copy = duplicateList(list.id)
+    if (copy) navigate(`/lists/${copy.id}`)
+  }
+
+  const handleDelete = () => {
+    if (!window.confirm(t('lists.confirmDelete', { name: list.name }))) return
+    deleteList(list.id)
+    navigate('/lists')
+  }
+
+  return (
+    <section className='list-editor'>
+      <Link to='/lists' className='back-link'>{t('lists.back')}</Link>
+
+      {/* ============================================ */}
+      {/* DETAILS - Name, description and ordered / unordered */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <input
+          type='text'
+          className='name'
+          aria-label={t('lists.name')}
+          value={list.name}
+          onChange={(event) => updateList(list.id, { name: event.target.value })}
+        />
+        <textarea
+          placeholder={t('lists.descriptionPlaceholder')}
+          aria-label={t('lists.description')}
+          rows={2}
+          value={list.description}
+          onChange={(event) => updateList(list.id, { description: event.target.value })}
+        />
+        <label className='checkbox'>
+          <input
+            type='checkbox'
+            checked={list.ordered}
+            onChange={(event) => updateList(list.id, { ordered: event.target.checked })}
+          />
+          {t('lists.orderedOption')}
+        </label>
+
+        <div className='buttons'>
+          <button type='button' onClick={handleDuplicate}>{t('lists.duplicate')}</button>
+          <button type='button' onClick={handleDelete}>{t('lists.delete')}</button>
+        </div>
+
+        <CopyLink label={t('lists.share')} makeUrl={makeShareUrl} note={t('lists.shareNote')} />
+      </div>
+
+      {/* ============================================ */}
+      {/* MOVIES - Numbered and draggable when ordered, a plain grid otherwise */}
+      {/* ============================================ */}
+      {list.movies.length === 0 ? (
+        <p className='text-gray-100'>{t('lists.emptyList')}</p>
+      ) : list.ordered ? (
+        <RankedList
+          movies={list.movies}
+          onMove={(from, to) => moveInList(list.id, from, to)}
+          onRemove={(movieId) => removeFromList(list.id, movieId)}
+        />
+      ) : (
+        <div className='all-movies'>
+          <VirtualGrid
+            items={list.movies}
+            cacheKey={`list-${list.id}`}
+            getKey={(movie) => movie.id}
+            renderItem={(movie) => (
+              <MovieCard movie={movie}>
+                <button type='button' onClick={() => removeFromList(list.id, movie.id)}>{t('lists.remove')}</button>
+              </MovieCard>
+            )}
+          />
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default ListEditor
@@ -0,0 +1,79 @@
+// ============================================
+// LISTS PAGE COMPONENT - All of the user's named lists, plus a form for a new one
+// ============================================
+
+import React, { useState } from 'react'
+import Link from './Link'
+import { navigate } from '../utils/router'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - lists / addList: from useLists
+const ListsPage = ({ lists, addList }) => {
+  const { t } = useLocale()
+
+  // The "new list" form
+  const [name, setName] = useState('')
+  const [description, setDescription] = useState('')
+  const [ordered, setOrdered] = useState(true)
+
+  const handleSubmit = (event) => {
+    event.preventDefault()
+    const list = addList({ name, description, ordered })
+    navigate(`/lists/${list.id}`)
+  }
+
+  return (
+    <section className='lists-page'>
+      <h2 className='mt-[40px]'>{t('lists.title')}</h2>
+
+      {/* ============================================ */}
+      {/* NEW LIST FORM */}
+      {/* ============================================ */}
+      <form className='panel' onSubmit={handleSubmit}>
+        <h3>{t('lists.new')}</h3>
+        <input
+          type='text'
+          placeholder={t('lists.namePlaceholder')}
+          aria-label={t('lists.name')}
+          value={name}
+          onChange={(event) => setName(event.target.value)}
+          required
+        />
+        <textarea
+          placeholder={t('lists.descriptionPlaceholder')}
+          aria-label={t('lists.description')}
+          rows={2}
+          value={description}
+          onChange={(event) => setDescription(event.target.value)}
+        />
+        <label className='checkbox'>
+          <input type='checkbox' checked={ordered} onChange={(event) => setOrdered(event.target.checked)} />
+          {t('lists.orderedOption')}
+        </label>
+        <button type='submit'>{t('lists.create')}</button>
+      </form>
+
+      {/* ============================================ */}
+      {/* EXISTING LISTS */}
+      {/* ============================================ */}
+      {lists.length === 0 ? (
+        <p className='text-gray-100'>{t('lists.empty')}</p>
+      ) : (
+        <ul className='list-cards'>
+          {lists.map((list) => (
+            <li key={list.id} className='panel'>
+              <h3><Link to={`/lists/${list.id}`}>{list.name}</Link></h3>
+              <p className='meta'>
+                {t('lists.movieCount', { count: list.movies.length })} · {t(list.ordered ? 'lists.ordered' : 'lists.unordered')}
+              </p>
+              {list.description && <p className='description'>{list.description}</p>}
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default ListsPage
@@ -0,0 +1,46 @@
+// ============================================
+// LOAD MORE COMPONENT - Infinite scroll sentinel plus a "Load more" button
+// ============================================
+
+import React, { useEffect, useRef } from 'react'
+import Spinner from './Spinner'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - onLoadMore: called when the user scrolls near the end, or clicks the button
+// - hasMore: false once we've loaded the last page
+// - isLoading: true while the next page is on its way
+const LoadMore = ({ onLoadMore, hasMore, isLoading }) => {
+  // An invisible element at the end of the grid - when it scrolls into view, we load more
+  const sentinelRef = useRef(null)
+  const { t } = useLocale()
+
+  useEffect(() => {
+    const sentinel = sentinelRef.current
+    // Older browsers without IntersectionObserver still get the button below
+    if (!sentinel || !hasMore || isLoading || !('IntersectionObserver' in window)) return undefined
+
+    // rootMargin: start loading a little before the user actually reaches the end
+    const observer = new IntersectionObserver((entries) => {
+      if (entries[0].isIntersecting) onLoadMore()
+    }, { rootMargin: '400px' })
+
+    observer.observe(sentinel)
+    // Cleanup: stop watching when props change or the component goes away
+    return () => observer.disconnect()
+  }, [onLoadMore, hasMore, isLoading])
+
+  if (!hasMore) return null
+
+  return (
+    <div className='load-more' ref={sentinelRef}>
+      {isLoading ? (
+        <Spinner/>
+      ) : (
+        <button type='button' onClick={onLoadMore}>{t('loadMore')}</button>
+      )}
+    </div>
+  )
+}
+
+export default LoadMore
@@ -4,19 +4,30 @@
 
 // Import React library
 import React from 'react'
+import Link from './Link'
+import TmdbImage from './TmdbImage'
+import useLocale from '../hooks/useLocale'
+import { formatNumber, languageName } from '../utils/i18n'
 
 // DESTRUCTURING - Unpacking values from objects
 // Instead of: const MovieCard = (props) => { const movie = props.movie; }
 // We use destructuring to extract movie from props immediately
 // Then we FURTHER destructure movie to extract its properties
 // This is like opening nested boxes to get to the values inside
+// personalRating: the user's own 1-10 rating, shown next to TMDB's (optional)
+// children: optional extra controls (like the "+ Rank" button) shown under the details
 const MovieCard = ({ movie: { 
+    id,                 // TMDB id (number) - used for the link to the detail page
     title,              // Movie name (string)
     vote_average,       // Rating score (number like 7.5)
     poster_path,        // URL path to poster image (string)
     release_date,       // Release date (string like "2024-05-15")
     original_language   // Language code (string like "en" for English)
-  } }) => {
+  }, personalRating, children }) => {
+
+  // locale: the user's language, for formatting numbers and language names
+  // t('key'): UI text in that language
+  const { locale, t } = useLocale()
   
   // ============================================
   // RENDER - The movie card UI
@@ -29,24 +40,24 @@ const MovieCard = ({ movie: {
       {/* MOVIE POSTER IMAGE */}
       {/* ============================================ */}
       
-      {/* Conditional src: if poster_path exists, build full URL, otherwise use placeholder */}
-      {/* Ternary: condition ? ifTrue : ifFalse */}
-      {/* Template literal: `text ${variable}` allows embedding variables in strings */}
-      {/* w500: width of 500px for the image from TMDB */}
-      <img 
-        src={poster_path 
-          ? `https://image.tmdb.org/t/p/w500/${poster_path}` 
-          : `/No-Poster.png`
-        }
-        alt={title} // alt text for accessibility (screen readers for visually impaired)
-      />
+      {/* TmdbImage picks the right poster size for the screen, and shows No-Poster.png if there isn't one */}
+      {/* sizes: the grid is 1 column on phones, 2 / 3 / 4 on wider screens (see utils/virtualGrid.js) */}
+      {/* Link: clicking the poster opens the movie's detail page */}
+      {/* tabIndex -1 + aria-hidden: the title link below already does the same job for keyboards */}
+      <Link to={`/movie/${id}`} tabIndex={-1} aria-hidden='true'>
+        <TmdbImage
+          path={poster_path}
+          sizes='(min-width: 64rem) 25vw, (min-width: 48rem) 33vw, (min-width: 480px) 50vw, 100vw'
+          alt={title} // alt text for accessibility (screen readers for visually impaired)
+        />
+      </Link>
       
       {/* Container for text content, mt-4 = margin-top (spacing from image) */}
       <div className='mt-4'>
         
         {/* Movie title in heading 3 */}
         {/* {title} - curly braces output the JavaScript variable value */}
-        <h3>{title}</h3>
+        <h3><Link to={`/movie/${id}`}>{title}</Link></h3>
 
         {/* Container for movie metadata (rating, language, year) */}
         <div className='content'>
@@ -56,22 +67,34 @@ const MovieCard = ({ movie: {
           {/* ============================================ */}
           <div className='rating'>
             {/* Star icon */}
-            <img src="Rating.svg" alt="Star Icon" />
+            <img src="/Rating.svg" alt={t('card.ratingIcon')} />
             
             {/* Rating number with conditional formatting */}
-            {/* .toFixed(1): rounds number to 1 decimal place (7.543 becomes "7.5") */}
+            {/* 1 decimal place (7.543 becomes "7.5"), with the locale's decimal mark ("7,5" in French) */}
             {/* If vote_average exists, show formatted rating, otherwise show 'N/A' */}
-            <p>{vote_average ? vote_average.toFixed(1) : 'N/A'}</p>
+            <p>
+              {vote_average
+                ? formatNumber(vote_average, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                : t('common.notAvailable')}
+            </p>
           </div>
 
+          {/* The user's own rating, only if they gave one */}
+          {personalRating ? (
+            <div className='rating personal' title={t('card.yourRating')}>
+              <span>{t('card.you')}</span>
+              <p>{formatNumber(personalRating, locale)}</p>
+            </div>
+          ) : null}
+
           {/* Bullet point separator (black square) */}
           <span>◼</span>
           
           {/* ============================================ */}
-          {/* LANGUAGE CODE */}
+          {/* ORIGINAL LANGUAGE */}
           {/* ============================================ */}
-          {/* Display language code like "en" or "es" */}
-          <p className='lang'>{original_language}</p>
+          {/* TMDB sends a code like "en" - Intl.DisplayNames turns it into "English" (or "inglés" in Spanish) */}
+          <p className='lang'>{languageName(original_language, locale)}</p>
           
           {/* Another bullet separator */}
           <span>◼</span>
@@ -83,8 +106,11 @@ const MovieCard = ({ movie: {
           {/* .split('-'): splits "2024-05-15" into ["2024", "05", "15"] */}
           {/* [0]: gets first element (the year) */}
           {/* If release_date exists, extract year, otherwise show 'N/A' */}
-          <p className='year'>{release_date ? release_date.split('-')[0] : 'N/A'}</p>
+          <p className='year'>{release_date ? release_date.split('-')[0] : t('common.notAvailable')}</p>
         </div>
+
+        {/* Extra controls passed in by the parent (only rendered if there are any) */}
+        {children && <div className='actions'>{children}</div>}
       </div>
     </div>
   )
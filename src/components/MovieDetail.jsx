@@ -0,0 +1,161 @@
+// ============================================
+// MOVIE DETAIL COMPONENT - Full page for one movie (/movie/:id)
+// ============================================
+
+import React from 'react'
+import Spinner from './Spinner'
+import MovieCard from './MovieCard'
+import BackLink from './BackLink'
+import ErrorMessage from './ErrorMessage'
+import TmdbImage from './TmdbImage'
+import WatchProviders from './WatchProviders'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { formatDate, formatNumber } from '../utils/i18n'
+
+// Turn 142 (minutes) into "2h 22m" (or "2 h 22 min" in Spanish)
+const formatRuntime = (minutes, t) =>
+  minutes ? t('detail.runtime', { hours: Math.floor(minutes / 60), minutes: minutes % 60 }) : t('common.notAvailable')
+
+// Pick the best YouTube video to show: an official trailer if there is one,
+// then any trailer, then a teaser
+const findTrailer = (videos = []) => {
+  const youtube = videos.filter((video) => video.site === 'YouTube')
+  return youtube.find((video) => video.type === 'Trailer' && video.official)
+    || youtube.find((video) => video.type === 'Trailer')
+    || youtube.find((video) => video.type === 'Teaser')
+}
+
+// Props:
+// - movieId: the TMDB id from the URL
+// - renderCardActions(movie): optional buttons for each "similar movie" card
+// - watch: the user's region and streaming services, for "Where to Watch"
+// - backTo: where "Back" goes when the page was opened from outside the app (the saved search)
+const MovieDetail = ({ movieId, renderCardActions, watch, backTo = '/' }) => {
+  const { data: movie, isLoading, error, retry } = useMovieData('details', { id: movieId })
+  const { locale, t } = useLocale()
+
+  // ============================================
+  // LOADING AND ERROR STATES - Same look as the movie grid
+  // ============================================
+  if (isLoading) return <Spinner/>
+  if (error || !movie) {
+    return (
+      <section className='movie-detail'>
+        <BackLink fallback={backTo} className='back-link'>{t('detail.back')}</BackLink>
+        <ErrorMessage error={error} onRetry={retry} />
+      </section>
+    )
+  }
+
+  const trailer = findTrailer(movie.videos?.results)
+  // The first 12 people in the cast list are the main actors
+  const cast = (movie.credits?.cast || []).slice(0, 12)
+  const similar = movie.similar?.results || []
+
+  return (
+    <section className='movie-detail'>
+      <BackLink fallback={backTo} className='back-link'>{t('detail.back')}</BackLink>
+
+      {/* Wide still from the movie across the top, when TMDB has one */}
+      {movie.backdrop_path && (
+        <TmdbImage path={movie.backdrop_path} kind='backdrop' sizes='(min-width: 1280px) 1280px, 100vw' alt='' priority className='backdrop' />
+      )}
+
+      {/* ============================================ */}
+      {/* OVERVIEW - Poster plus the main facts */}
+      {/* ============================================ */}
+      <div className='overview'>
+        <TmdbImage path={movie.poster_path} sizes='(min-width: 768px) 320px, 100vw' alt={movie.title} priority className='poster' />
+
+        <div>
+          <h2>{movie.title}</h2>
+          {movie.tagline && <p className='tagline'>{movie.tagline}</p>}
+
+          <div className='facts'>
+            <div className='rating'>
+              <img src="/Rating.svg" alt={t('card.ratingIcon')} />
+              <p>
+                {movie.vote_average
+                  ? formatNumber(movie.vote_average, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+                  : t('common.notAvailable')}
+              </p>
+              {movie.vote_count > 0 && <span className='votes'>({t('detail.votes', { count: movie.vote_count })})</span>}
+            </div>
+            <span>◼</span>
+            {/* The full release date, written the local way: "May 15, 2024" / "15 mai 2024" */}
+            <p>{movie.release_date ? formatDate(movie.release_date, locale) : t('common.notAvailable')}</p>
+            <span>◼</span>
+            <p>{formatRuntime(movie.runtime, t)}</p>
+          </div>
+
+          <ul className='genres'>
+            {(movie.genres || []).map((genre) => <li key={genre.id}>{genre.name}</li>)}
+          </ul>
+
+          <p className='plot'>{movie.overview || t('detail.noOverview')}</p>
+        </div>
+      </div>
+
+      {/* ============================================ */}
+      {/* WHERE TO WATCH - Streaming, rent and buy options in the user's country */}
+      {/* ============================================ */}
+      <WatchProviders movieId={movie.id} watch={watch} />
+
+      {/* ============================================ */}
+      {/* TRAILER - Embedded YouTube player */}
+      {/* ============================================ */}
+      {trailer && (
+        <div className='trailer'>
+          <h3>{t('detail.trailer')}</h3>
+          {/* youtube-nocookie: the privacy-friendly version of the YouTube player */}
+          <iframe
+            src={`https://www.youtube-nocookie.com/embed/${trailer.key}`}
+            title={t('detail.trailerTitle', { title: movie.title })}
+            allow='encrypted-media; picture-in-picture'
+            allowFullScreen
+          />
+          <a href={`https://www.youtube.com/watch?v=${trailer.key}`} target='_blank' rel='noreferrer'>
+            {t('detail.watchOnYouTube')}
+          </a>
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* CAST - Actors with their profile photos */}
+      {/* ============================================ */}
+      {cast.length > 0 && (
+        <div className='cast'>
+          <h3>{t('detail.cast')}</h3>
+          <ul>
+            {cast.map((person) => (
+              <li key={person.credit_id}>
+                <TmdbImage path={person.profile_path} kind='profile' sizes='112px' alt={person.name} />
+                <p className='name'>{person.name}</p>
+                <p className='character'>{person.character}</p>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* ============================================ */}
+      {/* SIMILAR MOVIES - A scrolling row of movie cards */}
+      {/* ============================================ */}
+      {similar.length > 0 && (
+        <div className='similar'>
+          <h3>{t('detail.similar')}</h3>
+          <ul>
+            {similar.map((item) => (
+              <li key={item.id}>
+                <MovieCard movie={item}>{renderCardActions?.(item)}</MovieCard>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default MovieDetail
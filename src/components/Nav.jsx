@@ -0,0 +1,46 @@
+// ============================================
+// NAV COMPONENT - Links to the app's main pages
+// ============================================
+
+import React from 'react'
+import Link from './Link'
+import LanguageSwitcher from './LanguageSwitcher'
+import useLocale from '../hooks/useLocale'
+
+// Every page in the top navigation, in order - label is a message key (see src/locales)
+const PAGES = [
+  { to: '/', label: 'nav.discover' },
+  { to: '/watchlist', label: 'nav.watchlist' },
+  { to: '/watched', label: 'nav.watched' },
+  { to: '/lists', label: 'nav.lists' },
+  { to: '/group', label: 'nav.group' },
+  { to: '/stats', label: 'nav.stats' },
+  { to: '/data', label: 'nav.data' }
+]
+
+// Props:
+// - pathname: the current path, so the active link can be highlighted
+const Nav = ({ pathname }) => {
+  const { t } = useLocale()
+
+  return (
+    <nav className='main-nav' aria-label={t('nav.label')}>
+      <ul>
+        {PAGES.map((page) => (
+          <li key={page.to}>
+            {/* aria-current="page" marks the link for the page we are on (or a page inside it, like /lists/123) */}
+            <Link
+              to={page.to}
+              aria-current={pathname === page.to || (page.to !== '/' && pathname.startsWith(`${page.to}/`)) ? 'page' : undefined}
+            >
+              {t(page.label)}
+            </Link>
+          </li>
+        ))}
+      </ul>
+      <LanguageSwitcher />
+    </nav>
+  )
+}
+
+export default Nav
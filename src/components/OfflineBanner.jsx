@@ -0,0 +1,24 @@
+// ============================================
+// OFFLINE BANNER COMPONENT - Tells the user what still works without internet
+// ============================================
+
+import React from 'react'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - isOnline: from useOnlineStatus - the banner only shows while offline
+const OfflineBanner = ({ isOnline }) => {
+  const { t } = useLocale()
+
+  if (isOnline) return null
+
+  return (
+    // role='status': screen readers announce it without interrupting
+    <div className='offline-banner' role='status'>
+      <p className='title'>{t('offline.title')}</p>
+      <p className='hint'>{t('offline.hint')}</p>
+    </div>
+  )
+}
+
+export default OfflineBanner
@@ -0,0 +1,64 @@
+// ============================================
+// PERSONAL CONTROLS COMPONENT - Watchlist, "seen it" and rating under a movie card
+// ============================================
+
+import React from 'react'
+import StarRating from './StarRating'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - movie: the movie these controls belong to
+// - entry: the movie's library entry (or null if the user never touched it)
+// - library: the functions returned by useLibrary
+const PersonalControls = ({ movie, entry, library }) => {
+  const { toggleWatchlist, setWatched, rateMovie, setNote } = library
+  const { t } = useLocale()
+
+  return (
+    <div className='personal-controls'>
+      <div className='buttons'>
+        <button type='button' aria-pressed={Boolean(entry?.onWatchlist)} onClick={() => toggleWatchlist(movie)}>
+          {entry?.onWatchlist ? t('personal.onWatchlist') : t('personal.addToWatchlist')}
+        </button>
+        <button
+          type='button'
+          aria-pressed={Boolean(entry?.watchedAt)}
+          onClick={() => setWatched(movie, entry?.watchedAt ? null : undefined)}
+        >
+          {entry?.watchedAt ? t('personal.watched') : t('personal.markWatched')}
+        </button>
+      </div>
+
+      {/* Only once the movie is watched: when, how good, and a note */}
+      {entry?.watchedAt && (
+        <div className='watched-details'>
+          <label>
+            {t('personal.watchedOn')}
+            <input
+              type='date'
+              value={entry.watchedAt}
+              onChange={(event) => event.target.value && setWatched(movie, event.target.value)}
+            />
+          </label>
+
+          <StarRating
+            value={entry.rating}
+            onChange={(rating) => rateMovie(movie, rating)}
+            label={t('personal.ratingFor', { title: movie.title })}
+          />
+
+          <input
+            type='text'
+            className='note'
+            placeholder={t('personal.addNote')}
+            aria-label={t('personal.noteFor', { title: movie.title })}
+            value={entry.note}
+            onChange={(event) => setNote(movie, event.target.value)}
+          />
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PersonalControls
@@ -0,0 +1,27 @@
+// ============================================
+// PROVIDER LOGO COMPONENT - One streaming / rental service
+// ============================================
+
+import React from 'react'
+import TmdbImage from './TmdbImage'
+
+// Props:
+// - provider: { provider_id, provider_name, logo_path } from TMDB
+// - size: how wide the logo is shown, in pixels
+// Services without a logo show their name instead
+const ProviderLogo = ({ provider, size = 40 }) => (
+  provider.logo_path ? (
+    <TmdbImage
+      path={provider.logo_path}
+      kind='logo'
+      sizes={`${size}px`}
+      alt={provider.provider_name}
+      title={provider.provider_name}
+      className='provider-logo'
+    />
+  ) : (
+    <span className='provider-logo text' title={provider.provider_name}>{provider.provider_name}</span>
+  )
+)
+
+export default ProviderLogo
@@ -0,0 +1,36 @@
+// ============================================
+// QUERY CHIPS COMPONENT - The filters typed into the search box, as removable chips
+// ============================================
+
+import React from 'react'
+import { parseQuery, removeChip } from '../utils/queryParser'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - query: the search box text, e.g. 'actor:Tom Hanks year:1994'
+// - setQuery: function to replace it - removing a chip cuts its text out of the query
+const QueryChips = ({ query, setQuery }) => {
+  const { t } = useLocale()
+  const { chips } = parseQuery(query)
+  if (chips.length === 0) return null
+
+  return (
+    <ul className='query-chips' aria-label={t('chips.label')}>
+      {chips.map((chip) => (
+        <li key={`${chip.key}-${chip.start}`}>
+          {/* What each chip says before its value, e.g. "Actor: Tom Hanks" */}
+          <span>{t(`chips.${chip.key}`)}: {chip.value}</span>
+          <button
+            type='button'
+            aria-label={t('chips.remove', { label: t(`chips.${chip.key}`), value: chip.value })}
+            onClick={() => setQuery(removeChip(query, chip))}
+          >
+            ✕
+          </button>
+        </li>
+      ))}
+    </ul>
+  )
+}
+
+export default QueryChips
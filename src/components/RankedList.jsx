@@ -0,0 +1,135 @@
+// ============================================
+// RANKED LIST COMPONENT - The user's personal "My Rankings" list
+// ============================================
+
+import React, { useEffect, useRef, useState } from 'react'
+import TmdbImage from './TmdbImage'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - movies: the ranked movies, best first
+// - onMove(from, to): called when the user drags or uses the arrow keys
+// - onRemove(movieId): called when the user takes a movie out of the list
+const RankedList = ({ movies, onMove, onRemove }) => {
+  const { t } = useLocale()
+
+  // Index of the item currently being dragged with the mouse (null = nothing)
+  const [dragIndex, setDragIndex] = useState(null)
+
+  // Index of the item we should focus after a keyboard move
+  // Moving an item re-renders the list, so we re-focus it to let the user keep pressing keys
+  const [focusIndex, setFocusIndex] = useState(null)
+
+  // One DOM node per list item, so we can call .focus() on them
+  const itemRefs = useRef([])
+
+  // Message read out by screen readers after every move
+  const [announcement, setAnnouncement] = useState('')
+
+  useEffect(() => {
+    if (focusIndex !== null) {
+      itemRefs.current[focusIndex]?.focus()
+    }
+  }, [focusIndex, movies])
+
+  // Shared by drag-and-drop and keyboard moves
+  const move = (from, to) => {
+    if (to < 0 || to >= movies.length || from === to) return
+    onMove(from, to)
+    setAnnouncement(t('ranked.moved', { title: movies[from].title, position: to + 1, total: movies.length }))
+  }
+
+  // ============================================
+  // KEYBOARD - Arrow keys move the focused movie up or down
+  // ============================================
+  const handleKeyDown = (event, index) => {
+    let target = null
+    if (event.key === 'ArrowUp') target = index - 1
+    if (event.key === 'ArrowDown') target = index + 1
+    if (event.key === 'Home') target = 0
+    if (event.key === 'End') target = movies.length - 1
+    if (event.key === 'Delete') {
+      event.preventDefault()
+      onRemove(movies[index].id)
+      return
+    }
+    if (target === null) return
+
+    // Stop the page from scrolling while we reorder
+    event.preventDefault()
+    move(index, target)
+    setFocusIndex(Math.max(0, Math.min(target, movies.length - 1)))
+  }
+
+  // ============================================
+  // DRAG AND DROP - Native HTML5 drag events
+  // ============================================
+  const handleDragStart = (event, index) => {
+    setDragIndex(index)
+    event.dataTransfer.effectAllowed = 'move'
+    // Firefox will not start a drag unless some data is set
+    event.dataTransfer.setData('text/plain', String(index))
+  }
+
+  const handleDragOver = (event) => {
+    // preventDefault marks this element as a valid drop target
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'move'
+  }
+
+  const handleDrop = (event, index) => {
+    event.preventDefault()
+    if (dragIndex !== null) move(dragIndex, index)
+    setDragIndex(null)
+  }
+
+  if (movies.length === 0) {
+    return <p className='text-gray-100'>{t('ranked.empty')}</p>
+  }
+
+  return (
+    <>
+      <p className='text-sm text-gray-100'>
+        {t('ranked.help')}
+      </p>
+
+      <ol className='ranked-list' aria-label={t('ranked.label')}>
+        {movies.map((movie, index) => (
+          <li
+            key={movie.id}
+            ref={(node) => { itemRefs.current[index] = node }}
+            tabIndex={0}
+            draggable
+            aria-label={`${index + 1}. ${movie.title}`}
+            className={dragIndex === index ? 'dragging' : ''}
+            onKeyDown={(event) => handleKeyDown(event, index)}
+            onDragStart={(event) => handleDragStart(event, index)}
+            onDragOver={handleDragOver}
+            onDrop={(event) => handleDrop(event, index)}
+            onDragEnd={() => setDragIndex(null)}
+          >
+            {/* Position number - 1-based for humans */}
+            <span className='position'>{index + 1}</span>
+
+            <TmdbImage path={movie.poster_path} sizes='46px' alt='' />
+
+            <h3>{movie.title}</h3>
+
+            <button
+              type='button'
+              onClick={() => onRemove(movie.id)}
+              aria-label={t('ranked.remove', { title: movie.title })}
+            >
+              ✕
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      {/* Invisible live region - screen readers announce each move */}
+      <p className='sr-only' aria-live='polite'>{announcement}</p>
+    </>
+  )
+}
+
+export default RankedList
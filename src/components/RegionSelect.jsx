@@ -0,0 +1,36 @@
+// ============================================
+// REGION SELECT COMPONENT - Which country's streaming services to show
+// ============================================
+
+import React from 'react'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { regionName } from '../utils/i18n'
+
+// Props:
+// - region: the selected two-letter country code, e.g. 'US'
+// - setRegion: called with the new code
+const RegionSelect = ({ region, setRegion }) => {
+  const { data } = useMovieData('regions')
+  const { locale, t } = useLocale()
+
+  // Country names in the user's language, sorted the way that language sorts them
+  const regions = (data?.results || [])
+    .map((item) => ({ code: item.iso_3166_1, name: regionName(item.iso_3166_1, locale) }))
+    .sort((a, b) => a.name.localeCompare(b.name, locale))
+
+  return (
+    <label className='region-select'>
+      {t('region.label')}
+      <select value={region} onChange={(event) => setRegion(event.target.value)}>
+        {/* Keep the saved region selectable while the list loads (or if TMDB doesn't list it) */}
+        {!regions.some((item) => item.code === region) && <option value={region}>{regionName(region, locale)}</option>}
+        {regions.map((item) => (
+          <option key={item.code} value={item.code}>{item.name}</option>
+        ))}
+      </select>
+    </label>
+  )
+}
+
+export default RegionSelect
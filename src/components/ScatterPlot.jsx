@@ -0,0 +1,57 @@
+// ============================================
+// SCATTER PLOT COMPONENT - My rating against TMDB's, drawn with plain SVG
+// ============================================
+
+import React from 'react'
+
+// Sizes in SVG units - the chart scales to the width of its container
+const SIZE = 300
+const MARGIN = 30
+const MAX_SCORE = 10
+const TICKS = [0, 2, 4, 6, 8, 10]
+
+// Score (0-10) -> position inside the plot area
+const scale = (score) => (score / MAX_SCORE) * (SIZE - MARGIN * 2)
+
+// Props:
+// - title: what screen readers announce for the whole chart
+// - points: [{ key, x, y, label }] - x is TMDB's score, y is the user's, both 0-10
+// - xLabel / yLabel: the axis names
+const ScatterPlot = ({ title, points, xLabel, yLabel }) => {
+  const left = MARGIN
+  const bottom = SIZE - MARGIN
+  const toX = (score) => left + scale(score)
+  const toY = (score) => bottom - scale(score)
+
+  return (
+    <svg className='chart scatter-plot' viewBox={`0 0 ${SIZE} ${SIZE}`} role='img' aria-label={title}>
+      {/* ============================================ */}
+      {/* GRID - Faint lines every 2 points, with the numbers along both axes */}
+      {/* ============================================ */}
+      {TICKS.map((tick) => (
+        <g key={tick}>
+          <line className='grid' x1={toX(tick)} x2={toX(tick)} y1={toY(0)} y2={toY(MAX_SCORE)} />
+          <line className='grid' x1={toX(0)} x2={toX(MAX_SCORE)} y1={toY(tick)} y2={toY(tick)} />
+          <text className='label' x={toX(tick)} y={bottom + 14} textAnchor='middle'>{tick}</text>
+          <text className='label' x={left - 6} y={toY(tick)} textAnchor='end' dominantBaseline='middle'>{tick}</text>
+        </g>
+      ))}
+      <text className='axis-label' x={SIZE / 2} y={SIZE - 2} textAnchor='middle'>{xLabel}</text>
+      <text className='axis-label' x={10} y={SIZE / 2} textAnchor='middle' transform={`rotate(-90 10 ${SIZE / 2})`}>{yLabel}</text>
+
+      {/* The diagonal: dots on it are movies where we agree with TMDB exactly */}
+      <line className='diagonal' x1={toX(0)} y1={toY(0)} x2={toX(MAX_SCORE)} y2={toY(MAX_SCORE)} />
+
+      {/* ============================================ */}
+      {/* POINTS - One dot per movie, above the line = we liked it more */}
+      {/* ============================================ */}
+      {points.map((point) => (
+        <circle key={point.key} className='point' cx={toX(point.x)} cy={toY(point.y)} r={4}>
+          <title>{point.label}</title>
+        </circle>
+      ))}
+    </svg>
+  )
+}
+
+export default ScatterPlot
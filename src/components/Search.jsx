@@ -1,53 +1,249 @@
 // ============================================
-// SEARCH COMPONENT - Search input field with icon
+// SEARCH COMPONENT - Search input with suggestions and recent searches
 // ============================================
 
-// Import React library
-import React from 'react'
+// Import React library and the hooks we need
+import React, { useEffect, useId, useRef, useState } from 'react'
+import { useDebounce } from 'use-debounce'
+import useMovieData from '../hooks/useMovieData'
+import useRecentSearches from '../hooks/useRecentSearches'
+import { navigate } from '../utils/router'
+import { splitHighlight } from '../utils/highlight'
+import { parseQuery } from '../utils/queryParser'
+import TmdbImage from './TmdbImage'
+import useLocale from '../hooks/useLocale'
+
+// How many movie suggestions to show under the input
+const MAX_SUGGESTIONS = 6
+
+// Is the user typing somewhere? Then "/" is just a character, not our shortcut
+const isTypingTarget = (element) =>
+  ['INPUT', 'TEXTAREA', 'SELECT'].includes(element.tagName) || element.isContentEditable
+
+// The title with the part that matches the search wrapped in <mark>
+const Highlighted = ({ text, query }) => splitHighlight(text, query).map((part, index) => (
+  part.match ? <mark key={index}>{part.text}</mark> : <span key={index}>{part.text}</span>
+))
 
 // Search component receives props from parent (App.jsx)
 // PROPS (Properties): data passed from parent to child component
 // Destructuring: {searchTerm, setSearchTerm} extracts these from props object
 const Search = ({searchTerm, setSearchTerm}) => {
-  
+  const { recentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches } = useRecentSearches()
+  const { t } = useLocale()
+
+  // isOpen: is the suggestion list showing?
+  // activeIndex: which option the arrow keys are on (-1 = none, typing goes to the input)
+  const [isOpen, setIsOpen] = useState(false)
+  const [activeIndex, setActiveIndex] = useState(-1)
+
+  const inputRef = useRef(null)
+
+  // Unique ids so aria-controls / aria-activedescendant can point at the list and its options
+  const listId = useId()
+  const optionId = (index) => `${listId}-option-${index}`
+
+  // Suggestions use a shorter delay than the main results, so they feel instant
+  // Only the title text is used - "nolan year:2010" suggests titles for "nolan"
+  // For a plain search the request has the same params as page 1 of the results, so they share one cache entry
+  const titleText = parseQuery(searchTerm).text
+  const [debouncedText] = useDebounce(titleText, 250)
+  const { data } = useMovieData(isOpen && debouncedText ? 'search' : null, { query: debouncedText, page: 1 })
+
+  // The options in the list: movie suggestions while typing, recent searches when the input is empty
+  const options = searchTerm.trim()
+    ? (titleText ? data?.results || [] : []).slice(0, MAX_SUGGESTIONS).map((movie) => ({ type: 'movie', movie }))
+    : recentSearches.map((term) => ({ type: 'recent', term }))
+
+  const showList = isOpen && options.length > 0
+  // The list can get shorter while an option is active - then nothing is active
+  const active = activeIndex < options.length ? activeIndex : -1
+
+  // ============================================
+  // KEYBOARD SHORTCUT - "/" jumps to the search box from anywhere on the page
+  // ============================================
+  useEffect(() => {
+    const handleKeyDown = (event) => {
+      if (event.key !== '/' || event.ctrlKey || event.metaKey || event.altKey || isTypingTarget(event.target)) return
+      event.preventDefault()
+      inputRef.current?.focus()
+    }
+    window.addEventListener('keydown', handleKeyDown)
+    return () => window.removeEventListener('keydown', handleKeyDown)
+  }, [])
+
+  const close = () => {
+    setIsOpen(false)
+    setActiveIndex(-1)
+  }
+
+  // Open a suggested movie, or run a recent search again
+  const choose = (option) => {
+    close()
+    if (option.type === 'movie') {
+      addRecentSearch(searchTerm)
+      navigate(`/movie/${option.movie.id}`)
+    } else {
+      setSearchTerm(option.term)
+      addRecentSearch(option.term)
+    }
+  }
+
+  const clear = () => {
+    setSearchTerm('')
+    setActiveIndex(-1)
+    inputRef.current?.focus()
+  }
+
+  // ============================================
+  // COMBOBOX KEYS - ↑ ↓ move through the options, Enter picks, Escape closes
+  // ============================================
+  const handleKeyDown = (event) => {
+    if (event.key === 'ArrowDown' || event.key === 'ArrowUp') {
+      event.preventDefault()
+      if (!isOpen) {
+        setIsOpen(true)
+        return
+      }
+      if (options.length === 0) return
+      const step = event.key === 'ArrowDown' ? 1 : -1
+      // Wrap around: down from the last option goes back to the first
+      setActiveIndex((active + step + options.length) % options.length)
+    } else if (event.key === 'Enter') {
+      event.preventDefault()
+      if (showList && active !== -1) {
+        choose(options[active])
+      } else {
+        // No option picked - the results below already show this search, just remember it
+        addRecentSearch(searchTerm)
+        close()
+      }
+    } else if (event.key === 'Escape') {
+      if (isOpen) {
+        event.preventDefault()
+        close()
+      }
+    }
+  }
+
   // ============================================
   // RENDER - The search bar UI
   // ============================================
   return (
     // Outer container with "search" class for styling
-    <div className="search">
-      
+    // Closing when focus leaves the whole search box (not when it moves to the clear button)
+    <div
+      className="search"
+      onBlur={(event) => {
+        if (!event.currentTarget.contains(event.relatedTarget)) close()
+      }}
+    >
+
       {/* Inner wrapper div */}
       <div>
-        
+
         {/* Search icon (magnifying glass) displayed before input */}
-        <img src="search.svg" alt="search" />
+        <img src="/search.svg" alt="search" />
 
         {/* ============================================ */}
         {/* TEXT INPUT FIELD - CONTROLLED COMPONENT */}
         {/* ============================================ */}
         {/* This is a "controlled component" - React controls its value */}
-        <input 
+        {/* role='combobox' + aria-*: tells screen readers this input has a suggestion list */}
+        <input
+          ref={inputRef}
           type="text"  // Makes it a text input field
-          placeholder='Search'  // Gray text shown when empty (hint to user)
-          
+          placeholder={t('search.placeholder')}  // Gray text shown when empty (hint to user)
+          role='combobox'
+          aria-label={t('search.label')}
+          aria-autocomplete='list'
+          aria-expanded={showList}
+          aria-controls={listId}
+          aria-activedescendant={showList && active !== -1 ? optionId(active) : undefined}
+
           // VALUE: Makes this a controlled input
           // Input always displays the value from searchTerm state
           // This creates "single source of truth" - state controls what's displayed
           value={searchTerm}
-          
+
           // ONCHANGE: Fires every time user types a character
-          // event: object containing info about the change
-          // event.target: the input element itself
           // event.target.value: the current text in the input
-          // We call setSearchTerm to update the state with new value
-          // This creates a loop: type → onChange → update state → re-render → show new value
-          onChange={(event) => setSearchTerm(event.target.value)} 
+          // Typing also opens the suggestions and resets the arrow-key position
+          onChange={(event) => {
+            setSearchTerm(event.target.value)
+            setIsOpen(true)
+            setActiveIndex(-1)
+          }}
+          onFocus={() => setIsOpen(true)}
+          onClick={() => setIsOpen(true)}
+          onKeyDown={handleKeyDown}
         />
+
+        {/* Clear button - only when there's something to clear */}
+        {searchTerm && (
+          <button type='button' className='clear' aria-label={t('search.clear')} onClick={clear}>✕</button>
+        )}
       </div>
+
+      {/* ============================================ */}
+      {/* SUGGESTIONS - Matching movies, or recent searches */}
+      {/* ============================================ */}
+      {showList && (
+        <div className='suggestions'>
+          {!searchTerm.trim() && (
+            <div className='heading'>
+              <span>{t('search.recent')}</span>
+              <button type='button' onClick={clearRecentSearches}>{t('search.clearAll')}</button>
+            </div>
+          )}
+
+          <ul id={listId} role='listbox' aria-label={searchTerm.trim() ? t('search.suggested') : t('search.recent')}>
+            {options.map((option, index) => (
+              // onMouseDown preventDefault: keeps focus in the input, so the list doesn't close before the click
+              <li
+                key={option.type === 'movie' ? option.movie.id : option.term}
+                id={optionId(index)}
+                role='option'
+                aria-selected={index === active}
+                onMouseDown={(event) => event.preventDefault()}
+                onMouseEnter={() => setActiveIndex(index)}
+                onClick={() => choose(option)}
+              >
+                {option.type === 'movie' ? (
+                  <>
+                    <TmdbImage path={option.movie.poster_path} sizes='32px' alt='' />
+                    <p className='title'><Highlighted text={option.movie.title} query={titleText} /></p>
+                    <p className='year'>
+                      {option.movie.release_date ? option.movie.release_date.split('-')[0] : t('common.notAvailable')}
+                    </p>
+                  </>
+                ) : (
+                  <>
+                    <span className='recent-icon' aria-hidden='true'>↺</span>
+                    <p className='title'>{option.term}</p>
+                    <button
+                      type='button'
+                      className='remove'
+                      tabIndex={-1}
+                      aria-label={t('search.removeRecent', { term: option.term })}
+                      onClick={(event) => {
+                        // Don't also run the search by "clicking" the option underneath
+                        event.stopPropagation()
+                        removeRecentSearch(option.term)
+                      }}
+                    >
+                      ✕
+                    </button>
+                  </>
+                )}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
     </div>
   )
 }
 
 // Export this component so App.jsx can import it
-export default Search
\ No newline at end of file
+export default Search
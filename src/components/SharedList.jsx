@@ -0,0 +1,48 @@
+// ============================================
+// SHARED LIST COMPONENT - A read-only list opened from a share link (/shared#...)
+// ============================================
+
+import React from 'react'
+import Spinner from './Spinner'
+import MovieCard from './MovieCard'
+import useShareCode from '../hooks/useShareCode'
+import { navigate } from '../utils/router'
+import { fromSharePayload } from '../utils/lists'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - code: the share code from the URL (everything after the #)
+// - addList: from useLists - used by "Copy to my lists"
+const SharedList = ({ code, addList }) => {
+  const { t } = useLocale()
+  const { data: list, error, isLoading } = useShareCode(code, fromSharePayload)
+
+  if (!code) return <p className='text-gray-100 mt-[40px]'>{t('share.empty')}</p>
+  if (isLoading) return <Spinner/>
+  if (error) return <p className='text-red-50 mt-[40px]'>{t(`share.error.${error}`)}</p>
+
+  const copyToMyLists = () => {
+    const copy = addList(list)
+    navigate(`/lists/${copy.id}`)
+  }
+
+  return (
+    <section className='shared-list'>
+      <div className='panel'>
+        <p className='meta'>{t('lists.shared')} · {t('lists.movieCount', { count: list.movies.length })}</p>
+        <h2>{list.name}</h2>
+        {list.description && <p className='description'>{list.description}</p>}
+        <button type='button' onClick={copyToMyLists}>{t('lists.copyToMine')}</button>
+      </div>
+
+      {/* Ordered lists are numbered; both kinds use the normal movie grid */}
+      <div className='all-movies'>
+        <ul className={list.ordered ? 'numbered' : undefined}>
+          {list.movies.map((movie) => <MovieCard key={movie.id} movie={movie} />)}
+        </ul>
+      </div>
+    </section>
+  )
+}
+
+export default SharedList
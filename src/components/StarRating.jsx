@@ -0,0 +1,62 @@
+// ============================================
+// STAR RATING COMPONENT - Five stars that can be half filled (1 to 10)
+// ============================================
+
+import React from 'react'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - value: 1 to 10 (each point is half a star), or null for "not rated"
+// - onChange(newValue): called with the new value, or null when cleared
+// - label: what screen readers announce, e.g. "Your rating for Heat"
+const StarRating = ({ value, onChange, label }) => {
+  const { t } = useLocale()
+
+  // Clicking the left half of a star gives an odd number (half star),
+  // the right half an even number (full star)
+  const handleClick = (event, star) => {
+    const { left, width } = event.currentTarget.getBoundingClientRect()
+    const isLeftHalf = event.clientX - left < width / 2
+    const next = star * 2 - (isLeftHalf ? 1 : 0)
+    // Clicking the current value again clears the rating
+    onChange(next === value ? null : next)
+  }
+
+  // Arrow keys change the rating by half a star, Delete/Backspace clears it
+  const handleKeyDown = (event) => {
+    let next
+    if (event.key === 'ArrowRight' || event.key === 'ArrowUp') next = Math.min(10, (value || 0) + 1)
+    else if (event.key === 'ArrowLeft' || event.key === 'ArrowDown') next = Math.max(1, (value || 2) - 1)
+    else if (event.key === 'Delete' || event.key === 'Backspace') next = null
+    else return
+    event.preventDefault()
+    onChange(next)
+  }
+
+  return (
+    // role="slider": screen readers treat the stars like a range input
+    <div
+      className='star-rating'
+      role='slider'
+      tabIndex={0}
+      aria-label={label}
+      aria-valuemin={1}
+      aria-valuemax={10}
+      aria-valuenow={value || undefined}
+      aria-valuetext={value ? t('stars.value', { count: value / 2 }) : t('stars.none')}
+      onKeyDown={handleKeyDown}
+    >
+      {[1, 2, 3, 4, 5].map((star) => {
+        // full: value covers the whole star, half: only the left half
+        const fill = value >= star * 2 ? 'full' : value === star * 2 - 1 ? 'half' : 'empty'
+        return (
+          <span key={star} className={`star ${fill}`} onClick={(event) => handleClick(event, star)} aria-hidden='true'>
+            ★
+          </span>
+        )
+      })}
+    </div>
+  )
+}
+
+export default StarRating
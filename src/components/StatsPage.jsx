@@ -0,0 +1,182 @@
+// ============================================
+// STATS PAGE COMPONENT - What the user's ratings and rankings say about their taste (/stats)
+// ============================================
+
+import React from 'react'
+import Link from './Link'
+import BarChart from './BarChart'
+import ColumnChart from './ColumnChart'
+import ScatterPlot from './ScatterPlot'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { formatNumber, languageName } from '../utils/i18n'
+import {
+  collectStatEntries,
+  compareWithTmdb,
+  ratingDistribution,
+  genreBreakdown,
+  decadeBreakdown,
+  languageBreakdown,
+  highestRated
+} from '../utils/stats'
+
+// How many rows the disagreement list and the genre / language charts show
+const TOP_DISAGREEMENTS = 5
+const TOP_GROUPS = 8
+
+// Props:
+// - library: the library object from useLibrary (ratings, watchlist, watched)
+// - rankedMovies: "My Rankings" - ranked movies count even when they aren't rated
+const StatsPage = ({ library, rankedMovies }) => {
+  const { data: genreData } = useMovieData('genres')
+  const { locale, t } = useLocale()
+
+  const entries = collectStatEntries(library, rankedMovies)
+  const comparison = compareWithTmdb(entries)
+  const genres = genreBreakdown(entries)
+  const decades = decadeBreakdown(entries)
+  const languages = languageBreakdown(entries)
+
+  // Scores like 7.3 and differences like +1.5, written the local way (7,3 in Spanish)
+  const score = (value) => formatNumber(value, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+  const difference = (value) => formatNumber(value, locale, { minimumFractionDigits: 1, maximumFractionDigits: 1, signDisplay: 'exceptZero' })
+
+  // Genre ids -> names in the current language (the id itself until the list has loaded)
+  const genreName = (id) => genreData?.genres?.find((genre) => genre.id === id)?.name || String(id)
+  const decadeName = (decade) => t('stats.decade', { decade: String(decade) })
+
+  // "Highest rated: Crime (9.1)" under a chart, once enough movies are rated
+  const favoriteNote = (groups, nameOf) => {
+    const favorite = highestRated(groups)
+    return favorite && (
+      <p className='note'>{t('stats.highestRated', { name: nameOf(favorite.key), score: score(favorite.averageRating) })}</p>
+    )
+  }
+
+  if (entries.length === 0) {
+    return (
+      <section className='stats-page'>
+        <h2 className='mt-[40px]'>{t('stats.title')}</h2>
+        <p className='text-light-200'>{t('stats.empty')}</p>
+      </section>
+    )
+  }
+
+  return (
+    <section className='stats-page'>
+      <h2 className='mt-[40px]'>{t('stats.title')}</h2>
+      <p className='text-light-200'>
+        {t('stats.summary', { count: entries.length, rated: entries.filter((entry) => entry.rating !== null).length })}
+      </p>
+
+      {/* ============================================ */}
+      {/* MY RATINGS VS TMDB - Where the user agrees with everyone else, and where they don't */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('stats.vsTmdb')}</h3>
+        {comparison.count === 0 ? (
+          <p className='note'>{t('stats.noRatings')}</p>
+        ) : (
+          <>
+            <p className='note'>
+              {t('stats.averages', {
+                mine: score(comparison.averageRating),
+                tmdb: score(comparison.averageTmdb),
+                difference: difference(comparison.averageDifference)
+              })}
+            </p>
+            <div className='vs-tmdb'>
+              <ScatterPlot
+                title={t('stats.vsTmdb')}
+                xLabel={t('stats.tmdbScore')}
+                yLabel={t('stats.myScore')}
+                points={comparison.points.map((point) => ({
+                  key: point.movie.id,
+                  x: point.tmdb,
+                  y: point.rating,
+                  label: `${point.movie.title}: ${score(point.rating)} / ${score(point.tmdb)}`
+                }))}
+              />
+              <div>
+                <h4>{t('stats.disagreements')}</h4>
+                <ol className='disagreements'>
+                  {comparison.points.slice(0, TOP_DISAGREEMENTS).map((point) => (
+                    <li key={point.movie.id}>
+                      <Link to={`/movie/${point.movie.id}`}>{point.movie.title}</Link>
+                      <span>{t('stats.disagreement', { mine: score(point.rating), tmdb: score(point.tmdb) })}</span>
+                      <span className={point.difference > 0 ? 'difference higher' : 'difference lower'}>
+                        {difference(point.difference)}
+                      </span>
+                    </li>
+                  ))}
+                </ol>
+              </div>
+            </div>
+          </>
+        )}
+      </div>
+
+      {/* ============================================ */}
+      {/* RATING DISTRIBUTION - How many movies got each score */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('stats.distribution')}</h3>
+        {comparison.count === 0 && <p className='note'>{t('stats.noRatings')}</p>}
+        <ColumnChart
+          title={t('stats.distribution')}
+          items={ratingDistribution(entries).map((bucket) => ({ key: bucket.score, label: String(bucket.score), value: bucket.count }))}
+        />
+      </div>
+
+      {/* ============================================ */}
+      {/* GENRES AND DECADES - What the user watches most, and what they rate highest */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('stats.genres')}</h3>
+        {genres.length === 0 ? (
+          <p className='note'>{t('stats.noGenres')}</p>
+        ) : (
+          <>
+            <BarChart
+              title={t('stats.genres')}
+              items={genres.slice(0, TOP_GROUPS).map((group) => ({
+                key: group.key,
+                label: genreName(group.key),
+                value: group.count,
+                detail: t('stats.groupDetail', { count: group.count, score: group.averageRating === null ? '–' : score(group.averageRating) })
+              }))}
+            />
+            {favoriteNote(genres, genreName)}
+          </>
+        )}
+      </div>
+
+      <div className='panel'>
+        <h3>{t('stats.decades')}</h3>
+        <ColumnChart
+          title={t('stats.decades')}
+          items={decades.map((group) => ({ key: group.key, label: decadeName(group.key), value: group.count }))}
+        />
+        {favoriteNote(decades, decadeName)}
+      </div>
+
+      {/* ============================================ */}
+      {/* LANGUAGES - Share of movies in each original language */}
+      {/* ============================================ */}
+      <div className='panel'>
+        <h3>{t('stats.languages')}</h3>
+        <BarChart
+          title={t('stats.languages')}
+          items={languages.slice(0, TOP_GROUPS).map((group) => ({
+            key: group.key,
+            label: languageName(group.key, locale),
+            value: group.share
+          }))}
+          formatValue={(share) => formatNumber(share, locale, { style: 'percent' })}
+        />
+      </div>
+    </section>
+  )
+}
+
+export default StatsPage
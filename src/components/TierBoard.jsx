@@ -0,0 +1,176 @@
+// ============================================
+// TIER BOARD COMPONENT - S/A/B/C/D tier list with drag and drop
+// ============================================
+
+import React, { useEffect, useRef, useState } from 'react'
+import TmdbImage from './TmdbImage'
+import useTierBoard from '../hooks/useTierBoard'
+import { findTierId } from '../utils/tiers'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - trayMovies: the current search results - any of them not yet placed
+//   in a tier show up in the "unranked" tray at the bottom
+const TierBoard = ({ trayMovies }) => {
+  const { tiers, moviesById, moveMovie, renameTier, recolorTier, addTier, removeTier } = useTierBoard()
+  const { t } = useLocale()
+
+  // Id of the movie that should get keyboard focus after it moves
+  const [focusMovieId, setFocusMovieId] = useState(null)
+
+  // Message read out by screen readers after every move
+  const [announcement, setAnnouncement] = useState('')
+
+  const boardRef = useRef(null)
+
+  // Movies from the search results that are not in any tier yet
+  const unranked = trayMovies.filter((movie) => findTierId(tiers, movie.id) === null)
+
+  // Rows from top to bottom - the tray is treated as one last row with id null
+  const rows = [
+    ...tiers.map((tier) => ({ ...tier, movies: tier.movieIds.map((id) => moviesById[id]).filter(Boolean) })),
+    { id: null, name: t('tiers.unranked'), movies: unranked }
+  ]
+
+  // Re-focus the moved poster after React has re-rendered the board
+  useEffect(() => {
+    if (focusMovieId === null) return
+    boardRef.current?.querySelector(`[data-movie-id="${focusMovieId}"]`)?.focus()
+  }, [focusMovieId, tiers])
+
+  // Shared by drag-and-drop and the keyboard
+  const place = (movie, tierId, index) => {
+    moveMovie(movie, tierId, index)
+    const row = rows.find((item) => item.id === tierId)
+    setAnnouncement(t('tiers.moved', { title: movie.title, tier: row ? row.name : t('tiers.unranked') }))
+  }
+
+  // ============================================
+  // KEYBOARD - ← → move inside a tier, ↑ ↓ move to the tier above or below
+  // ============================================
+  const handleKeyDown = (event, movie, rowIndex, index) => {
+    const row = rows[rowIndex]
+    let targetRow = rowIndex
+    let targetIndex = index
+
+    if (event.key === 'ArrowLeft') targetIndex = index - 1
+    else if (event.key === 'ArrowRight') targetIndex = index + 1
+    else if (event.key === 'ArrowUp') targetRow = rowIndex - 1
+    else if (event.key === 'ArrowDown') targetRow = rowIndex + 1
+    else return
+
+    event.preventDefault()
+
+    // Nothing above the first tier or below the tray
+    if (targetRow < 0 || targetRow >= rows.length) return
+    // The tray has no saved order, so ← → only work inside real tiers
+    if (targetRow === rowIndex && (row.id === null || targetIndex < 0 || targetIndex >= row.movies.length)) return
+
+    place(movie, rows[targetRow].id, targetIndex)
+    setFocusMovieId(movie.id)
+  }
+
+  // ============================================
+  // DRAG AND DROP - Native HTML5 drag events
+  // ============================================
+
+  // Every movie we can see on the board, so a drop can find the dragged movie by id
+  const lookup = new Map(rows.flatMap((row) => row.movies).map((movie) => [movie.id, movie]))
+
+  const handleDragStart = (event, movie) => {
+    event.dataTransfer.effectAllowed = 'move'
+    event.dataTransfer.setData('text/plain', String(movie.id))
+  }
+
+  const handleDragOver = (event) => {
+    // preventDefault marks this element as a valid drop target
+    event.preventDefault()
+    event.dataTransfer.dropEffect = 'move'
+  }
+
+  // index: drop position inside the tier (undefined = append at the end)
+  const handleDrop = (event, tierId, index) => {
+    event.preventDefault()
+    // stopPropagation: a drop on a poster should not also count as a drop on its row
+    event.stopPropagation()
+    const movie = lookup.get(Number(event.dataTransfer.getData('text/plain')))
+    if (movie) place(movie, tierId, index)
+  }
+
+  return (
+    <div className='tier-board' ref={boardRef}>
+      <p className='text-sm text-gray-100'>
+        {t('tiers.help')}
+      </p>
+
+      {rows.map((row, rowIndex) => (
+        <div
+          key={row.id ?? 'tray'}
+          className={row.id === null ? 'tier tray' : 'tier'}
+          onDragOver={handleDragOver}
+          onDrop={(event) => handleDrop(event, row.id)}
+        >
+          {/* ============================================ */}
+          {/* TIER LABEL - Editable name and color */}
+          {/* ============================================ */}
+          {row.id === null ? (
+            <div className='label'><span>{t('tiers.unranked')}</span></div>
+          ) : (
+            <div className='label' style={{ backgroundColor: row.color }}>
+              <input
+                type='text'
+                value={row.name}
+                aria-label={t('tiers.name')}
+                onChange={(event) => renameTier(row.id, event.target.value)}
+              />
+              <div className='tools'>
+                <input
+                  type='color'
+                  value={row.color}
+                  aria-label={t('tiers.color', { tier: row.name })}
+                  onChange={(event) => recolorTier(row.id, event.target.value)}
+                />
+                <button
+                  type='button'
+                  onClick={() => removeTier(row.id)}
+                  aria-label={t('tiers.remove', { tier: row.name })}
+                >
+                  ✕
+                </button>
+              </div>
+            </div>
+          )}
+
+          {/* ============================================ */}
+          {/* POSTERS - The movies in this tier */}
+          {/* ============================================ */}
+          <ul aria-label={row.name}>
+            {row.movies.map((movie, index) => (
+              <li
+                key={movie.id}
+                data-movie-id={movie.id}
+                tabIndex={0}
+                draggable
+                title={movie.title}
+                aria-label={movie.title}
+                onKeyDown={(event) => handleKeyDown(event, movie, rowIndex, index)}
+                onDragStart={(event) => handleDragStart(event, movie)}
+                onDragOver={handleDragOver}
+                onDrop={(event) => handleDrop(event, row.id, row.id === null ? undefined : index)}
+              >
+                <TmdbImage path={movie.poster_path} sizes='60px' alt='' draggable={false} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+
+      <button type='button' className='add-tier' onClick={() => addTier(t('tiers.newTier'))}>{t('tiers.add')}</button>
+
+      {/* Invisible live region - screen readers announce each move */}
+      <p className='sr-only' aria-live='polite'>{announcement}</p>
+    </div>
+  )
+}
+
+export default TierBoard
@@ -0,0 +1,68 @@
+// ============================================
+// TMDB IMAGE COMPONENT - Posters, backdrops and profile photos
+// ============================================
+// - srcset + sizes: the browser picks the smallest TMDB size that looks sharp
+// - loading='lazy': images far below the screen aren't downloaded until needed
+// - a blurred tiny copy shows while the real image loads
+// - No-Poster.png if there's no image, or it fails to load
+
+import React, { useState } from 'react'
+import {
+  FALLBACK_IMAGE,
+  IMAGE_KINDS,
+  defaultImageUrl,
+  imageSrcSet,
+  placeholderUrl
+} from '../utils/tmdbImages'
+
+// Props:
+// - path: TMDB's poster_path / backdrop_path / profile_path (may be null)
+// - kind: 'poster', 'backdrop', 'profile' or 'logo' (streaming service logos)
+// - sizes: how wide the image is shown, e.g. '92px' or '(min-width: 768px) 33vw, 100vw'
+// - alt: the alt text
+// - priority: true for images at the top of the page - load them straight away
+// - className: extra classes for the wrapper
+// - any other props (e.g. draggable) are passed to the <img>
+const TmdbImage = ({ path, kind = 'poster', sizes = '100vw', alt, priority = false, className = '', ...rest }) => {
+  // Which path has finished loading, or failed - so a new path starts over by itself
+  const [loadedPath, setLoadedPath] = useState(null)
+  const [failedPath, setFailedPath] = useState(null)
+
+  const { width, height } = IMAGE_KINDS[kind]
+
+  if (!path || failedPath === path) {
+    return (
+      <span className={`tmdb-image ${className}`}>
+        <img src={FALLBACK_IMAGE} alt={alt} width={width} height={height} {...rest} />
+      </span>
+    )
+  }
+
+  const isLoaded = loadedPath === path
+
+  return (
+    // --placeholder: the tiny blurred copy, drawn behind the image by index.css until it has loaded
+    <span
+      className={`tmdb-image ${isLoaded ? '' : 'loading'} ${className}`}
+      style={isLoaded ? undefined : { '--placeholder': `url(${placeholderUrl(path, kind)})` }}
+    >
+      <img
+        src={defaultImageUrl(path, kind)}
+        srcSet={imageSrcSet(path, kind)}
+        sizes={sizes}
+        alt={alt}
+        // width / height: only the shape matters - it reserves space before the image arrives
+        width={width}
+        height={height}
+        loading={priority ? 'eager' : 'lazy'}
+        fetchPriority={priority ? 'high' : undefined}
+        decoding='async'
+        onLoad={() => setLoadedPath(path)}
+        onError={() => setFailedPath(path)}
+        {...rest}
+      />
+    </span>
+  )
+}
+
+export default TmdbImage
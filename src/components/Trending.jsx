@@ -0,0 +1,61 @@
+// ============================================
+// TRENDING COMPONENT - Horizontal list of today's / this week's top movies
+// ============================================
+
+import React, { useState } from 'react'
+import Link from './Link'
+import Spinner from './Spinner'
+import TmdbImage from './TmdbImage'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+
+// How many trending movies to show (TMDB sends 20)
+const TRENDING_COUNT = 10
+
+const Trending = () => {
+  // timeWindow: 'day' or 'week' - which trending list TMDB should send
+  const [timeWindow, setTimeWindow] = useState('day')
+  const { t } = useLocale()
+
+  const { data, isLoading, error } = useMovieData('trending', { timeWindow })
+  const movies = (data?.results || []).slice(0, TRENDING_COUNT)
+
+  // Nothing useful to show if trending failed - the main grid has its own error message
+  if (error) return null
+
+  return (
+    <section className='trending'>
+      <div className='heading'>
+        <h2>{t('trending.title')}</h2>
+
+        {/* Day / week toggle - aria-pressed tells screen readers which one is active */}
+        <div className='mode-switch'>
+          <button type='button' aria-pressed={timeWindow === 'day'} onClick={() => setTimeWindow('day')}>
+            {t('trending.today')}
+          </button>
+          <button type='button' aria-pressed={timeWindow === 'week'} onClick={() => setTimeWindow('week')}>
+            {t('trending.week')}
+          </button>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <Spinner/>
+      ) : (
+        <ul>
+          {movies.map((movie, index) => (
+            <li key={movie.id}>
+              {/* The big outlined rank number (styled by fancy-text in index.css) */}
+              <p>{index + 1}</p>
+              <Link to={`/movie/${movie.id}`} aria-label={`${index + 1}. ${movie.title}`}>
+                <TmdbImage path={movie.poster_path} sizes='127px' alt={movie.title} />
+              </Link>
+            </li>
+          ))}
+        </ul>
+      )}
+    </section>
+  )
+}
+
+export default Trending
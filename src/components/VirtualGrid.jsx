@@ -0,0 +1,119 @@
+// ============================================
+// VIRTUAL GRID COMPONENT - A movie grid that only renders the rows on screen
+// ============================================
+// Hundreds of movie cards with big posters make scrolling slow, so rows far
+// above or below the window are left out and replaced by padding of the same
+// height. The grid keeps the normal `.all-movies ul` columns from index.css.
+
+import React, { useEffect, useRef, useState } from 'react'
+import useGridColumns from '../hooks/useGridColumns'
+import { layoutRows, visibleRowRange } from '../utils/virtualGrid'
+
+// Measured row heights per grid (by cacheKey), kept while the app is open so a
+// grid we come back to has the right height straight away - that's what lets
+// the page scroll back to where it was
+const rememberedHeights = new Map()
+
+// Props:
+// - items: everything in the grid
+// - getKey(item): a unique key for each item
+// - renderItem(item): the card for one item
+// - cacheKey: a name for this grid, e.g. 'all-movies' (see rememberedHeights above)
+const VirtualGrid = ({ items, getKey, renderItem, cacheKey }) => {
+  const columns = useGridColumns()
+  const listRef = useRef(null)
+
+  // { columns, heights: { [rowIndex]: pixels } } - heights only make sense for one column count
+  const [measured, setMeasured] = useState(() => rememberedHeights.get(cacheKey) || { columns, heights: {} })
+  const heights = measured.columns === columns ? measured.heights : {}
+
+  // The visible part of the page, in pixels from the top of the grid
+  const [viewport, setViewport] = useState(() => ({ top: 0, height: window.innerHeight }))
+
+  // ============================================
+  // SCROLLING - Track where the window is relative to the grid
+  // ============================================
+  useEffect(() => {
+    let frame = null
+    const update = () => {
+      frame = null
+      const list = listRef.current
+      if (list) setViewport({ top: -list.getBoundingClientRect().top, height: window.innerHeight })
+    }
+    // requestAnimationFrame: at most one update per screen refresh, however fast the scroll events come
+    const schedule = () => {
+      if (frame === null) frame = requestAnimationFrame(update)
+    }
+
+    schedule()
+    window.addEventListener('scroll', schedule, { passive: true })
+    window.addEventListener('resize', schedule)
+    return () => {
+      window.removeEventListener('scroll', schedule)
+      window.removeEventListener('resize', schedule)
+      if (frame !== null) cancelAnimationFrame(frame)
+    }
+  }, [])
+
+  // ============================================
+  // LAYOUT - Which rows to render, and how much empty space around them
+  // ============================================
+  const rowCount = Math.ceil(items.length / columns)
+  const layout = layoutRows(rowCount, heights)
+  const [firstRow, lastRow] = visibleRowRange(layout, viewport.top, viewport.top + viewport.height)
+  const visibleItems = items.slice(firstRow * columns, (lastRow + 1) * columns)
+
+  const paddingTop = rowCount ? layout.offsets[firstRow] : 0
+  const paddingBottom = rowCount && lastRow >= 0
+    ? layout.total - layout.offsets[lastRow] - layout.sizes[lastRow]
+    : 0
+
+  // ============================================
+  // MEASURING - Record the real height of every rendered row
+  // ============================================
+  // Cards in the same row are stretched to the same height, so the first card of a row is enough
+  useEffect(() => {
+    const list = listRef.current
+    if (!list || !('ResizeObserver' in window)) return undefined
+
+    const observer = new ResizeObserver((entries) => {
+      const changes = {}
+      entries.forEach((entry) => {
+        changes[entry.target.dataset.row] = Math.round(entry.borderBoxSize?.[0]?.blockSize ?? entry.target.offsetHeight)
+      })
+      setMeasured((current) => {
+        const base = current.columns === columns ? current.heights : {}
+        if (Object.entries(changes).every(([row, height]) => base[row] === height)) return current
+        return { columns, heights: { ...base, ...changes } }
+      })
+    })
+
+    list.querySelectorAll('[data-row-start]').forEach((item) => observer.observe(item))
+    return () => observer.disconnect()
+  }, [columns, firstRow, lastRow, items])
+
+  // Remember the measurements for the next time this grid is shown
+  useEffect(() => {
+    if (cacheKey) rememberedHeights.set(cacheKey, measured)
+  }, [cacheKey, measured])
+
+  return (
+    <ul ref={listRef} style={{ paddingTop, paddingBottom }}>
+      {visibleItems.map((item, index) => {
+        const position = firstRow * columns + index
+        const isRowStart = position % columns === 0
+        return (
+          <li
+            key={getKey(item)}
+            data-row={Math.floor(position / columns)}
+            data-row-start={isRowStart ? '' : undefined}
+          >
+            {renderItem(item)}
+          </li>
+        )
+      })}
+    </ul>
+  )
+}
+
+export default VirtualGrid
@@ -0,0 +1,52 @@
+// ============================================
+// VOTE PAGE COMPONENT - Rank a group's shortlist from an invite link (/vote#...)
+// ============================================
+
+import React, { useState } from 'react'
+import Spinner from './Spinner'
+import CopyLink from './CopyLink'
+import BallotEditor from './BallotEditor'
+import useShareCode from '../hooks/useShareCode'
+import { encodeShareCode } from '../utils/shareCode'
+import { fromInvitePayload, toBallotPayload } from '../utils/group'
+import useLocale from '../hooks/useLocale'
+
+// Props:
+// - code: the invite share code from the URL (everything after the #)
+const VotePage = ({ code }) => {
+  const { t } = useLocale()
+  const { data: invite, error, isLoading } = useShareCode(code, fromInvitePayload)
+
+  // The finished ballot, waiting to be turned into a link
+  const [ballot, setBallot] = useState(null)
+
+  if (!code) return <p className='text-gray-100 mt-[40px]'>{t('vote.empty')}</p>
+  if (isLoading) return <Spinner/>
+  if (error) return <p className='text-red-50 mt-[40px]'>{t(`share.error.${error}`)}</p>
+
+  // The ballot link opens the organiser's session page, which offers to add it
+  const makeBallotUrl = async () =>
+    `${window.location.origin}/group/${invite.sessionId}#${await encodeShareCode(toBallotPayload(invite.sessionId, ballot))}`
+
+  return (
+    <section className='group-session'>
+      <h2 className='mt-[40px]'>{invite.name}</h2>
+
+      {ballot ? (
+        <div className='panel'>
+          <h3>{t('vote.thanks', { voter: ballot.voter })}</h3>
+          <p className='text-sm text-gray-100'>{t('vote.sendBack')}</p>
+          <CopyLink label={t('vote.copyBallot')} makeUrl={makeBallotUrl} note={t('vote.ballotNote')} />
+          <button type='button' onClick={() => setBallot(null)}>{t('vote.change')}</button>
+        </div>
+      ) : (
+        <div className='panel'>
+          <h3>{t('vote.rank', { count: invite.movies.length })}</h3>
+          <BallotEditor movies={invite.movies} submitLabel={t('vote.submit')} onSubmit={setBallot} />
+        </div>
+      )}
+    </section>
+  )
+}
+
+export default VotePage
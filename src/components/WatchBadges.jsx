@@ -0,0 +1,46 @@
+// ============================================
+// WATCH BADGES COMPONENT - "On Netflix" logos under a movie card
+// ============================================
+
+import React from 'react'
+import ProviderLogo from './ProviderLogo'
+import useInView from '../hooks/useInView'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { includedWithServices } from '../utils/watch'
+
+// Props:
+// - movieId: the TMDB id of the movie
+// - watch: the user's region and services (see hooks/useWatchSettings.js)
+//
+// Request cost: one watchProviders request per card, sent the first time the card comes
+// within 200px of the screen - not for every card in the grid. Answers are cached (see
+// api/responseCache.js), and at most 4 are on their way at once (see api/movieApi.js), so
+// a long grid doesn't spend the proxy's 40 requests per 10 seconds in one burst.
+// Nothing is asked when the user hasn't picked any services - there'd be nothing to show.
+const WatchBadges = ({ movieId, watch }) => {
+  const [sentinelRef, hasBeenInView] = useInView('200px')
+  const hasServices = watch.serviceIds.length > 0
+  const { data } = useMovieData(hasServices && hasBeenInView ? 'watchProviders' : null, { id: movieId })
+  const included = includedWithServices(data, watch.region, watch.serviceIds)
+  const { locale, t } = useLocale()
+
+  // An empty marker for useInView to watch until the card has been on screen
+  if (hasServices && !hasBeenInView) return <span className='watch-badges-sentinel' ref={sentinelRef} />
+  if (included.length === 0) return null
+
+  return (
+    // Intl.ListFormat joins the names the local way: "Netflix and Max" / "Netflix y Max"
+    <div
+      className='watch-badges'
+      aria-label={t('watch.includedWith', {
+        services: new Intl.ListFormat(locale).format(included.map((provider) => provider.provider_name))
+      })}
+    >
+      <span>{t('watch.on')}</span>
+      {included.map((provider) => <ProviderLogo key={provider.provider_id} provider={provider} size={24} />)}
+    </div>
+  )
+}
+
+export default WatchBadges
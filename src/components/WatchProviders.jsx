@@ -0,0 +1,61 @@
+// ============================================
+// WATCH PROVIDERS COMPONENT - Where to stream, rent or buy a movie
+// ============================================
+
+import React from 'react'
+import ProviderLogo from './ProviderLogo'
+import RegionSelect from './RegionSelect'
+import useMovieData from '../hooks/useMovieData'
+import useLocale from '../hooks/useLocale'
+import { regionAvailability } from '../utils/watch'
+
+// Props:
+// - movieId: the TMDB id of the movie
+// - watch: the user's region and services (see hooks/useWatchSettings.js)
+const WatchProviders = ({ movieId, watch }) => {
+  const { data, isLoading, error } = useMovieData('watchProviders', { id: movieId })
+  const { link, groups } = regionAvailability(data, watch.region)
+  const { t } = useLocale()
+
+  // Availability is a nice extra - if it fails, the rest of the page is still useful
+  if (error) return null
+
+  return (
+    <div className='where-to-watch'>
+      <div className='heading'>
+        <h3>{t('watch.title')}</h3>
+        <RegionSelect region={watch.region} setRegion={watch.setRegion} />
+      </div>
+
+      {isLoading ? (
+        <p className='empty'>{t('watch.loading')}</p>
+      ) : groups.length === 0 ? (
+        <p className='empty'>{t('watch.none')}</p>
+      ) : (
+        <>
+          {groups.map((group) => (
+            <div key={group.key} className='offer-group'>
+              <p className='label'>{t(`offer.${group.key}`)}</p>
+              <ul>
+                {group.providers.map((provider) => (
+                  // mine: one of the user's own services - highlighted
+                  <li key={provider.provider_id} className={watch.serviceIds.includes(provider.provider_id) ? 'mine' : ''}>
+                    <ProviderLogo provider={provider} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ))}
+
+          {/* TMDB's availability comes from JustWatch, and they ask for credit */}
+          <p className='attribution'>
+            {t('watch.attribution')}{' '}
+            {link && <a href={link} target='_blank' rel='noreferrer'>{t('watch.allOptions')}</a>}
+          </p>
+        </>
+      )}
+    </div>
+  )
+}
+
+export default WatchProviders
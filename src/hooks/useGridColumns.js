@@ -0,0 +1,20 @@
+// ============================================
+// useGridColumns HOOK - How many columns the movie grid has right now
+// ============================================
+
+import { useSyncExternalStore } from 'react'
+import { GRID_COLUMNS } from '../utils/virtualGrid'
+
+// The first breakpoint that matches wins, so GRID_COLUMNS is ordered widest first
+const getColumns = () => GRID_COLUMNS.find(({ query }) => window.matchMedia(query).matches)?.columns ?? 1
+
+// Re-render whenever the window crosses one of the breakpoints
+const subscribe = (callback) => {
+  const queries = GRID_COLUMNS.map(({ query }) => window.matchMedia(query))
+  queries.forEach((query) => query.addEventListener('change', callback))
+  return () => queries.forEach((query) => query.removeEventListener('change', callback))
+}
+
+const useGridColumns = () => useSyncExternalStore(subscribe, getColumns)
+
+export default useGridColumns
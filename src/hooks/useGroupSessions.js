@@ -0,0 +1,48 @@
+// ============================================
+// useGroupSessions HOOK - Saved group ranking sessions
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { createSession, saveBallot as addBallot } from '../utils/group'
+
+// sessions: every session, newest first - see utils/group.js for the shape of a session
+const useGroupSessions = () => {
+  const [sessions, setSessions] = useLocalStorage('group-sessions', [])
+
+  const changeSession = useCallback((sessionId, change) => {
+    setSessions((current) => current.map((session) => (session.id === sessionId ? change(session) : session)))
+  }, [setSessions])
+
+  const getSession = useCallback(
+    (sessionId) => sessions.find((session) => session.id === sessionId) || null,
+    [sessions]
+  )
+
+  // Returns the new session, so the caller can open it straight away
+  const addSession = useCallback((details) => {
+    const session = createSession(details)
+    setSessions((current) => [session, ...current])
+    return session
+  }, [setSessions])
+
+  const deleteSession = useCallback((sessionId) => {
+    setSessions((current) => current.filter((session) => session.id !== sessionId))
+  }, [setSessions])
+
+  // ballot: { voter, order } - replaces an earlier ballot from the same person
+  const saveBallot = useCallback((sessionId, ballot) => {
+    changeSession(sessionId, (session) => addBallot(session, ballot))
+  }, [changeSession])
+
+  const removeBallot = useCallback((sessionId, voter) => {
+    changeSession(sessionId, (session) => ({
+      ...session,
+      ballots: session.ballots.filter((ballot) => ballot.voter !== voter)
+    }))
+  }, [changeSession])
+
+  return { sessions, getSession, addSession, deleteSession, saveBallot, removeBallot }
+}
+
+export default useGroupSessions
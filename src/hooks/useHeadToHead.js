@@ -0,0 +1,113 @@
+// ============================================
+// useHeadToHead HOOK - "Which is better?" comparisons with Elo ratings
+// ============================================
+
+import { useCallback, useMemo } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { computeRatings, sortByRating, DEFAULT_RATING } from '../utils/elo'
+
+// Compare two [a, b, c] score arrays column by column, like sorting by several columns
+// Returns a negative number when "left" should come first
+const compareScores = (left, right) => {
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] !== right[i]) return left[i] - right[i]
+  }
+  return 0
+}
+
+// Choose the next two movies to compare
+// We prefer pairs that have been compared the fewest times, then movies that have
+// been seen the least overall, then movies with the closest ratings (the most
+// informative match-ups). It is deterministic, so it is safe to call while rendering.
+const pickPair = (movies, comparisons, ratings) => {
+  if (movies.length < 2) return null
+
+  // Count how often each movie and each pair has been compared
+  const movieCounts = {}
+  const pairCounts = {}
+  comparisons.forEach(({ winnerId, loserId }) => {
+    movieCounts[winnerId] = (movieCounts[winnerId] || 0) + 1
+    movieCounts[loserId] = (movieCounts[loserId] || 0) + 1
+    const key = [winnerId, loserId].sort().join(':')
+    pairCounts[key] = (pairCounts[key] || 0) + 1
+  })
+
+  let best = null
+  let bestScore = null
+  for (let i = 0; i < movies.length; i++) {
+    for (let j = i + 1; j < movies.length; j++) {
+      const a = movies[i]
+      const b = movies[j]
+      const score = [
+        pairCounts[[a.id, b.id].sort().join(':')] || 0,
+        (movieCounts[a.id] || 0) + (movieCounts[b.id] || 0),
+        Math.abs((ratings[a.id] ?? DEFAULT_RATING) - (ratings[b.id] ?? DEFAULT_RATING))
+      ]
+      if (!bestScore || compareScores(score, bestScore) < 0) {
+        best = [a, b]
+        bestScore = score
+      }
+    }
+  }
+  return best
+}
+
+// movies: the pool of movies to compare (the user's ranked list)
+const useHeadToHead = (movies) => {
+  // Every comparison ever made, oldest first - ratings are rebuilt from this history
+  const [comparisons, setComparisons] = useLocalStorage('comparisons', [])
+
+  // Only replay comparisons between movies that are still in the pool
+  const relevantComparisons = useMemo(() => {
+    const ids = new Set(movies.map((movie) => movie.id))
+    return comparisons.filter(({ winnerId, loserId }) => ids.has(winnerId) && ids.has(loserId))
+  }, [comparisons, movies])
+
+  const ratings = useMemo(
+    () => computeRatings(relevantComparisons, movies.map((movie) => movie.id)),
+    [relevantComparisons, movies]
+  )
+
+  const rankedByRating = useMemo(() => sortByRating(movies, ratings), [movies, ratings])
+
+  const pair = useMemo(
+    () => pickPair(movies, relevantComparisons, ratings),
+    [movies, relevantComparisons, ratings]
+  )
+
+  // Record a comparison - winnerId beat loserId (or they tied if isDraw is true)
+  const recordResult = useCallback((winnerId, loserId, isDraw = false) => {
+    setComparisons((current) => [
+      ...current,
+      { winnerId, loserId, isDraw, createdAt: new Date().toISOString() }
+    ])
+  }, [setComparisons])
+
+  // Drop the most recent comparison between movies in this pool - the ratings are recomputed automatically
+  // (the history is shared, so the very last comparison may belong to a different pool)
+  const undo = useCallback(() => {
+    const ids = new Set(movies.map((movie) => movie.id))
+    setComparisons((current) => {
+      const index = current.findLastIndex(({ winnerId, loserId }) => ids.has(winnerId) && ids.has(loserId))
+      return index === -1 ? current : current.filter((item, itemIndex) => itemIndex !== index)
+    })
+  }, [movies, setComparisons])
+
+  // Forget every comparison and start all movies from the default rating again
+  const reset = useCallback(() => {
+    setComparisons([])
+  }, [setComparisons])
+
+  return {
+    comparisons,
+    comparisonCount: relevantComparisons.length,
+    ratings,
+    rankedByRating,
+    pair,
+    recordResult,
+    undo,
+    reset
+  }
+}
+
+export default useHeadToHead
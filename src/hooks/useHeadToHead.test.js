@@ -0,0 +1,40 @@
+// @vitest-environment jsdom
+// ============================================
+// useHeadToHead HOOK TESTS - npm test
+// ============================================
+
+import { act, cleanup, renderHook } from '@testing-library/react'
+import { afterEach, describe, expect, it } from 'vitest'
+import useHeadToHead from './useHeadToHead'
+
+const movies = [{ id: 1 }, { id: 2 }, { id: 3 }]
+
+// Vitest globals are off, so Testing Library can't unmount by itself
+afterEach(() => {
+  cleanup()
+  window.localStorage.clear()
+})
+
+describe('useHeadToHead undo', () => {
+  it('drops the last comparison in this pool, even if another pool was used since', () => {
+    const { result } = renderHook(() => useHeadToHead(movies))
+    act(() => result.current.recordResult(1, 2))
+    act(() => result.current.recordResult(2, 3))
+    // The same history also holds a comparison between movies outside this pool
+    act(() => result.current.recordResult(8, 9))
+
+    act(() => result.current.undo())
+
+    expect(result.current.comparisons.map(({ winnerId, loserId }) => [winnerId, loserId])).toEqual([[1, 2], [8, 9]])
+    expect(result.current.comparisonCount).toBe(1)
+  })
+
+  it('does nothing when this pool has no comparisons', () => {
+    const { result } = renderHook(() => useHeadToHead(movies))
+    act(() => result.current.recordResult(8, 9))
+
+    act(() => result.current.undo())
+
+    expect(result.current.comparisons).toHaveLength(1)
+  })
+})
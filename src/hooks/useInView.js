@@ -0,0 +1,32 @@
+// ============================================
+// useInView HOOK - Has this element been on screen yet?
+// ============================================
+// For work that only matters once the user can see it, like loading the
+// streaming logos under a movie card (see components/WatchBadges.jsx).
+
+import { useEffect, useRef, useState } from 'react'
+
+// rootMargin: how far outside the window still counts, e.g. '200px' to start a little early
+// Returns [ref, hasBeenInView] - put ref on the element; hasBeenInView stays true once it's been seen
+const useInView = (rootMargin = '0px') => {
+  const ref = useRef(null)
+  // Older browsers without IntersectionObserver treat everything as visible
+  const [hasBeenInView, setHasBeenInView] = useState(() => !('IntersectionObserver' in window))
+
+  useEffect(() => {
+    const element = ref.current
+    if (!element || hasBeenInView) return undefined
+
+    const observer = new IntersectionObserver((entries) => {
+      if (entries.some((entry) => entry.isIntersecting)) setHasBeenInView(true)
+    }, { rootMargin })
+
+    observer.observe(element)
+    // Cleanup: stop watching once it's been seen, or when the component goes away
+    return () => observer.disconnect()
+  }, [rootMargin, hasBeenInView])
+
+  return [ref, hasBeenInView]
+}
+
+export default useInView
@@ -0,0 +1,77 @@
+// ============================================
+// useLibrary HOOK - Watchlist, "seen it" dates and personal ratings
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { toMovieSummary } from '../utils/movies'
+import { emptyEntry, isEmptyEntry, today } from '../utils/library'
+
+const useLibrary = () => {
+  // { [movieId]: entry } - see utils/library.js for the shape of an entry
+  const [library, setLibrary] = useLocalStorage('library', {})
+
+  // Change one movie's entry, creating it if needed and deleting it once it's empty
+  // The saved summary is refreshed too, so entries saved before we kept genres pick them up
+  const updateEntry = useCallback((movie, changes) => {
+    setLibrary((current) => {
+      const summary = toMovieSummary({ ...current[movie.id]?.movie, ...movie })
+      const entry = {
+        ...emptyEntry(summary),
+        ...current[movie.id],
+        movie: summary,
+        ...changes
+      }
+      const next = { ...current }
+      if (isEmptyEntry(entry)) {
+        delete next[movie.id]
+      } else {
+        next[movie.id] = entry
+      }
+      return next
+    })
+  }, [setLibrary])
+
+  const getEntry = useCallback((movieId) => library[movieId] || null, [library])
+
+  const toggleWatchlist = useCallback((movie) => {
+    const onWatchlist = !library[movie.id]?.onWatchlist
+    updateEntry(movie, { onWatchlist, addedAt: onWatchlist ? new Date().toISOString() : null })
+  }, [library, updateEntry])
+
+  // date: 'YYYY-MM-DD' - defaults to today; pass null to un-mark
+  const setWatched = useCallback((movie, date = today()) => {
+    // Seeing a movie takes it off the watchlist
+    updateEntry(movie, date ? { watchedAt: date, onWatchlist: false } : { watchedAt: null })
+  }, [updateEntry])
+
+  // rating: 1 to 10 in steps of 0.5, or null to clear it
+  const rateMovie = useCallback((movie, rating) => {
+    updateEntry(movie, { rating })
+  }, [updateEntry])
+
+  const setNote = useCallback((movie, note) => {
+    updateEntry(movie, { note })
+  }, [updateEntry])
+
+  // Merge imported rows into the library (used by import)
+  // items: [{ movie, onWatchlist, watchedAt, rating, note }] - undefined fields are left alone
+  const importEntries = useCallback((items) => {
+    setLibrary((current) => {
+      const next = { ...current }
+      items.forEach(({ movie, ...fields }) => {
+        const changes = Object.fromEntries(
+          Object.entries(fields).filter(([, value]) => value !== undefined)
+        )
+        const entry = { ...(next[movie.id] || emptyEntry(toMovieSummary(movie))), ...changes }
+        if (entry.onWatchlist && !entry.addedAt) entry.addedAt = new Date().toISOString()
+        if (!isEmptyEntry(entry)) next[movie.id] = entry
+      })
+      return next
+    })
+  }, [setLibrary])
+
+  return { library, getEntry, toggleWatchlist, setWatched, rateMovie, setNote, importEntries }
+}
+
+export default useLibrary
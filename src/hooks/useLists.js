@@ -0,0 +1,71 @@
+// ============================================
+// useLists HOOK - The user's named movie lists
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { toMovieSummary } from '../utils/movies'
+import { moveItem } from '../utils/reorder'
+import { copyName, createList } from '../utils/lists'
+
+// lists: every list, newest first - see utils/lists.js for the shape of a list
+const useLists = () => {
+  const [lists, setLists] = useLocalStorage('lists', [])
+
+  // Change one list and stamp it as updated
+  const changeList = useCallback((listId, change) => {
+    setLists((current) => current.map((list) => (
+      list.id === listId ? { ...list, ...change(list), updatedAt: new Date().toISOString() } : list
+    )))
+  }, [setLists])
+
+  const getList = useCallback((listId) => lists.find((list) => list.id === listId) || null, [lists])
+
+  // Returns the new list, so the caller can open it straight away
+  const addList = useCallback((details) => {
+    const list = createList(details)
+    setLists((current) => [list, ...current])
+    return list
+  }, [setLists])
+
+  // changes: any of { name, description, ordered }
+  const updateList = useCallback((listId, changes) => {
+    changeList(listId, () => changes)
+  }, [changeList])
+
+  const duplicateList = useCallback((listId) => {
+    const original = lists.find((list) => list.id === listId)
+    if (!original) return null
+    return addList({ ...original, name: copyName(original.name, lists.map((list) => list.name)) })
+  }, [lists, addList])
+
+  const deleteList = useCallback((listId) => {
+    setLists((current) => current.filter((list) => list.id !== listId))
+  }, [setLists])
+
+  // ============================================
+  // MOVIES IN A LIST
+  // ============================================
+
+  // New movies go to the bottom, and a movie can only be in a list once
+  const addToList = useCallback((listId, movie) => {
+    changeList(listId, (list) => ({
+      movies: list.movies.some((item) => item.id === movie.id)
+        ? list.movies
+        : [...list.movies, toMovieSummary(movie)]
+    }))
+  }, [changeList])
+
+  const removeFromList = useCallback((listId, movieId) => {
+    changeList(listId, (list) => ({ movies: list.movies.filter((movie) => movie.id !== movieId) }))
+  }, [changeList])
+
+  // Move the movie at position "from" to position "to" (both 0-based)
+  const moveInList = useCallback((listId, from, to) => {
+    changeList(listId, (list) => ({ movies: moveItem(list.movies, from, to) }))
+  }, [changeList])
+
+  return { lists, getList, addList, updateList, duplicateList, deleteList, addToList, removeFromList, moveInList }
+}
+
+export default useLists
@@ -0,0 +1,32 @@
+// ============================================
+// useLocalStorage HOOK - useState that survives page reloads
+// ============================================
+
+import { useEffect, useState } from 'react'
+import { loadJSON, saveJSON, STORAGE_CHANGE_EVENT } from '../utils/storage'
+
+// Works exactly like useState, but the value is read from localStorage on the
+// first render and written back every time it changes
+// Pattern: const [value, setValue] = useLocalStorage('key', initialValue)
+const useLocalStorage = (key, initialValue) => {
+  // The function form of useState only runs once, so we only read storage once
+  const [value, setValue] = useState(() => loadJSON(key, initialValue))
+
+  // Write the new value to storage whenever it changes
+  useEffect(() => {
+    saveJSON(key, value)
+  }, [key, value])
+
+  // Pick up values written outside this hook with replaceJSON (e.g. by an import)
+  useEffect(() => {
+    const handleChange = (event) => {
+      if (event.detail.key === key) setValue((current) => loadJSON(key, current))
+    }
+    window.addEventListener(STORAGE_CHANGE_EVENT, handleChange)
+    return () => window.removeEventListener(STORAGE_CHANGE_EVENT, handleChange)
+  }, [key])
+
+  return [value, setValue]
+}
+
+export default useLocalStorage
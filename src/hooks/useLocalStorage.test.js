@@ -0,0 +1,43 @@
+// @vitest-environment jsdom
+// ============================================
+// useLocalStorage HOOK TESTS - npm test
+// ============================================
+
+import { act, cleanup, renderHook } from '@testing-library/react'
+import { afterEach, describe, expect, it } from 'vitest'
+import useLocalStorage from './useLocalStorage'
+import { loadJSON, replaceJSON, saveJSON } from '../utils/storage'
+
+// Vitest globals are off, so Testing Library can't unmount by itself
+afterEach(() => {
+  cleanup()
+  window.localStorage.clear()
+})
+
+describe('useLocalStorage', () => {
+  it('starts from the stored value and saves changes', () => {
+    saveJSON('comparisons', [1])
+    const { result } = renderHook(() => useLocalStorage('comparisons', []))
+    expect(result.current[0]).toEqual([1])
+
+    act(() => result.current[1]([1, 2]))
+    expect(loadJSON('comparisons', null)).toEqual([1, 2])
+  })
+
+  it('picks up a value written with replaceJSON instead of overwriting it', () => {
+    const { result } = renderHook(() => useLocalStorage('comparisons', []))
+
+    act(() => replaceJSON('comparisons', [3]))
+    expect(result.current[0]).toEqual([3])
+
+    // The hook's next change builds on the replaced value
+    act(() => result.current[1]((current) => [...current, 4]))
+    expect(loadJSON('comparisons', null)).toEqual([3, 4])
+  })
+
+  it('ignores replaceJSON for other keys', () => {
+    const { result } = renderHook(() => useLocalStorage('comparisons', []))
+    act(() => replaceJSON('lists', [5]))
+    expect(result.current[0]).toEqual([])
+  })
+})
@@ -0,0 +1,17 @@
+// ============================================
+// useLocale HOOK - The app's language, re-rendering whenever it changes
+// ============================================
+
+import { useCallback, useSyncExternalStore } from 'react'
+import { getLocale, setLocale, subscribeToLocale, translate } from '../utils/i18n'
+
+// Returns { locale, setLocale, t }
+// - locale: e.g. 'en-US' - pass it to the formatters in utils/i18n.js
+// - t(key, params): the translated message, e.g. t('detail.votes', { count: 12 })
+const useLocale = () => {
+  const locale = useSyncExternalStore(subscribeToLocale, getLocale)
+  const t = useCallback((key, params) => translate(locale, key, params), [locale])
+  return { locale, setLocale, t }
+}
+
+export default useLocale
@@ -0,0 +1,22 @@
+// ============================================
+// useLocation HOOK - The current address, re-rendering whenever it changes
+// ============================================
+
+import { useSyncExternalStore } from 'react'
+import { subscribeToLocation } from '../utils/router'
+
+// useSyncExternalStore lets React read a value that lives outside React
+// (here: window.location) and re-render when it changes
+const getPathname = () => window.location.pathname
+const getSearch = () => window.location.search
+const getHash = () => window.location.hash
+
+// Returns { pathname, search, hash } - e.g. { pathname: '/movie/550', search: '?q=fight', hash: '' }
+const useLocation = () => {
+  const pathname = useSyncExternalStore(subscribeToLocation, getPathname)
+  const search = useSyncExternalStore(subscribeToLocation, getSearch)
+  const hash = useSyncExternalStore(subscribeToLocation, getHash)
+  return { pathname, search, hash }
+}
+
+export default useLocation
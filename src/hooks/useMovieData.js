@@ -0,0 +1,66 @@
+// ============================================
+// useMovieData HOOK - Load any single response (details, genres, trending...)
+// ============================================
+// Same rules as useMovies: cached copies show instantly, stale ones are refreshed
+// in the background, and changing the request cancels the old one.
+
+import { useCallback, useEffect, useState } from 'react'
+import { getCachedMovieData, requestMovieData } from '../api/movieApi'
+import useLocale from './useLocale'
+
+// method: a provider method, e.g. 'details' (see api/movieApi.js) - pass null to skip loading
+// params: its parameters, e.g. { id: 550 }
+// Returns { data, isLoading, error, retry } - retry() sends the same request again
+const useMovieData = (method, params = {}) => {
+  // Switching language asks again, for titles and overviews in the new language
+  const { locale } = useLocale()
+
+  // One string that changes whenever the request changes - used as the effect dependency
+  // so a new params object with the same contents doesn't trigger a new request
+  const requestKey = method ? JSON.stringify([method, params, locale]) : null
+
+  const [state, setState] = useState({ requestKey: null, data: null, isLoading: false, error: null })
+
+  // Bumped by retry() - it's an effect dependency, so changing it runs the request again
+  const [attempt, setAttempt] = useState(0)
+  const retry = useCallback(() => setAttempt((count) => count + 1), [])
+
+  useEffect(() => {
+    if (!requestKey) return undefined
+    const [requestMethod, requestParams] = JSON.parse(requestKey)
+    const controller = new AbortController()
+
+    const load = async () => {
+      const cached = getCachedMovieData(requestMethod, requestParams)
+      setState({ requestKey, data: cached?.data ?? null, isLoading: !cached, error: null })
+      // Fresh enough - no need to ask TMDB again
+      if (cached?.isFresh) return
+
+      try {
+        const data = await requestMovieData(requestMethod, requestParams, { signal: controller.signal })
+        if (controller.signal.aborted) return
+        setState({ requestKey, data, isLoading: false, error: null })
+      } catch (error) {
+        // Aborted on purpose, or a background refresh failed while we have a cached copy
+        if (controller.signal.aborted || cached) return
+        console.log(`Error fetching ${requestMethod}: ${error}`)
+        setState({ requestKey, data: null, isLoading: false, error })
+      }
+    }
+
+    load()
+    // Cleanup: cancel the request if it changes or the component goes away
+    return () => controller.abort()
+  }, [requestKey, attempt])
+
+  // Until the effect above has run for a new request, the state still belongs
+  // to the previous one - show the cached copy if there is one, otherwise report "loading"
+  // (so a page we come back to has its full height straight away, see useScrollRestoration)
+  if (state.requestKey !== requestKey) {
+    const cached = requestKey ? getCachedMovieData(method, params) : null
+    return { data: cached?.data ?? null, isLoading: Boolean(requestKey) && !cached, error: null, retry }
+  }
+  return { data: state.data, isLoading: state.isLoading, error: state.error, retry }
+}
+
+export default useMovieData
@@ -0,0 +1,128 @@
+// ============================================
+// useMovies HOOK - Loads search / discover results page by page
+// ============================================
+// Each new query cancels the request that was still running for the old one,
+// so a slow response for "bat" can never overwrite the results for "batman".
+// Cached pages show up instantly, and are refreshed in the background when stale.
+
+import { useCallback, useEffect, useReducer, useRef } from 'react'
+import { fetchMoviePage, getCachedMoviePage } from '../api/movieApi'
+import { mergeUniqueMovies } from '../utils/movies'
+import useLocale from './useLocale'
+
+const initialState = {
+  movies: [],          // Every movie loaded so far for the current query
+  page: 0,             // The last page we loaded (0 = nothing yet)
+  totalPages: 0,       // How many pages TMDB says there are
+  isLoading: false,    // True while page 1 loads (the grid shows a spinner)
+  isLoadingMore: false, // True while page 2, 3, ... loads (the grid stays visible)
+  error: null         // The last error (an ApiError from api/errors.js), or null
+}
+
+// A reducer keeps all the related state changes for one event in one place
+// so loading, data and error can never disagree with each other
+const reducer = (state, action) => {
+  switch (action.type) {
+    case 'start':
+      return action.page === 1
+        ? { ...initialState, isLoading: true }
+        : { ...state, isLoadingMore: true, error: null }
+    case 'success':
+      return {
+        ...state,
+        // Page 1 starts a fresh list, later pages are added to the end without duplicates
+        movies: action.page === 1 ? action.results : mergeUniqueMovies(state.movies, action.results),
+        page: action.page,
+        totalPages: action.totalPages,
+        isLoading: false,
+        isLoadingMore: false,
+        error: null
+      }
+    case 'error':
+      return { ...state, isLoading: false, isLoadingMore: false, error: action.error }
+    default:
+      return state
+  }
+}
+
+// query: the (already debounced) search term - '' shows popular movies
+// filters: the discover filter panel's state (see utils/discover.js)
+// minPage: keep loading pages until at least this many are shown (restoring ?page=3 from a link)
+const useMovies = (query, filters, minPage = 1) => {
+  const [state, dispatch] = useReducer(reducer, initialState)
+  const { locale } = useLocale()
+
+  // The AbortController for the request that is running right now
+  const controllerRef = useRef(null)
+
+  const load = useCallback(async (searchQuery, filters, page) => {
+    // Cancel whatever was still loading - only the newest request may update the state
+    controllerRef.current?.abort()
+    const controller = new AbortController()
+    controllerRef.current = controller
+
+    // Show a cached copy straight away if we have one - otherwise show the spinner
+    const cached = getCachedMoviePage({ query: searchQuery, page, filters })
+    const showPage = (data) => dispatch({
+      type: 'success',
+      page,
+      results: data.results || [],
+      totalPages: data.total_pages || 1
+    })
+
+    if (cached) {
+      showPage(cached.data)
+      // Fresh enough - no need to ask TMDB again
+      if (cached.isFresh) return
+    } else {
+      dispatch({ type: 'start', page })
+    }
+
+    try {
+      const data = await fetchMoviePage({ query: searchQuery, page, filters, signal: controller.signal })
+      // A newer request started while we were waiting - throw this response away
+      if (controller.signal.aborted) return
+      showPage(data)
+    } catch (error) {
+      // Aborted on purpose - not a real error, and a newer request owns the state now
+      if (controller.signal.aborted) return
+      console.log(`Error fetching movies: ${error}`)
+      // A background refresh failed - keep showing the cached copy instead of an error
+      if (cached) return
+      dispatch({ type: 'error', error })
+    }
+  }, [])
+
+  // One string for the filters, so a new object with the same values doesn't refetch
+  const filtersKey = JSON.stringify(filters ?? null)
+
+  // Start again from page 1 whenever the query, the filters or the language change
+  // (movieApi reads the language itself - it's only here to trigger the reload)
+  useEffect(() => {
+    load(query, JSON.parse(filtersKey), 1)
+    // Cleanup: cancel the request if the query changes again or the component goes away
+    return () => controllerRef.current?.abort()
+  }, [query, filtersKey, locale, load])
+
+  const hasMore = state.page < state.totalPages
+
+  // Ask for the next page - ignored while something is already loading or on the last page
+  const loadMore = useCallback(() => {
+    if (state.isLoading || state.isLoadingMore || !hasMore) return
+    load(query, JSON.parse(filtersKey), state.page + 1)
+  }, [state.isLoading, state.isLoadingMore, state.page, hasMore, query, filtersKey, load])
+
+  // Try the page that failed again - page 1 if nothing loaded, otherwise the next one
+  const retry = useCallback(() => {
+    load(query, JSON.parse(filtersKey), state.page + 1)
+  }, [state.page, query, filtersKey, load])
+
+  // Restoring a shared link: load page 2, 3, ... one after another until we reach minPage
+  useEffect(() => {
+    if (state.page > 0 && state.page < minPage && !state.error) loadMore()
+  }, [state.page, state.error, minPage, loadMore])
+
+  return { ...state, hasMore, loadMore, retry }
+}
+
+export default useMovies
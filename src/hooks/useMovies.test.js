@@ -0,0 +1,68 @@
+// @vitest-environment jsdom
+// ============================================
+// useMovies HOOK TESTS - npm test
+// ============================================
+
+import { act, cleanup, renderHook } from '@testing-library/react'
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest'
+import useMovies from './useMovies'
+import { fetchMoviePage } from '../api/movieApi'
+
+// No cache, and every request waits until the test resolves it by hand
+vi.mock('../api/movieApi', () => ({
+  fetchMoviePage: vi.fn(),
+  getCachedMoviePage: vi.fn(() => null)
+}))
+
+// query -> { resolve, signal } for the request made for it
+let requests
+
+beforeEach(() => {
+  requests = {}
+  // Like a server that answers even after the request was cancelled,
+  // so only the hook's own checks stop a stale response
+  fetchMoviePage.mockImplementation(({ query, signal }) => new Promise((resolve) => {
+    requests[query] = { resolve, signal }
+  }))
+})
+
+// Vitest globals are off, so Testing Library can't unmount by itself
+afterEach(() => {
+  cleanup()
+  vi.clearAllMocks()
+})
+
+const page = (title) => ({ results: [{ id: title.length, title }], total_pages: 1 })
+
+describe('useMovies', () => {
+  it('only shows the latest query when the responses arrive out of order', async () => {
+    const { result, rerender } = renderHook(({ query }) => useMovies(query, null), {
+      initialProps: { query: 'bat' }
+    })
+    rerender({ query: 'batman' })
+
+    // Starting "batman" cancelled "bat"
+    expect(requests.bat.signal.aborted).toBe(true)
+    expect(requests.batman.signal.aborted).toBe(false)
+
+    await act(async () => requests.batman.resolve(page('Batman')))
+    await act(async () => requests.bat.resolve(page('Bat')))
+
+    expect(result.current.movies.map((movie) => movie.title)).toEqual(['Batman'])
+    expect(result.current.isLoading).toBe(false)
+  })
+
+  it('ignores an older response that arrives while the newer one is still loading', async () => {
+    const { result, rerender } = renderHook(({ query }) => useMovies(query, null), {
+      initialProps: { query: 'bat' }
+    })
+    rerender({ query: 'batman' })
+
+    await act(async () => requests.bat.resolve(page('Bat')))
+    expect(result.current.movies).toEqual([])
+    expect(result.current.isLoading).toBe(true)
+
+    await act(async () => requests.batman.resolve(page('Batman')))
+    expect(result.current.movies.map((movie) => movie.title)).toEqual(['Batman'])
+  })
+})
@@ -0,0 +1,22 @@
+// ============================================
+// useOnlineStatus HOOK - Is the browser connected to the internet?
+// ============================================
+
+import { useSyncExternalStore } from 'react'
+
+const getOnline = () => navigator.onLine
+
+// The browser fires "online" / "offline" on window whenever the connection changes
+const subscribe = (callback) => {
+  window.addEventListener('online', callback)
+  window.addEventListener('offline', callback)
+  return () => {
+    window.removeEventListener('online', callback)
+    window.removeEventListener('offline', callback)
+  }
+}
+
+// true when online - note that "online" only means there's a network, not that TMDB is reachable
+const useOnlineStatus = () => useSyncExternalStore(subscribe, getOnline)
+
+export default useOnlineStatus
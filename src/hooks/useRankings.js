@@ -0,0 +1,61 @@
+// ============================================
+// useRankings HOOK - The user's personal, ordered list of movies
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { moveItem } from '../utils/reorder'
+import { toMovieSummary } from '../utils/movies'
+
+// rankedMovies[0] is the user's number 1 movie, rankedMovies[1] is number 2, and so on
+const useRankings = () => {
+  const [rankedMovies, setRankedMovies] = useLocalStorage('rankings', [])
+
+  // Is this movie already somewhere in the list?
+  const isRanked = useCallback(
+    (movieId) => rankedMovies.some((movie) => movie.id === movieId),
+    [rankedMovies]
+  )
+
+  // New movies go to the bottom - the user can then drag them up
+  const addMovie = useCallback((movie) => {
+    setRankedMovies((current) =>
+      current.some((item) => item.id === movie.id)
+        ? current
+        : [...current, toMovieSummary(movie)]
+    )
+  }, [setRankedMovies])
+
+  // Add several movies at once, in order, skipping any that are already ranked (used by import)
+  const addMovies = useCallback((movies) => {
+    setRankedMovies((current) => {
+      const seen = new Set(current.map((item) => item.id))
+      const added = movies.filter((movie) => !seen.has(movie.id) && seen.add(movie.id))
+      return [...current, ...added.map(toMovieSummary)]
+    })
+  }, [setRankedMovies])
+
+  const removeMovie = useCallback((movieId) => {
+    setRankedMovies((current) => current.filter((movie) => movie.id !== movieId))
+  }, [setRankedMovies])
+
+  // Move the movie at position "from" to position "to" (both 0-based)
+  const moveMovie = useCallback((from, to) => {
+    setRankedMovies((current) => moveItem(current, from, to))
+  }, [setRankedMovies])
+
+  // Put the list in the order given by orderedIds (used by head-to-head mode)
+  // Movies missing from orderedIds keep their relative order at the bottom
+  const setOrder = useCallback((orderedIds) => {
+    setRankedMovies((current) => {
+      const byId = new Map(current.map((movie) => [movie.id, movie]))
+      const ordered = orderedIds.map((id) => byId.get(id)).filter(Boolean)
+      const rest = current.filter((movie) => !orderedIds.includes(movie.id))
+      return [...ordered, ...rest]
+    })
+  }, [setRankedMovies])
+
+  return { rankedMovies, isRanked, addMovie, addMovies, removeMovie, moveMovie, setOrder }
+}
+
+export default useRankings
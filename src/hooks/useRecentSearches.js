@@ -0,0 +1,34 @@
+// ============================================
+// useRecentSearches HOOK - The last few things the user searched for
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+
+// Only the newest searches are kept
+const MAX_RECENT = 8
+
+// recentSearches[0] is the newest search
+const useRecentSearches = () => {
+  const [recentSearches, setRecentSearches] = useLocalStorage('recent-searches', [])
+
+  // Move the term to the top - searching "Batman" after "batman" keeps just one of them
+  const addRecentSearch = useCallback((term) => {
+    const trimmed = term.trim()
+    if (!trimmed) return
+    setRecentSearches((current) => [
+      trimmed,
+      ...current.filter((item) => item.toLowerCase() !== trimmed.toLowerCase())
+    ].slice(0, MAX_RECENT))
+  }, [setRecentSearches])
+
+  const removeRecentSearch = useCallback((term) => {
+    setRecentSearches((current) => current.filter((item) => item !== term))
+  }, [setRecentSearches])
+
+  const clearRecentSearches = useCallback(() => setRecentSearches([]), [setRecentSearches])
+
+  return { recentSearches, addRecentSearch, removeRecentSearch, clearRecentSearches }
+}
+
+export default useRecentSearches
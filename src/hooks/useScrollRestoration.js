@@ -0,0 +1,25 @@
+// ============================================
+// useScrollRestoration HOOK - Back and forward return to the same scroll position
+// ============================================
+// navigate() saves window.scrollY in the history entry we are leaving. When the
+// back or forward button brings us to that entry again, we scroll to it once the
+// page has rendered. Browsers try to do this themselves, but they do it before
+// React has drawn the page, when it's still too short to scroll that far.
+
+import { useEffect, useLayoutEffect } from 'react'
+
+// location: anything that changes on every navigation, e.g. pathname + search
+const useScrollRestoration = (location) => {
+  // Turn off the browser's own attempt so the two don't fight
+  useEffect(() => {
+    if ('scrollRestoration' in window.history) window.history.scrollRestoration = 'manual'
+  }, [])
+
+  // useLayoutEffect: scroll before the browser paints, so there's no jump from the top
+  useLayoutEffect(() => {
+    const scrollY = window.history.state?.scrollY
+    if (typeof scrollY === 'number') window.scrollTo(0, scrollY)
+  }, [location])
+}
+
+export default useScrollRestoration
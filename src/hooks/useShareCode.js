@@ -0,0 +1,42 @@
+// ============================================
+// useShareCode HOOK - Decode the data in a share link
+// ============================================
+
+import { useEffect, useState } from 'react'
+import { decodeShareCode, ShareLinkError } from '../utils/shareCode'
+
+// Anything that isn't a ShareLinkError is a bug in reading the payload - treat the link as damaged
+const reasonFor = (error) => error instanceof ShareLinkError ? error.reason : 'damaged'
+
+// code: a share code (see utils/shareCode.js), or '' for none
+// parse(payload): turns the decoded payload into what the page needs, throwing if it's the wrong kind
+// Returns { data, error, isLoading } - error is the ShareLinkError's reason, e.g. 'damaged'
+// (show it with t(`share.error.${error}`))
+const useShareCode = (code, parse) => {
+  // code says which link this result belongs to
+  const [result, setResult] = useState({ code: null, payload: null, error: null })
+
+  // Decompressing is asynchronous, so the data shows up a moment after the page
+  useEffect(() => {
+    if (!code) return undefined
+    let isCurrent = true
+    decodeShareCode(code)
+      .then((payload) => isCurrent && setResult({ code, payload, error: null }))
+      .catch((error) => isCurrent && setResult({ code, payload: null, error: reasonFor(error) }))
+    // Cleanup: ignore the result if the link changes before decoding finishes
+    return () => { isCurrent = false }
+  }, [code])
+
+  if (!code) return { data: null, error: null, isLoading: false }
+  if (result.code !== code) return { data: null, error: null, isLoading: true }
+  if (result.error) return { data: null, error: result.error, isLoading: false }
+
+  // parse runs on every render, so it can check the payload against data that changes (e.g. a session)
+  try {
+    return { data: parse(result.payload), error: null, isLoading: false }
+  } catch (error) {
+    return { data: null, error: reasonFor(error), isLoading: false }
+  }
+}
+
+export default useShareCode
@@ -0,0 +1,57 @@
+// ============================================
+// useTierBoard HOOK - Saved state for the tier list board
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { toMovieSummary } from '../utils/movies'
+import {
+  DEFAULT_TIERS,
+  placeMovie,
+  updateTier,
+  addTier as appendTier,
+  removeTier as dropTier
+} from '../utils/tiers'
+
+const useTierBoard = () => {
+  // The tier rows and which movie ids sit in each one
+  const [tiers, setTiers] = useLocalStorage('tiers', DEFAULT_TIERS)
+
+  // Movie details for everything that has been placed on the board, keyed by id,
+  // so tiers still show posters after the search results have changed
+  const [moviesById, setMoviesById] = useLocalStorage('tier-movies', {})
+
+  // Put a movie into a tier (or back in the tray when tierId is null)
+  const moveMovie = useCallback((movie, tierId, index) => {
+    if (tierId !== null) {
+      setMoviesById((current) => ({ ...current, [movie.id]: toMovieSummary(movie) }))
+    }
+    setTiers((current) => placeMovie(current, movie.id, tierId, index))
+  }, [setTiers, setMoviesById])
+
+  const renameTier = useCallback((tierId, name) => {
+    setTiers((current) => updateTier(current, tierId, { name }))
+  }, [setTiers])
+
+  const recolorTier = useCallback((tierId, color) => {
+    setTiers((current) => updateTier(current, tierId, { color }))
+  }, [setTiers])
+
+  // name: what the new tier is called until the user renames it (in the app's language)
+  const addTier = useCallback((name) => {
+    setTiers((current) => appendTier(current, {
+      // randomUUID gives every new tier a unique id that never clashes
+      id: crypto.randomUUID(),
+      name,
+      color: '#a8b5db'
+    }))
+  }, [setTiers])
+
+  const removeTier = useCallback((tierId) => {
+    setTiers((current) => dropTier(current, tierId))
+  }, [setTiers])
+
+  return { tiers, moviesById, moveMovie, renameTier, recolorTier, addTier, removeTier }
+}
+
+export default useTierBoard
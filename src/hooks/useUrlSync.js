@@ -0,0 +1,52 @@
+// ============================================
+// useUrlSync HOOK - Keep the search state and the address bar in step
+// ============================================
+
+import { useEffect, useRef } from 'react'
+import { parseSearchState, serializeSearchState } from '../utils/urlState'
+import { subscribeToLocation } from '../utils/router'
+
+// Remove the page number so two URLs can be compared as "the same search"
+const withoutPage = (search) => {
+  const params = new URLSearchParams(search)
+  params.delete('page')
+  return params.toString()
+}
+
+// state: { query, filters, page } - what the app is showing right now
+// onRestore(parsedState): called when back/forward lands on a different search
+// enabled: false on pages that don't show search results (e.g. /movie/:id) - the URL is left alone
+// Returns the search part of the home page URL, e.g. '?q=batman&page=2' ('' for no search)
+const useUrlSync = (state, onRestore, enabled = true) => {
+  const search = serializeSearchState(state)
+
+  // Always call the newest onRestore without re-subscribing on every render
+  const onRestoreRef = useRef(onRestore)
+  useEffect(() => {
+    onRestoreRef.current = onRestore
+  }, [onRestore])
+
+  // State -> URL: a new search adds a history entry, loading another page just updates it
+  useEffect(() => {
+    if (!enabled || search === window.location.search) return
+    const url = `${window.location.pathname}${search}`
+    if (withoutPage(search) === withoutPage(window.location.search)) {
+      // Keep the entry's state (e.g. its saved scroll position) - only the URL changes
+      window.history.replaceState(window.history.state, '', url)
+    } else {
+      window.history.pushState(null, '', url)
+    }
+  }, [search, enabled])
+
+  // URL -> state: the back and forward buttons, or a link back to the home page
+  // This listens even while "enabled" is false, so returning from a movie page restores its search
+  useEffect(() => subscribeToLocation(() => {
+    if (window.location.pathname === '/') {
+      onRestoreRef.current(parseSearchState(window.location.search))
+    }
+  }), [])
+
+  return search
+}
+
+export default useUrlSync
@@ -0,0 +1,33 @@
+// ============================================
+// useWatchSettings HOOK - The user's country and streaming services
+// ============================================
+
+import { useCallback } from 'react'
+import useLocalStorage from './useLocalStorage'
+import { defaultWatchSettings, toggleService } from '../utils/watch'
+
+// { region: 'US', services: [{ provider_id, provider_name, logo_path }] } - see utils/watch.js
+// The region starts as the browser's country, and the services start empty
+const useWatchSettings = () => {
+  const [settings, setSettings] = useLocalStorage('watch-settings', defaultWatchSettings())
+
+  // region: a two-letter country code, e.g. 'GB'
+  const setRegion = useCallback((region) => {
+    setSettings((current) => ({ ...current, region }))
+  }, [setSettings])
+
+  // Subscribe to / unsubscribe from one streaming service
+  const toggleServiceSubscription = useCallback((provider) => {
+    setSettings((current) => ({ ...current, services: toggleService(current.services, provider) }))
+  }, [setSettings])
+
+  return {
+    region: settings.region,
+    services: settings.services,
+    serviceIds: settings.services.map((service) => service.provider_id),
+    setRegion,
+    toggleService: toggleServiceSubscription
+  }
+}
+
+export default useWatchSettings
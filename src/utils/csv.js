@@ -0,0 +1,82 @@
+// ============================================
+// CSV HELPERS - Read and write comma-separated files
+// ============================================
+// Handles the tricky parts of CSV: commas and line breaks inside quoted
+// fields, and "" as an escaped quote - e.g. "Crouching Tiger, Hidden Dragon"
+
+// Turn CSV text into an array of objects keyed by the header row
+// Returns { headers, rows }, and every row also gets its line number (for error messages)
+export const parseCsv = (text) => {
+  const records = []
+  let record = []
+  let field = ''
+  let inQuotes = false
+  let line = 1
+  let recordLine = 1
+
+  // Strip the byte-order mark some spreadsheet apps add to the start of the file
+  const input = text.replace(/^\uFEFF/, '')
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i]
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        if (char === '\n') line++
+        field += char
+      }
+    } else if (char === '"') {
+      inQuotes = true
+    } else if (char === ',') {
+      record.push(field)
+      field = ''
+    } else if (char === '\n' || char === '\r') {
+      // \r\n (Windows line endings) counts as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++
+      record.push(field)
+      records.push({ values: record, line: recordLine })
+      record = []
+      field = ''
+      line++
+      recordLine = line
+    } else {
+      field += char
+    }
+  }
+
+  // The last line often has no line break after it
+  if (field !== '' || record.length > 0) {
+    record.push(field)
+    records.push({ values: record, line: recordLine })
+  }
+
+  // Skip completely empty lines
+  const nonEmpty = records.filter(({ values }) => values.some((value) => value.trim() !== ''))
+  if (nonEmpty.length === 0) return { headers: [], rows: [] }
+
+  const headers = nonEmpty[0].values.map((header) => header.trim())
+  const rows = nonEmpty.slice(1).map(({ values, line: rowLine }) => {
+    const row = { _line: rowLine }
+    headers.forEach((header, index) => { row[header] = (values[index] ?? '').trim() })
+    return row
+  })
+
+  return { headers, rows }
+}
+
+// Quote a value only when it needs it (contains a comma, quote or line break)
+const escapeField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+// Turn a header list and an array of objects into CSV text
+export const toCsv = (headers, rows) =>
+  [headers, ...rows.map((row) => headers.map((header) => row[header]))]
+    .map((values) => values.map(escapeField).join(','))
+    .join('\r\n')
@@ -0,0 +1,64 @@
+// ============================================
+// DISCOVER FILTERS - Turn the filter panel's state into TMDB query parameters
+// ============================================
+
+// The sort options TMDB's /discover/movie understands
+// Their labels are in the message catalogs as "sort.<option>" (see src/locales)
+export const SORT_OPTIONS = [
+  'popularity.desc',
+  'vote_average.desc',
+  'primary_release_date.desc',
+  'revenue.desc'
+]
+
+// What the filter panel starts with - the same list the app always showed
+export const DEFAULT_FILTERS = {
+  genres: [],               // Genre ids, e.g. [28, 12] - a movie must have all of them
+  yearFrom: '',             // Earliest release year ('' = no limit)
+  yearTo: '',               // Latest release year ('' = no limit)
+  minRating: 0,             // Minimum vote_average (0 to 10)
+  minVotes: 0,              // Minimum vote_count - stops 1-vote movies topping "Highest rated"
+  language: '',             // original_language code, e.g. 'ko' ('' = any)
+  myServices: false,        // Only movies included with the user's streaming services (see utils/watch.js)
+  sortBy: 'popularity.desc'
+}
+
+// Is any filter different from the defaults? (used to show a "Reset" button)
+export const hasActiveFilters = (filters) =>
+  Object.keys(DEFAULT_FILTERS).some(
+    (key) => JSON.stringify(filters[key]) !== JSON.stringify(DEFAULT_FILTERS[key])
+  )
+
+// The filters with the user's region and services added, ready for buildDiscoverParams
+// They live in the watch settings rather than the filters, so only "myServices" goes in the URL
+// With no services chosen yet there is nothing to filter by, so the filters are returned unchanged
+export const withWatchServices = (filters, region, serviceIds) =>
+  filters.myServices && serviceIds.length
+    ? { ...filters, watchRegion: region, watchProviders: serviceIds }
+    : filters
+
+// Build the query parameters for /discover/movie
+// Empty values come back as undefined, and tmdbGet leaves those out of the URL
+// Example: { genres: [28], yearFrom: '1990' } ->
+//   { sort_by: 'popularity.desc', with_genres: '28', 'primary_release_date.gte': '1990-01-01', ... }
+export const buildDiscoverParams = (filters = DEFAULT_FILTERS) => {
+  const { genres, yearFrom, yearTo, minRating, minVotes, language, sortBy, watchRegion, watchProviders = [] } = {
+    ...DEFAULT_FILTERS,
+    ...filters
+  }
+  const filterByServices = watchRegion && watchProviders.length > 0
+  return {
+    sort_by: sortBy,
+    // A comma means "and" to TMDB - a pipe (|) would mean "or"
+    with_genres: genres.length ? genres.join(',') : undefined,
+    'primary_release_date.gte': yearFrom ? `${yearFrom}-01-01` : undefined,
+    'primary_release_date.lte': yearTo ? `${yearTo}-12-31` : undefined,
+    'vote_average.gte': minRating > 0 ? minRating : undefined,
+    'vote_count.gte': minVotes > 0 ? minVotes : undefined,
+    with_original_language: language || undefined,
+    // A pipe means "or" here: on any one of the user's services is enough
+    watch_region: filterByServices ? watchRegion : undefined,
+    with_watch_providers: filterByServices ? watchProviders.join('|') : undefined,
+    with_watch_monetization_types: filterByServices ? 'flatrate|free|ads' : undefined
+  }
+}
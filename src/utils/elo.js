@@ -0,0 +1,56 @@
+// ============================================
+// ELO RATING MATH - Pure functions, no React and no browser APIs
+// ============================================
+// Elo is the chess rating system: every movie starts at the same rating,
+// the winner of a comparison takes points from the loser, and beating a
+// higher-rated movie earns more points than beating a lower-rated one.
+
+// Every movie starts here before it has been compared
+export const DEFAULT_RATING = 1500
+
+// K-factor: the most points a single comparison can move a rating
+export const DEFAULT_K = 32
+
+// Probability (0 to 1) that a movie rated "rating" beats one rated "opponentRating"
+// Example: expectedScore(1500, 1500) -> 0.5 (a coin flip)
+export const expectedScore = (rating, opponentRating) =>
+  1 / (1 + 10 ** ((opponentRating - rating) / 400))
+
+// Work out both new ratings after one comparison
+// score: 1 if A won, 0 if B won, 0.5 for a draw
+// Returns [newRatingA, newRatingB]
+export const updateRatings = (ratingA, ratingB, score, k = DEFAULT_K) => {
+  const expectedA = expectedScore(ratingA, ratingB)
+  const change = k * (score - expectedA)
+  return [ratingA + change, ratingB - change]
+}
+
+// Replay a list of comparisons from scratch and return { [movieId]: rating }
+// Because ratings are always rebuilt from the full history, undoing a comparison
+// is as simple as dropping it from the list and calling this again
+// comparisons: [{ winnerId, loserId, isDraw }] in the order they happened
+// movieIds: optional ids to include even if they have never been compared
+export const computeRatings = (comparisons, movieIds = [], k = DEFAULT_K) => {
+  const ratings = {}
+  movieIds.forEach((id) => { ratings[id] = DEFAULT_RATING })
+
+  comparisons.forEach(({ winnerId, loserId, isDraw }) => {
+    const [winner, loser] = updateRatings(
+      ratings[winnerId] ?? DEFAULT_RATING,
+      ratings[loserId] ?? DEFAULT_RATING,
+      isDraw ? 0.5 : 1,
+      k
+    )
+    ratings[winnerId] = winner
+    ratings[loserId] = loser
+  })
+
+  return ratings
+}
+
+// Return a NEW array of movies sorted from highest to lowest rating
+// Movies with equal ratings keep their original order
+export const sortByRating = (movies, ratings) =>
+  [...movies].sort(
+    (a, b) => (ratings[b.id] ?? DEFAULT_RATING) - (ratings[a.id] ?? DEFAULT_RATING)
+  )
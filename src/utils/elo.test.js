@@ -0,0 +1,80 @@
+// ============================================
+// ELO RATING TESTS - npm test
+// ============================================
+
+import { describe, expect, it } from 'vitest'
+import { DEFAULT_K, DEFAULT_RATING, computeRatings, expectedScore, sortByRating, updateRatings } from './elo'
+
+describe('expectedScore', () => {
+  it('is a coin flip between equal ratings', () => {
+    expect(expectedScore(1500, 1500)).toBe(0.5)
+  })
+
+  it('gives a 400-point favourite ten-to-one odds', () => {
+    expect(expectedScore(1900, 1500)).toBeCloseTo(10 / 11)
+    expect(expectedScore(1500, 1900)).toBeCloseTo(1 / 11)
+  })
+
+  it('adds up to 1 for both sides', () => {
+    expect(expectedScore(1620, 1480) + expectedScore(1480, 1620)).toBeCloseTo(1)
+  })
+})
+
+describe('updateRatings', () => {
+  it('moves half the K-factor when equal ratings meet', () => {
+    expect(updateRatings(1500, 1500, 1)).toEqual([1500 + DEFAULT_K / 2, 1500 - DEFAULT_K / 2])
+  })
+
+  it('scales the change with the K-factor', () => {
+    expect(updateRatings(1500, 1500, 1, 10)).toEqual([1505, 1495])
+  })
+
+  it('leaves equal ratings alone after a draw', () => {
+    expect(updateRatings(1500, 1500, 0.5)).toEqual([1500, 1500])
+  })
+
+  it('gives more points for an upset than for an expected win', () => {
+    const [upset] = updateRatings(1400, 1600, 1)
+    const [expected] = updateRatings(1600, 1400, 1)
+    expect(upset - 1400).toBeGreaterThan(expected - 1600)
+  })
+
+  it('takes from the loser exactly what the winner gains', () => {
+    const [a, b] = updateRatings(1550, 1450, 0)
+    expect(a + b).toBeCloseTo(3000)
+  })
+})
+
+describe('computeRatings', () => {
+  const comparisons = [
+    { winnerId: 1, loserId: 2, isDraw: false },
+    { winnerId: 2, loserId: 3, isDraw: false },
+    { winnerId: 1, loserId: 3, isDraw: true },
+    { winnerId: 3, loserId: 1, isDraw: false }
+  ]
+
+  it('starts movies that were never compared at the default rating', () => {
+    expect(computeRatings([], [1, 2])).toEqual({ 1: DEFAULT_RATING, 2: DEFAULT_RATING })
+  })
+
+  it('matches applying updateRatings one comparison at a time', () => {
+    const [one, two] = updateRatings(1500, 1500, 1)
+    const [twoAgain, three] = updateRatings(two, 1500, 1)
+    expect(computeRatings(comparisons.slice(0, 2))).toEqual({ 1: one, 2: twoAgain, 3: three })
+  })
+
+  it('gives the same ratings every time the same history is replayed', () => {
+    expect(computeRatings(comparisons, [1, 2, 3])).toEqual(computeRatings([...comparisons], [1, 2, 3]))
+  })
+
+  it('depends on the order the comparisons happened in', () => {
+    expect(computeRatings([...comparisons].reverse())).not.toEqual(computeRatings(comparisons))
+  })
+})
+
+describe('sortByRating', () => {
+  it('sorts highest first and keeps ties in their original order', () => {
+    const movies = [{ id: 1 }, { id: 2 }, { id: 3 }]
+    expect(sortByRating(movies, { 1: 1500, 2: 1600, 3: 1500 }).map((movie) => movie.id)).toEqual([2, 1, 3])
+  })
+})
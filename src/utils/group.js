@@ -0,0 +1,91 @@
+// ============================================
+// GROUP SESSION HELPERS - Several people ranking the same shortlist
+// ============================================
+// A session looks like:
+// { id, name, movies, ballots, createdAt }
+// - movies: the shortlist everyone ranks (movie summaries)
+// - ballots: [{ voter, order, submittedAt }] - order is movie ids, best first
+//
+// Ballots travel between people as share links (see shareCode.js):
+// - an "invite" carries the shortlist, so each person can rank it on their own device
+// - a "ballot" carries one person's ranking back to whoever runs the session
+
+import { toMovieSummary } from './movies'
+import { SHARE_VERSION, packMovie, unpackMovie } from './lists'
+import { ShareLinkError } from './shareCode'
+
+// A session needs at least this many movies to be worth voting on
+export const MIN_SESSION_MOVIES = 2
+
+export const createSession = ({ name, movies }) => ({
+  id: crypto.randomUUID(),
+  name: name.trim() || 'Movie night',
+  movies: movies.map(toMovieSummary),
+  ballots: [],
+  createdAt: new Date().toISOString()
+})
+
+// Only the session's own movies, each once
+const cleanOrder = (order, movies) => {
+  const allowed = new Set(movies.map((movie) => movie.id))
+  return order.filter((id) => allowed.has(id) && allowed.delete(id))
+}
+
+// Add a ballot - a second ballot from the same name (ignoring case) replaces the first
+export const saveBallot = (session, { voter, order }) => {
+  const name = voter.trim()
+  const ballot = { voter: name, order: cleanOrder(order, session.movies), submittedAt: new Date().toISOString() }
+  const others = session.ballots.filter((item) => item.voter.toLowerCase() !== name.toLowerCase())
+  return { ...session, ballots: [...others, ballot] }
+}
+
+// ============================================
+// SHARE PAYLOADS
+// ============================================
+
+export const toInvitePayload = (session) => ({
+  v: SHARE_VERSION,
+  t: 'invite',
+  s: session.id,
+  n: session.name,
+  m: session.movies.map(packMovie)
+})
+
+// Returns { sessionId, name, movies }, or throws if this isn't an invite
+export const fromInvitePayload = (payload) => {
+  if (!payload || payload.v !== SHARE_VERSION || payload.t !== 'invite' || !Array.isArray(payload.m)) {
+    throw new ShareLinkError('notInvite', 'This link is not a group ranking invite.')
+  }
+  return {
+    sessionId: String(payload.s),
+    name: String(payload.n || 'Movie night'),
+    movies: payload.m.map(unpackMovie).filter(Boolean)
+  }
+}
+
+export const toBallotPayload = (sessionId, { voter, order }) => ({
+  v: SHARE_VERSION,
+  t: 'ballot',
+  s: sessionId,
+  p: voter.trim(),
+  o: order
+})
+
+// Check a ballot link belongs to this session
+// Returns { voter, order }, or throws a ShareLinkError saying what's wrong
+export const fromBallotPayload = (payload, session) => {
+  if (!payload || payload.v !== SHARE_VERSION || payload.t !== 'ballot' || !Array.isArray(payload.o)) {
+    throw new ShareLinkError('notBallot', 'This link is not a ballot.')
+  }
+  if (payload.s !== session.id) throw new ShareLinkError('otherSession', 'This ballot is for a different group session.')
+  const order = cleanOrder(payload.o, session.movies)
+  if (order.length === 0) throw new ShareLinkError('noMovies', 'This ballot has no movies from this session.')
+  return { voter: String(payload.p || 'Anonymous'), order }
+}
+
+// People paste the whole link - the code is everything after the #
+export const shareCodeFromLink = (text) => {
+  const trimmed = text.trim()
+  const hashIndex = trimmed.indexOf('#')
+  return hashIndex === -1 ? trimmed : trimmed.slice(hashIndex + 1)
+}
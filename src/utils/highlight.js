@@ -0,0 +1,26 @@
+// ============================================
+// HIGHLIGHT HELPER - Find the part of a title that matches the search
+// ============================================
+
+// Split text into pieces, marking the ones that match query (ignoring case)
+// Example: splitHighlight('The Dark Knight', 'dark')
+//   -> [{ text: 'The ', match: false }, { text: 'Dark', match: true }, { text: ' Knight', match: false }]
+export const splitHighlight = (text, query) => {
+  const needle = query.trim().toLowerCase()
+  if (!needle) return [{ text, match: false }]
+
+  const parts = []
+  const haystack = text.toLowerCase()
+  let start = 0
+  let index = haystack.indexOf(needle)
+
+  while (index !== -1) {
+    if (index > start) parts.push({ text: text.slice(start, index), match: false })
+    parts.push({ text: text.slice(index, index + needle.length), match: true })
+    start = index + needle.length
+    index = haystack.indexOf(needle, start)
+  }
+  if (start < text.length) parts.push({ text: text.slice(start), match: false })
+
+  return parts
+}
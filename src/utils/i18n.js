@@ -0,0 +1,136 @@
+// ============================================
+// I18N - The app's language, its translations, and locale-aware formatting
+// ============================================
+// Every bit of UI text lives in a message catalog (src/locales/*.json) under a key
+// like "section.allMovies". translate() looks the key up for the current locale,
+// falling back to English, then to the key itself.
+//
+// The current locale works like the address bar (see router.js): it lives outside
+// React, setLocale() changes it and tells every listener, and the useLocale hook
+// re-renders the components that use it.
+
+import en from '../locales/en.json'
+import es from '../locales/es.json'
+import fr from '../locales/fr.json'
+import de from '../locales/de.json'
+import { loadJSON, saveJSON } from './storage'
+
+// The languages the app speaks - code is what TMDB gets as ?language= (and the country as ?region=)
+// name: how the language calls itself, for the language switcher
+export const LOCALES = [
+  { code: 'en-US', name: 'English', messages: en },
+  { code: 'es-ES', name: 'Español', messages: es },
+  { code: 'fr-FR', name: 'Français', messages: fr },
+  { code: 'de-DE', name: 'Deutsch', messages: de }
+]
+
+export const DEFAULT_LOCALE = 'en-US'
+
+const STORAGE_KEY = 'locale'
+
+// The best supported locale for a list of preferences like navigator.languages
+// An exact match wins ('fr-FR'), then the same language anywhere ('fr-CA' -> 'fr-FR')
+export const matchLocale = (preferred = []) => {
+  for (const tag of preferred) {
+    const exact = LOCALES.find((locale) => locale.code.toLowerCase() === tag.toLowerCase())
+    if (exact) return exact.code
+    const language = tag.split('-')[0].toLowerCase()
+    const sameLanguage = LOCALES.find((locale) => locale.code.split('-')[0] === language)
+    if (sameLanguage) return sameLanguage.code
+  }
+  return DEFAULT_LOCALE
+}
+
+const catalogFor = (locale) => (LOCALES.find((item) => item.code === locale) || LOCALES[0]).messages
+
+// Look up a message and fill in its {placeholders}
+// Messages with a count can have plural forms: { "one": "{count} vote", "other": "{count} votes" }
+// Numbers are formatted for the locale, so 1234 becomes "1,234" in English and "1.234" in German
+// Example: translate('es-ES', 'detail.votes', { count: 3 }) -> '3 votos'
+export const translate = (locale, key, params = {}) => {
+  const message = catalogFor(locale)[key] ?? en[key] ?? key
+  const text = typeof message === 'object'
+    ? message[new Intl.PluralRules(locale).select(params.count)] ?? message.other
+    : message
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) => {
+    if (!(name in params)) return placeholder
+    const value = params[name]
+    return typeof value === 'number' ? formatNumber(value, locale) : String(value)
+  })
+}
+
+// ============================================
+// FORMATTING - Names, numbers and dates the way the locale writes them
+// ============================================
+
+// 'ko' -> 'Korean' in English, 'coreano' in Spanish
+// Codes Intl doesn't know (TMDB has a few, like 'xx' for "no language") come back unchanged
+export const languageName = (code, locale) => {
+  if (!code) return ''
+  try {
+    return new Intl.DisplayNames([locale], { type: 'language', fallback: 'code' }).of(code)
+  } catch {
+    return code
+  }
+}
+
+// 'GB' -> 'United Kingdom' in English, 'Royaume-Uni' in French
+export const regionName = (code, locale) => {
+  if (!code) return ''
+  try {
+    return new Intl.DisplayNames([locale], { type: 'region', fallback: 'code' }).of(code)
+  } catch {
+    return code
+  }
+}
+
+// 7.5 -> '7.5' in English, '7,5' in French
+// options: anything Intl.NumberFormat takes, e.g. { maximumFractionDigits: 1 }
+export const formatNumber = (value, locale, options) => new Intl.NumberFormat(locale, options).format(value)
+
+// '2024-05-15' -> 'May 15, 2024' in English, '15 de mayo de 2024' in Spanish
+// TMDB dates have no time, so they're read and printed as UTC - otherwise some
+// time zones would show the day before
+export const formatDate = (isoDate, locale, options = { dateStyle: 'long' }) => {
+  if (!isoDate) return ''
+  const date = new Date(`${isoDate}T00:00:00Z`)
+  if (Number.isNaN(date.getTime())) return isoDate
+  return new Intl.DateTimeFormat(locale, { ...options, timeZone: 'UTC' }).format(date)
+}
+
+// The country part of a locale: 'es-ES' -> 'ES' (TMDB uses it for release dates and titles)
+export const localeRegion = (locale) => locale.split('-')[1] || ''
+
+// ============================================
+// CURRENT LOCALE - Saved choice, or the browser's language
+// ============================================
+
+const browserLanguages = () => (typeof navigator === 'undefined' ? [] : navigator.languages || [navigator.language])
+
+let currentLocale = matchLocale([loadJSON(STORAGE_KEY, null), ...browserLanguages()].filter(Boolean))
+
+const listeners = new Set()
+
+// <html lang> tells screen readers (and the browser's spell checker) which language the page is in
+const applyToDocument = () => {
+  if (typeof document !== 'undefined') document.documentElement.lang = currentLocale
+}
+applyToDocument()
+
+export const getLocale = () => currentLocale
+
+// Switch the whole app to another language and remember the choice
+export const setLocale = (locale) => {
+  if (locale === currentLocale || !LOCALES.some((item) => item.code === locale)) return
+  currentLocale = locale
+  saveJSON(STORAGE_KEY, locale)
+  applyToDocument()
+  listeners.forEach((listener) => listener())
+}
+
+// Listen for language changes - returns a function that stops listening
+export const subscribeToLocale = (listener) => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
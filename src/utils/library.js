@@ -0,0 +1,64 @@
+// ============================================
+// LIBRARY HELPERS - Watchlist, watched dates and personal ratings
+// ============================================
+// The library is an object keyed by movie id:
+// { [id]: { movie, onWatchlist, addedAt, watchedAt, rating, note } }
+// - movie: the movie summary (see toMovieSummary)
+// - addedAt: ISO timestamp of when it went on the watchlist
+// - watchedAt: 'YYYY-MM-DD' the user saw it, or null
+// - rating: the user's own score from 1 to 10 (halves allowed), or null
+// - note: a short free-text note
+
+// Today's date as 'YYYY-MM-DD' in the user's own time zone
+export const today = () => {
+  const now = new Date()
+  const offset = now.getTimezoneOffset() * 60000
+  return new Date(now.getTime() - offset).toISOString().slice(0, 10)
+}
+
+// An empty entry for a movie that isn't in the library yet
+export const emptyEntry = (movie) => ({
+  movie,
+  onWatchlist: false,
+  addedAt: null,
+  watchedAt: null,
+  rating: null,
+  note: ''
+})
+
+// Entries with nothing left in them are deleted so the saved data stays small
+export const isEmptyEntry = (entry) =>
+  !entry.onWatchlist && !entry.watchedAt && entry.rating === null && !entry.note
+
+// Sort options shared by the Watchlist and Watched views - labels are under librarySort.<key> (see src/locales)
+// get: pulls the value to sort by out of an entry, desc: biggest first
+export const LIBRARY_SORTS = {
+  added: { get: (entry) => entry.addedAt || '', desc: true },
+  watched: { get: (entry) => entry.watchedAt || '', desc: true },
+  rating: { get: (entry) => entry.rating ?? -1, desc: true },
+  tmdb: { get: (entry) => entry.movie.vote_average ?? -1, desc: true },
+  year: { get: (entry) => entry.movie.release_date || '', desc: true },
+  title: { get: (entry) => entry.movie.title.toLowerCase(), desc: false }
+}
+
+// Filter and sort library entries for one of the views
+// - view: 'watchlist' or 'watched'
+// - text: only keep titles that contain this text
+// - minRating: only keep entries the user rated at least this high (0 = no limit)
+// - sortKey: one of the keys of LIBRARY_SORTS
+export const selectEntries = (library, { view, text = '', minRating = 0, sortKey }) => {
+  const sort = LIBRARY_SORTS[sortKey] || LIBRARY_SORTS.added
+  const needle = text.trim().toLowerCase()
+
+  return Object.values(library)
+    .filter((entry) => (view === 'watchlist' ? entry.onWatchlist : Boolean(entry.watchedAt)))
+    .filter((entry) => !needle || entry.movie.title.toLowerCase().includes(needle))
+    .filter((entry) => !minRating || (entry.rating ?? 0) >= minRating)
+    .sort((a, b) => {
+      const left = sort.get(a)
+      const right = sort.get(b)
+      if (left === right) return 0
+      const order = left < right ? -1 : 1
+      return sort.desc ? -order : order
+    })
+}
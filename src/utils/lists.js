@@ -0,0 +1,86 @@
+// ============================================
+// LIST HELPERS - Named movie lists like "Best of 2024"
+// ============================================
+// A list looks like:
+// { id, name, description, ordered, movies, createdAt, updatedAt }
+// - ordered: true if the position means something (a ranking), false for a plain collection
+// - movies: movie summaries (see toMovieSummary), in the list's order
+
+import { toMovieSummary } from './movies'
+import { ShareLinkError } from './shareCode'
+
+// Bump this if the shared payload ever changes shape
+export const SHARE_VERSION = 1
+
+// A brand new list - name and description can be changed later
+export const createList = ({ name, description = '', ordered = true, movies = [] }) => {
+  const now = new Date().toISOString()
+  return {
+    id: crypto.randomUUID(),
+    name: name.trim() || 'Untitled list',
+    description,
+    ordered,
+    movies: movies.map(toMovieSummary),
+    createdAt: now,
+    updatedAt: now
+  }
+}
+
+// "Best of 2024" -> "Best of 2024 (copy)", or "(copy 2)" if that name is taken too
+export const copyName = (name, existingNames) => {
+  const taken = new Set(existingNames)
+  let candidate = `${name} (copy)`
+  for (let count = 2; taken.has(candidate); count++) candidate = `${name} (copy ${count})`
+  return candidate
+}
+
+// ============================================
+// SHARING - A list as a small, read-only payload for a link (see shareCode.js)
+// ============================================
+// Movies are stored as arrays instead of objects so the link stays short:
+// [id, title, poster_path, release_date, vote_average, original_language]
+
+export const packMovie = (movie) => [
+  movie.id,
+  movie.title,
+  movie.poster_path,
+  movie.release_date,
+  movie.vote_average,
+  movie.original_language
+]
+
+// The opposite of packMovie - returns null for anything that isn't a packed movie
+export const unpackMovie = (item) => {
+  if (!Array.isArray(item) || !Number.isInteger(item[0]) || typeof item[1] !== 'string') return null
+  const [id, title, poster_path, release_date, vote_average, original_language] = item
+  return {
+    id,
+    title,
+    poster_path: poster_path ?? null,
+    release_date: release_date ?? '',
+    vote_average: vote_average ?? 0,
+    original_language: original_language ?? ''
+  }
+}
+
+export const toSharePayload = (list) => ({
+  v: SHARE_VERSION,
+  n: list.name,
+  d: list.description,
+  o: list.ordered,
+  m: list.movies.map(packMovie)
+})
+
+// The opposite of toSharePayload
+// Returns { name, description, ordered, movies }, or throws if the payload isn't a shared list
+export const fromSharePayload = (payload) => {
+  if (!payload || payload.v !== SHARE_VERSION || !Array.isArray(payload.m)) {
+    throw new ShareLinkError('notList', 'This link does not contain a movie list.')
+  }
+  return {
+    name: String(payload.n || 'Shared list'),
+    description: String(payload.d || ''),
+    ordered: payload.o !== false,
+    movies: payload.m.map(unpackMovie).filter(Boolean)
+  }
+}
@@ -0,0 +1,33 @@
+// ============================================
+// MOVIE HELPERS - Small functions shared by every feature that stores movies
+// ============================================
+
+// Keep only the fields MovieCard needs (plus the genres, for the stats page), so saved
+// lists stay small in localStorage and can be shown again without asking TMDB a second time
+// Lists and search results have genre_ids; the detail response has genres: [{ id, name }] instead
+export const toMovieSummary = ({
+  id,
+  title,
+  poster_path,
+  release_date,
+  vote_average,
+  original_language,
+  genre_ids,
+  genres
+}) => ({
+  id,
+  title,
+  poster_path,
+  release_date,
+  vote_average,
+  original_language,
+  genre_ids: genre_ids ?? genres?.map((genre) => genre.id)
+})
+
+// Add a new page of results to the ones we already have, skipping duplicates
+// TMDB's popularity order can shift between requests, so page 2 sometimes
+// repeats a movie from page 1 - React would warn about the duplicate key
+export const mergeUniqueMovies = (existing, incoming) => {
+  const seen = new Set(existing.map((movie) => movie.id))
+  return [...existing, ...incoming.filter((movie) => !seen.has(movie.id) && seen.add(movie.id))]
+}
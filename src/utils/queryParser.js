@@ -0,0 +1,218 @@
+// ============================================
+// QUERY PARSER - Read filters typed into the search box
+// ============================================
+// Supported syntax (keys are case-insensitive):
+//   year:2010  year:1990-1999     release year, or a range of years
+//   genre:drama  genre:"science fiction"
+//   person:Nolan  actor:Tom Hanks  director:"Greta Gerwig"
+//   "dark knight"                 a phrase the title must contain exactly
+// Everything else is plain title text.
+//
+// Person names may have spaces without quotes ("actor:Tom Hanks"), so they run
+// until the next key or quote. Years and genres are one word unless quoted.
+
+export const PERSON_KEYS = ['person', 'actor', 'director']
+const KEYS = ['year', 'genre', ...PERSON_KEYS]
+
+const KEY_PATTERN = new RegExp(`^(${KEYS.join('|')}):`, 'i')
+const YEAR_PATTERN = /^(\d{4})?(?:(-|\.\.)(\d{4})?)?$/
+
+// "2010" -> { from: 2010, to: 2010 }, "1990-1999" -> { from: 1990, to: 1999 }, "2000-" -> { from: 2000, to: null }
+// Returns null for anything that isn't a year or a range
+export const parseYearRange = (value) => {
+  const match = YEAR_PATTERN.exec(value)
+  if (!match || (!match[1] && !match[3])) return null
+  const from = match[1] ? Number(match[1]) : null
+  const to = match[2] ? (match[3] ? Number(match[3]) : null) : from
+  return from !== null && to !== null && from > to ? { from: to, to: from } : { from, to }
+}
+
+// Split the input into tokens, remembering where each one starts and ends
+// so a chip can later be removed from the exact spot it was typed (see removeChip)
+// Each token: { type: 'word' | 'phrase' | 'filter', key, value, start, end }
+const tokenize = (input) => {
+  const tokens = []
+  let index = 0
+
+  const skipSpaces = () => {
+    while (index < input.length && /\s/.test(input[index])) index++
+  }
+
+  // Read up to the closing quote (or the end, while the user is still typing it)
+  const readQuoted = () => {
+    const close = input.indexOf('"', index + 1)
+    const end = close === -1 ? input.length : close + 1
+    const value = input.slice(index + 1, close === -1 ? input.length : close)
+    index = end
+    return value
+  }
+
+  const readWord = () => {
+    const start = index
+    while (index < input.length && !/\s/.test(input[index])) index++
+    return input.slice(start, index)
+  }
+
+  while (true) {
+    skipSpaces()
+    if (index >= input.length) break
+    const start = index
+
+    if (input[index] === '"') {
+      tokens.push({ type: 'phrase', value: readQuoted().trim(), start, end: index })
+      continue
+    }
+
+    const keyMatch = KEY_PATTERN.exec(input.slice(index))
+    if (!keyMatch) {
+      tokens.push({ type: 'word', value: readWord(), start, end: index })
+      continue
+    }
+
+    const key = keyMatch[1].toLowerCase()
+    index += keyMatch[0].length
+
+    let value
+    if (input[index] === '"') {
+      value = readQuoted()
+    } else if (PERSON_KEYS.includes(key)) {
+      // Names: keep reading words until the next key or quote
+      const words = []
+      let end = index
+      while (true) {
+        skipSpaces()
+        if (index >= input.length || input[index] === '"' || KEY_PATTERN.test(input.slice(index))) break
+        words.push(readWord())
+        end = index
+      }
+      index = end
+      value = words.join(' ')
+    } else {
+      value = readWord()
+    }
+
+    tokens.push({ type: 'filter', key, value: value.trim(), start, end: index })
+  }
+
+  return tokens
+}
+
+// Parse the search box text
+// Returns {
+//   text,     the words and phrases to search titles for, e.g. 'dark knight'
+//   words,    the plain words, e.g. ['knight']
+//   phrases,  the quoted phrases, e.g. ['the dark']
+//   year,     { from, to } or null (either end can be null for an open range)
+//   people,   [{ role: 'person' | 'actor' | 'director', name }]
+//   genres,   genre names, e.g. ['drama']
+//   chips     the filters and phrases as they were typed: [{ key, value, start, end }]
+// }
+export const parseQuery = (input = '') => {
+  const result = { text: '', words: [], phrases: [], year: null, people: [], genres: [], chips: [] }
+  const textParts = []
+
+  tokenize(input).forEach((token) => {
+    if (token.type === 'word') {
+      result.words.push(token.value)
+      textParts.push(token.value)
+      return
+    }
+    // Empty values ('actor:' or '""') are half-typed - ignore them until there's something there
+    if (!token.value) return
+
+    if (token.type === 'phrase') {
+      result.phrases.push(token.value)
+      textParts.push(token.value)
+      result.chips.push({ key: 'phrase', value: token.value, start: token.start, end: token.end })
+      return
+    }
+
+    if (token.key === 'year') {
+      const range = parseYearRange(token.value)
+      // Not a valid year - treat it as ordinary text instead of silently dropping it
+      if (!range) {
+        const raw = input.slice(token.start, token.end)
+        result.words.push(raw)
+        textParts.push(raw)
+        return
+      }
+      result.year = range
+    } else if (token.key === 'genre') {
+      result.genres.push(token.value)
+    } else {
+      result.people.push({ role: token.key, name: token.value })
+    }
+    result.chips.push({ key: token.key, value: token.value, start: token.start, end: token.end })
+  })
+
+  result.text = textParts.join(' ')
+  return result
+}
+
+// Does the query use any filter syntax at all? (plain text can go straight to /search/movie)
+export const hasQueryFilters = (parsed) =>
+  parsed.year !== null || parsed.people.length > 0 || parsed.genres.length > 0 || parsed.phrases.length > 0
+
+// The search text with one chip cut out, e.g. removing year:2010 from "nolan year:2010"
+export const removeChip = (input, chip) =>
+  `${input.slice(0, chip.start)} ${input.slice(chip.end)}`.replace(/\s+/g, ' ').trim()
+
+// Does a movie match the parts of the query the API couldn't filter for us?
+// - words / phrases: the title must contain them (used when results come from discover)
+// - year: release year inside the range (used when results come from search)
+// - genreIds: every genre id must be on the movie
+export const matchesQuery = (movie, { words = [], phrases = [], year = null, genreIds = [] }) => {
+  const title = `${movie.title || ''} ${movie.original_title || ''}`.toLowerCase()
+  const releaseYear = movie.release_date ? Number(movie.release_date.slice(0, 4)) : null
+
+  return [...words, ...phrases].every((part) => title.includes(part.toLowerCase()))
+    && (!year || (releaseYear !== null
+      && (year.from === null || releaseYear >= year.from)
+      && (year.to === null || releaseYear <= year.to)))
+    && genreIds.every((id) => (movie.genre_ids || []).includes(id))
+}
+
+// Pick the right /search/person result for a name
+// "director:" prefers people known for directing, "actor:" people known for acting
+// Returns the person's id, or null if nobody was found
+export const pickPersonId = (results = [], role = 'person') => {
+  const department = { actor: 'Acting', director: 'Directing' }[role]
+  const person = (department && results.find((item) => item.known_for_department === department)) || results[0]
+  return person ? person.id : null
+}
+
+// TMDB's genre ids never change between languages, so the English names can always be
+// matched too - "genre:comedy" keeps working when the app (and the genre list) is in German
+const ENGLISH_GENRES = [
+  { id: 28, name: 'Action' },
+  { id: 12, name: 'Adventure' },
+  { id: 16, name: 'Animation' },
+  { id: 35, name: 'Comedy' },
+  { id: 80, name: 'Crime' },
+  { id: 99, name: 'Documentary' },
+  { id: 18, name: 'Drama' },
+  { id: 10751, name: 'Family' },
+  { id: 14, name: 'Fantasy' },
+  { id: 36, name: 'History' },
+  { id: 27, name: 'Horror' },
+  { id: 10402, name: 'Music' },
+  { id: 9648, name: 'Mystery' },
+  { id: 10749, name: 'Romance' },
+  { id: 878, name: 'Science Fiction' },
+  { id: 10770, name: 'TV Movie' },
+  { id: 53, name: 'Thriller' },
+  { id: 10752, name: 'War' },
+  { id: 37, name: 'Western' }
+]
+
+// Turn a genre name into its id using the provider's genre list (in the app's language)
+// or the English names
+// Exact names win, otherwise the first genre starting with the text ("sci" -> Science Fiction)
+// Returns null for a name that doesn't match any genre
+export const findGenreId = (name, genres = []) => {
+  const needle = name.toLowerCase()
+  const find = (matches) => genres.find((item) => matches(item.name.toLowerCase()))
+    || ENGLISH_GENRES.find((item) => matches(item.name.toLowerCase()))
+  const genre = find((genreName) => genreName === needle) || find((genreName) => genreName.startsWith(needle))
+  return genre ? genre.id : null
+}
@@ -0,0 +1,152 @@
+// ============================================
+// QUERY PARSER TESTS - npm test
+// ============================================
+
+import { describe, expect, it } from 'vitest'
+import {
+  findGenreId,
+  hasQueryFilters,
+  matchesQuery,
+  parseQuery,
+  parseYearRange,
+  pickPersonId,
+  removeChip
+} from './queryParser'
+
+describe('parseQuery', () => {
+  it('treats plain words as title text', () => {
+    const parsed = parseQuery('  the dark   knight ')
+    expect(parsed).toMatchObject({ text: 'the dark knight', words: ['the', 'dark', 'knight'], chips: [] })
+    expect(hasQueryFilters(parsed)).toBe(false)
+  })
+
+  it('reads quoted phrases as exact title text', () => {
+    const parsed = parseQuery('"dark knight" rises')
+    expect(parsed).toMatchObject({ text: 'dark knight rises', words: ['rises'], phrases: ['dark knight'] })
+    expect(parsed.chips).toEqual([{ key: 'phrase', value: 'dark knight', start: 0, end: 13 }])
+  })
+
+  it('keeps an unclosed quote as a phrase running to the end', () => {
+    expect(parseQuery('"dark kni').phrases).toEqual(['dark kni'])
+  })
+
+  it('reads quoted and unquoted people names', () => {
+    expect(parseQuery('actor:"Tom Hanks" 1994').people).toEqual([{ role: 'actor', name: 'Tom Hanks' }])
+    expect(parseQuery('actor:Tom Hanks director:Robert Zemeckis').people).toEqual([
+      { role: 'actor', name: 'Tom Hanks' },
+      { role: 'director', name: 'Robert Zemeckis' }
+    ])
+  })
+
+  it('stops an unquoted name at the next quote', () => {
+    const parsed = parseQuery('person:Nolan "dark knight"')
+    expect(parsed.people).toEqual([{ role: 'person', name: 'Nolan' }])
+    expect(parsed.phrases).toEqual(['dark knight'])
+  })
+
+  it('reads single years and ranges, with keys in any case', () => {
+    expect(parseQuery('YEAR:2010').year).toEqual({ from: 2010, to: 2010 })
+    expect(parseQuery('year:1990-1999').year).toEqual({ from: 1990, to: 1999 })
+    expect(parseQuery('year:2000..').year).toEqual({ from: 2000, to: null })
+  })
+
+  it('keeps an invalid year as title text', () => {
+    const parsed = parseQuery('year:soon heat')
+    expect(parsed.year).toBeNull()
+    expect(parsed.text).toBe('year:soon heat')
+  })
+
+  it('reads quoted and one-word genres', () => {
+    expect(parseQuery('genre:drama genre:"science fiction"').genres).toEqual(['drama', 'science fiction'])
+  })
+
+  it('lets unknown keys fall through to title text', () => {
+    const parsed = parseQuery('rating:9 mood:dark')
+    expect(parsed).toMatchObject({ text: 'rating:9 mood:dark', words: ['rating:9', 'mood:dark'], chips: [] })
+  })
+
+  it('ignores half-typed filters', () => {
+    const parsed = parseQuery('heat actor: ""')
+    expect(parsed).toMatchObject({ text: 'heat', people: [], phrases: [], chips: [] })
+  })
+})
+
+describe('parseYearRange', () => {
+  it('swaps a backwards range and rejects non-years', () => {
+    expect(parseYearRange('1999-1990')).toEqual({ from: 1990, to: 1999 })
+    expect(parseYearRange('-2000')).toEqual({ from: null, to: 2000 })
+    expect(parseYearRange('19')).toBeNull()
+    expect(parseYearRange('-')).toBeNull()
+  })
+})
+
+describe('removeChip', () => {
+  it('removes only the chip at its own offsets when the same filter is typed twice', () => {
+    const input = 'genre:drama heat genre:drama'
+    const [first, second] = parseQuery(input).chips
+
+    expect(first).toMatchObject({ start: 0, end: 11 })
+    expect(second).toMatchObject({ start: 17, end: 28 })
+    expect(removeChip(input, second)).toBe('genre:drama heat')
+    expect(removeChip(input, first)).toBe('heat genre:drama')
+  })
+
+  it('removes a quoted name and tidies the spaces', () => {
+    const input = 'heat  actor:"Al Pacino"  1995'
+    const [chip] = parseQuery(input).chips
+    expect(removeChip(input, chip)).toBe('heat 1995')
+  })
+})
+
+describe('matchesQuery', () => {
+  const movie = { title: 'The Dark Knight', original_title: 'The Dark Knight', release_date: '2008-07-16', genre_ids: [28, 80] }
+
+  it('checks title words, phrases, the year range and genres', () => {
+    expect(matchesQuery(movie, { words: ['dark'], phrases: ['dark knight'] })).toBe(true)
+    expect(matchesQuery(movie, { phrases: ['knight dark'] })).toBe(false)
+    expect(matchesQuery(movie, { year: { from: 2000, to: null } })).toBe(true)
+    expect(matchesQuery(movie, { year: { from: 2010, to: 2019 } })).toBe(false)
+    expect(matchesQuery(movie, { genreIds: [80] })).toBe(true)
+    expect(matchesQuery(movie, { genreIds: [80, 18] })).toBe(false)
+  })
+})
+
+describe('pickPersonId', () => {
+  const results = [
+    { id: 1, known_for_department: 'Acting' },
+    { id: 2, known_for_department: 'Directing' }
+  ]
+
+  it('prefers the department that matches the role', () => {
+    expect(pickPersonId(results, 'director')).toBe(2)
+    expect(pickPersonId(results, 'actor')).toBe(1)
+    expect(pickPersonId(results, 'person')).toBe(1)
+    expect(pickPersonId([], 'actor')).toBeNull()
+  })
+})
+
+describe('findGenreId', () => {
+  const german = [
+    { id: 35, name: 'Komödie' },
+    { id: 878, name: 'Science Fiction' },
+    { id: 18, name: 'Drama' }
+  ]
+
+  it('matches exact names before prefixes', () => {
+    expect(findGenreId('drama', german)).toBe(18)
+    expect(findGenreId('sci', german)).toBe(878)
+  })
+
+  it('matches localized names', () => {
+    expect(findGenreId('komödie', german)).toBe(35)
+  })
+
+  it('also matches the English names when the list is in another language', () => {
+    expect(findGenreId('comedy', german)).toBe(35)
+    expect(findGenreId('horr', german)).toBe(27)
+  })
+
+  it('returns null for a name that matches nothing', () => {
+    expect(findGenreId('cooking', german)).toBeNull()
+  })
+})
@@ -0,0 +1,18 @@
+// ============================================
+// REORDER HELPERS - Pure functions for moving items around in arrays
+// ============================================
+
+// Return a NEW array with the item at index "from" moved to index "to"
+// We never change the original array, because React state must be replaced, not mutated
+// Example: moveItem(['a', 'b', 'c'], 0, 2) -> ['b', 'c', 'a']
+export const moveItem = (list, from, to) => {
+  if (from === to || from < 0 || from >= list.length) return list
+
+  // Clamp the target so moving past either end just stops at the edge
+  const target = Math.max(0, Math.min(to, list.length - 1))
+
+  const next = [...list]
+  const [item] = next.splice(from, 1)
+  next.splice(target, 0, item)
+  return next
+}
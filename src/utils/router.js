@@ -0,0 +1,67 @@
+// ============================================
+// ROUTER HELPERS - Tiny client-side routing on top of the History API
+// ============================================
+// We change the address bar with history.pushState (no page reload), then tell
+// every listener about it with a "popstate" event - the same event the browser
+// fires for the back and forward buttons, so both cases are handled the same way.
+
+// Go to a new path inside the app, e.g. navigate('/movie/550')
+// replace: true swaps the current history entry instead of adding a new one
+export const navigate = (to, { replace = false } = {}) => {
+  if (to === window.location.pathname + window.location.search) return
+
+  if (replace) {
+    window.history.replaceState({ from: window.history.state?.from }, '', to)
+  } else {
+    // Remember how far down the page we were, so "back" can return to the same spot
+    // (see useScrollRestoration)
+    window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '')
+    // from: the page we came from - it tells goBack there is an app page to go back to
+    window.history.pushState({ from: window.location.pathname + window.location.search }, '', to)
+    // A new page should start at the top, like a normal link would
+    window.scrollTo(0, 0)
+  }
+  window.dispatchEvent(new PopStateEvent('popstate'))
+}
+
+// An in-app "Back" link: the same as the browser's back button when the previous page
+// was ours, so the search, filters and scroll position come back exactly as they were
+// Opened straight from a bookmark or another site, there's nothing of ours to go back to,
+// so it goes to fallback instead
+export const goBack = (fallback) => {
+  if (window.history.state?.from) {
+    window.history.back()
+  } else {
+    navigate(fallback)
+  }
+}
+
+// Listen for any change of address (our navigate calls and back/forward)
+// Returns a function that stops listening
+export const subscribeToLocation = (callback) => {
+  window.addEventListener('popstate', callback)
+  return () => window.removeEventListener('popstate', callback)
+}
+
+// Check a pathname against a pattern like '/movie/:id'
+// Returns the named parts ({ id: '550' }) or null if it doesn't match
+// (a badly encoded part like '%E0' doesn't match either, so the page shows "not found")
+export const matchPath = (pattern, pathname) => {
+  const patternParts = pattern.split('/').filter(Boolean)
+  const pathParts = pathname.split('/').filter(Boolean)
+  if (patternParts.length !== pathParts.length) return null
+
+  const params = {}
+  for (let i = 0; i < patternParts.length; i++) {
+    if (patternParts[i].startsWith(':')) {
+      try {
+        params[patternParts[i].slice(1)] = decodeURIComponent(pathParts[i])
+      } catch {
+        return null
+      }
+    } else if (patternParts[i] !== pathParts[i]) {
+      return null
+    }
+  }
+  return params
+}
@@ -0,0 +1,50 @@
+// @vitest-environment jsdom
+// ============================================
+// ROUTER TESTS - npm test
+// ============================================
+
+import { afterEach, describe, expect, it, vi } from 'vitest'
+import { goBack, matchPath, navigate } from './router'
+
+// Start every test from a fresh entry on the home page
+afterEach(() => {
+  window.history.replaceState(null, '', '/')
+  vi.restoreAllMocks()
+})
+
+describe('matchPath', () => {
+  it('reads the named parts of a path', () => {
+    expect(matchPath('/movie/:id', '/movie/550')).toEqual({ id: '550' })
+    expect(matchPath('/movie/:id', '/movie/550/cast')).toBeNull()
+    expect(matchPath('/lists/:id', '/movie/550')).toBeNull()
+  })
+
+  it('decodes the named parts, and treats a badly encoded one as no match', () => {
+    expect(matchPath('/lists/:id', '/lists/best%20of')).toEqual({ id: 'best of' })
+    expect(matchPath('/movie/:id', '/movie/%E0')).toBeNull()
+  })
+})
+
+describe('goBack', () => {
+  it('uses the history when the previous page was one of ours', () => {
+    vi.spyOn(window, 'scrollTo').mockImplementation(() => {})
+    const back = vi.spyOn(window.history, 'back').mockImplementation(() => {})
+    window.history.replaceState(null, '', '/?q=heat&page=2')
+
+    navigate('/movie/949')
+    expect(window.history.state).toEqual({ from: '/?q=heat&page=2' })
+
+    goBack('/')
+    expect(back).toHaveBeenCalledTimes(1)
+  })
+
+  it('goes to the fallback when the page was opened from outside the app', () => {
+    vi.spyOn(window, 'scrollTo').mockImplementation(() => {})
+    const back = vi.spyOn(window.history, 'back').mockImplementation(() => {})
+    window.history.replaceState(null, '', '/movie/949')
+
+    goBack('/?q=heat')
+    expect(back).not.toHaveBeenCalled()
+    expect(window.location.pathname + window.location.search).toBe('/?q=heat')
+  })
+})
@@ -0,0 +1,16 @@
+// ============================================
+// SERVICE WORKER REGISTRATION - Turn on offline support (see public/sw.js)
+// ============================================
+
+// Only in production builds: in development the worker would keep serving old
+// files from its cache and hide the changes Vite's hot reload is trying to show
+export const registerServiceWorker = () => {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return
+
+  // Wait for the page to finish loading, so installing doesn't compete with it for bandwidth
+  window.addEventListener('load', () => {
+    navigator.serviceWorker.register('/sw.js').catch((error) => {
+      console.log(`Service worker registration failed: ${error}`)
+    })
+  })
+}
@@ -0,0 +1,62 @@
+// ============================================
+// SHARE CODES - Pack any JSON value into a short string for a link
+// ============================================
+// The data is compressed with the browser's built-in CompressionStream and
+// written as base64url (letters, digits, - and _), so it can sit in a URL
+// without escaping. Decoding needs no server - everything is in the link itself.
+//
+// Format: "z.<data>" for compressed codes, "j.<data>" for plain JSON
+// (used in the rare browsers without CompressionStream).
+
+// Thrown when a link can't be used - reason picks the message the page shows
+// (share.error.<reason> in src/locales), message is the same thing in English for the console
+export class ShareLinkError extends Error {
+  constructor(reason, message) {
+    super(message)
+    this.name = 'ShareLinkError'
+    this.reason = reason
+  }
+}
+
+const canCompress = () => typeof CompressionStream !== 'undefined'
+
+// Uint8Array <-> base64url
+const toBase64Url = (bytes) => {
+  let binary = ''
+  bytes.forEach((byte) => { binary += String.fromCharCode(byte) })
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/')
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4))
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0))
+}
+
+// Push bytes through a CompressionStream or DecompressionStream and collect the result
+const transform = async (bytes, stream) =>
+  new Uint8Array(await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer())
+
+// Any JSON-friendly value -> share code
+export const encodeShareCode = async (value) => {
+  const bytes = new TextEncoder().encode(JSON.stringify(value))
+  if (!canCompress()) return `j.${toBase64Url(bytes)}`
+  return `z.${toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')))}`
+}
+
+// Share code -> the original value
+// Throws a ShareLinkError if the code is damaged (e.g. a link cut off when pasted)
+export const decodeShareCode = async (code) => {
+  const [prefix, data] = String(code).split('.', 2)
+  try {
+    let bytes = fromBase64Url(data || '')
+    if (prefix === 'z') {
+      bytes = await transform(bytes, new DecompressionStream('deflate-raw'))
+    } else if (prefix !== 'j') {
+      throw new Error('unknown format')
+    }
+    return JSON.parse(new TextDecoder().decode(bytes))
+  } catch {
+    throw new ShareLinkError('damaged', 'This share link is damaged or incomplete.')
+  }
+}
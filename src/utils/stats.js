@@ -0,0 +1,121 @@
+// ============================================
+// STATS - What the user's ratings and rankings say about their taste (pure functions)
+// ============================================
+// Everything here works on "stat entries": { movie, rating }
+// - movie: a movie summary (see toMovieSummary) - vote_average, release_date,
+//   original_language and genre_ids are the fields we look at
+// - rating: the user's own 1-10 score, or null if they haven't rated it
+
+// Round to one decimal place, so averages read 7.3 rather than 7.333333
+const round1 = (value) => Math.round(value * 10) / 10
+
+const average = (values) => (values.length ? round1(values.reduce((sum, value) => sum + value, 0) / values.length) : null)
+
+// Every movie the user has ranked, rated, watched or put on the watchlist - each once
+// library: the object from useLibrary, rankedMovies: the list from useRankings
+// A movie in both keeps the library's rating, and borrows the ranked copy's genres if the
+// library copy was saved before we kept them
+export const collectStatEntries = (library = {}, rankedMovies = []) => {
+  const entries = new Map(rankedMovies.map((movie) => [movie.id, { movie, rating: null }]))
+  Object.values(library).forEach((entry) => {
+    const ranked = entries.get(entry.movie.id)?.movie
+    entries.set(entry.movie.id, {
+      movie: { ...entry.movie, genre_ids: entry.movie.genre_ids ?? ranked?.genre_ids },
+      rating: entry.rating ?? null
+    })
+  })
+  return [...entries.values()]
+}
+
+// ============================================
+// MY RATINGS VS TMDB
+// ============================================
+// Only movies with both scores count
+// Returns {
+//   count,
+//   averageRating, averageTmdb    the two averages side by side
+//   averageDifference             positive = the user rates higher than TMDB on average
+//   points: [{ movie, rating, tmdb, difference }]   biggest disagreement first
+// }
+export const compareWithTmdb = (entries) => {
+  const points = entries
+    .filter(({ movie, rating }) => rating !== null && movie.vote_average > 0)
+    .map(({ movie, rating }) => ({
+      movie,
+      rating,
+      tmdb: movie.vote_average,
+      difference: round1(rating - movie.vote_average)
+    }))
+    .sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference) || a.movie.title.localeCompare(b.movie.title))
+
+  return {
+    count: points.length,
+    averageRating: average(points.map((point) => point.rating)),
+    averageTmdb: average(points.map((point) => point.tmdb)),
+    averageDifference: average(points.map((point) => point.difference)),
+    points
+  }
+}
+
+// ============================================
+// RATING DISTRIBUTION
+// ============================================
+// How many movies got each score - half scores count toward the whole number below (7.5 -> 7)
+// Returns [{ score: 1, count }, ..., { score: 10, count }] - every score, even empty ones
+export const ratingDistribution = (entries) => {
+  const counts = Array.from({ length: 10 }, (unused, index) => ({ score: index + 1, count: 0 }))
+  entries.forEach(({ rating }) => {
+    if (rating === null) return
+    const score = Math.min(10, Math.max(1, Math.floor(rating)))
+    counts[score - 1].count++
+  })
+  return counts
+}
+
+// ============================================
+// GROUPED BREAKDOWNS - Genres, decades and languages
+// ============================================
+
+// Group entries by one or more keys each (a movie can have several genres)
+// Returns [{ key, count, ratedCount, averageRating }] - averageRating only uses rated movies (null if none)
+const breakdown = (entries, keysOf) => {
+  const groups = new Map()
+  entries.forEach((entry) => {
+    keysOf(entry.movie).forEach((key) => {
+      if (!groups.has(key)) groups.set(key, [])
+      groups.get(key).push(entry)
+    })
+  })
+  return [...groups].map(([key, group]) => {
+    const ratings = group.filter((entry) => entry.rating !== null).map((entry) => entry.rating)
+    return { key, count: group.length, ratedCount: ratings.length, averageRating: average(ratings) }
+  })
+}
+
+// Most common first; ties go to the higher average rating
+const byCount = (a, b) => b.count - a.count || (b.averageRating ?? 0) - (a.averageRating ?? 0)
+
+// Genres: [{ key: genreId, count, ratedCount, averageRating }], most common first
+// Movies saved before genres were kept have no genre_ids - they are skipped here
+export const genreBreakdown = (entries) => breakdown(entries, (movie) => movie.genre_ids || []).sort(byCount)
+
+// Decades: [{ key: 1990, count, ratedCount, averageRating }], oldest first
+export const decadeBreakdown = (entries) => breakdown(entries, (movie) => {
+  const year = Number((movie.release_date || '').slice(0, 4))
+  return year ? [Math.floor(year / 10) * 10] : []
+}).sort((a, b) => a.key - b.key)
+
+// Languages: [{ key: 'en', count, ratedCount, averageRating, share }], most common first
+// share: the fraction of all movies with a known language, from 0 to 1
+export const languageBreakdown = (entries) => {
+  const groups = breakdown(entries, (movie) => (movie.original_language ? [movie.original_language] : []))
+  const total = groups.reduce((sum, group) => sum + group.count, 0)
+  return groups.map((group) => ({ ...group, share: group.count / total })).sort(byCount)
+}
+
+// The favorite among grouped results: the highest average rating, counting only groups
+// with at least minRated rated movies (one 10/10 shouldn't make a whole genre the favorite)
+// Returns one group, or null when nothing has enough ratings yet
+export const highestRated = (groups, minRated = 2) => groups
+  .filter((group) => group.ratedCount >= minRated)
+  .reduce((best, group) => (!best || group.averageRating > best.averageRating ? group : best), null)
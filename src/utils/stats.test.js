@@ -0,0 +1,164 @@
+// ============================================
+// STATS TESTS - npm test
+// ============================================
+
+import { describe, expect, it } from 'vitest'
+import {
+  collectStatEntries,
+  compareWithTmdb,
+  ratingDistribution,
+  genreBreakdown,
+  decadeBreakdown,
+  languageBreakdown,
+  highestRated
+} from './stats'
+
+// A movie summary with just the fields the stats look at
+const movie = (id, { title = `Movie ${id}`, vote_average = 7, release_date = '2000-01-01', original_language = 'en', genre_ids } = {}) =>
+  ({ id, title, vote_average, release_date, original_language, genre_ids })
+
+const entry = (movieFields, rating = null) => ({ movie: movieFields, rating })
+
+describe('collectStatEntries', () => {
+  it('lists each movie once, keeping the library rating', () => {
+    const library = {
+      1: { movie: movie(1), rating: 8 },
+      2: { movie: movie(2), rating: null, onWatchlist: true }
+    }
+    const entries = collectStatEntries(library, [movie(1), movie(3)])
+
+    expect(entries.map((item) => item.movie.id).sort()).toEqual([1, 2, 3])
+    expect(entries.find((item) => item.movie.id === 1).rating).toBe(8)
+    expect(entries.find((item) => item.movie.id === 2).rating).toBeNull()
+    expect(entries.find((item) => item.movie.id === 3).rating).toBeNull()
+  })
+
+  it('borrows genres from the ranked copy when the library copy has none', () => {
+    const library = { 1: { movie: movie(1), rating: 6 } }
+    const [result] = collectStatEntries(library, [movie(1, { genre_ids: [18] })])
+    expect(result.movie.genre_ids).toEqual([18])
+  })
+
+  it('treats a missing rating as unrated', () => {
+    const [result] = collectStatEntries({ 1: { movie: movie(1) } })
+    expect(result.rating).toBeNull()
+  })
+
+  it('works with nothing saved', () => {
+    expect(collectStatEntries()).toEqual([])
+  })
+})
+
+describe('compareWithTmdb', () => {
+  it('puts the biggest disagreement first, in either direction', () => {
+    const result = compareWithTmdb([
+      entry(movie(1, { title: 'Close', vote_average: 7 }), 7.5),
+      entry(movie(2, { title: 'Loved', vote_average: 6 }), 9),
+      entry(movie(3, { title: 'Hated', vote_average: 8 }), 4)
+    ])
+
+    expect(result.points.map((point) => point.movie.title)).toEqual(['Hated', 'Loved', 'Close'])
+    expect(result.points.map((point) => point.difference)).toEqual([-4, 3, 0.5])
+  })
+
+  it('averages both scores and the difference', () => {
+    const result = compareWithTmdb([entry(movie(1, { vote_average: 6 }), 8), entry(movie(2, { vote_average: 7 }), 8)])
+    expect(result).toMatchObject({ count: 2, averageRating: 8, averageTmdb: 6.5, averageDifference: 1.5 })
+  })
+
+  it('skips unrated movies and movies without a TMDB score', () => {
+    const result = compareWithTmdb([entry(movie(1), null), entry(movie(2, { vote_average: 0 }), 8)])
+    expect(result).toEqual({ count: 0, averageRating: null, averageTmdb: null, averageDifference: null, points: [] })
+  })
+})
+
+describe('ratingDistribution', () => {
+  it('has a bucket for every score from 1 to 10', () => {
+    expect(ratingDistribution([]).map((bucket) => bucket.score)).toEqual([1, 2, 3, 4, 5, 6, 7, 8, 9, 10])
+  })
+
+  it('counts half scores toward the whole number below and ignores unrated movies', () => {
+    const counts = ratingDistribution([
+      entry(movie(1), 7.5),
+      entry(movie(2), 7),
+      entry(movie(3), 10),
+      entry(movie(4), 0.5),
+      entry(movie(5), null)
+    ]).map((bucket) => bucket.count)
+
+    expect(counts).toEqual([1, 0, 0, 0, 0, 0, 2, 0, 0, 1])
+  })
+})
+
+describe('genreBreakdown', () => {
+  it('counts a movie once for each of its genres, most common first', () => {
+    const result = genreBreakdown([
+      entry(movie(1, { genre_ids: [18, 80] }), 9),
+      entry(movie(2, { genre_ids: [18] }), 6),
+      entry(movie(3, { genre_ids: [35] }), null)
+    ])
+
+    expect(result).toEqual([
+      { key: 18, count: 2, ratedCount: 2, averageRating: 7.5 },
+      { key: 80, count: 1, ratedCount: 1, averageRating: 9 },
+      { key: 35, count: 1, ratedCount: 0, averageRating: null }
+    ])
+  })
+
+  it('skips movies saved without genre_ids', () => {
+    const result = genreBreakdown([entry(movie(1), 8), entry(movie(2, { genre_ids: [27] }), 5)])
+    expect(result).toEqual([{ key: 27, count: 1, ratedCount: 1, averageRating: 5 }])
+  })
+})
+
+describe('decadeBreakdown', () => {
+  it('groups by decade, oldest first, and skips movies without a date', () => {
+    const result = decadeBreakdown([
+      entry(movie(1, { release_date: '2014-11-05' }), 9),
+      entry(movie(2, { release_date: '1999-03-31' }), 8),
+      entry(movie(3, { release_date: '1990-01-01' }), null),
+      entry(movie(4, { release_date: '' }), 7)
+    ])
+
+    expect(result).toEqual([
+      { key: 1990, count: 2, ratedCount: 1, averageRating: 8 },
+      { key: 2010, count: 1, ratedCount: 1, averageRating: 9 }
+    ])
+  })
+})
+
+describe('languageBreakdown', () => {
+  it('gives each language its share of the movies with a known language', () => {
+    const result = languageBreakdown([
+      entry(movie(1, { original_language: 'en' })),
+      entry(movie(2, { original_language: 'en' })),
+      entry(movie(3, { original_language: 'ko' }), 9),
+      entry(movie(4, { original_language: 'fr' })),
+      entry(movie(5, { original_language: '' }))
+    ])
+
+    expect(result.map((group) => [group.key, group.share])).toEqual([['en', 0.5], ['ko', 0.25], ['fr', 0.25]])
+  })
+})
+
+describe('highestRated', () => {
+  const groups = [
+    { key: 'one great movie', count: 1, ratedCount: 1, averageRating: 10 },
+    { key: 'solid', count: 3, ratedCount: 2, averageRating: 8 },
+    { key: 'weaker', count: 4, ratedCount: 4, averageRating: 6 }
+  ]
+
+  it('ignores groups with fewer than minRated rated movies', () => {
+    expect(highestRated(groups).key).toBe('solid')
+  })
+
+  it('uses the threshold it is given', () => {
+    expect(highestRated(groups, 1).key).toBe('one great movie')
+    expect(highestRated(groups, 3).key).toBe('weaker')
+  })
+
+  it('returns null when nothing has enough ratings', () => {
+    expect(highestRated(groups, 5)).toBeNull()
+    expect(highestRated([])).toBeNull()
+  })
+})
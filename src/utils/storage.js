@@ -0,0 +1,40 @@
+// ============================================
+// STORAGE HELPERS - Save and load data in the browser's localStorage
+// ============================================
+
+// Every key we write is prefixed so our data never clashes with other apps
+// running on the same domain (e.g. "movie-ranking:rankings")
+const STORAGE_PREFIX = 'movie-ranking:'
+
+// Read a value that was saved with saveJSON
+// fallback: returned when nothing is stored yet or the stored text is broken
+export const loadJSON = (key, fallback) => {
+  try {
+    const raw = window.localStorage.getItem(STORAGE_PREFIX + key)
+    return raw === null ? fallback : JSON.parse(raw)
+  } catch (error) {
+    // localStorage can throw in private mode, and JSON.parse throws on bad data
+    console.log(`Error loading ${key}: ${error}`)
+    return fallback
+  }
+}
+
+// Save any JSON-friendly value (objects, arrays, numbers, strings)
+export const saveJSON = (key, value) => {
+  try {
+    window.localStorage.setItem(STORAGE_PREFIX + key, JSON.stringify(value))
+  } catch (error) {
+    // Quota exceeded or storage disabled - the app keeps working in memory
+    console.log(`Error saving ${key}: ${error}`)
+  }
+}
+
+// Fired on window by replaceJSON - event.detail.key says which value changed
+export const STORAGE_CHANGE_EVENT = 'movie-ranking:change'
+
+// Save a value that is also held by a useLocalStorage hook, e.g. data from an import
+// A plain saveJSON would be overwritten by the hook's next save, so this tells the hook to reload
+export const replaceJSON = (key, value) => {
+  saveJSON(key, value)
+  window.dispatchEvent(new CustomEvent(STORAGE_CHANGE_EVENT, { detail: { key } }))
+}
@@ -0,0 +1,50 @@
+// ============================================
+// TIER LIST HELPERS - Pure functions for the S/A/B/C/D tier board
+// ============================================
+// A board is an array of tiers: [{ id, name, color, movieIds: [...] }]
+// A movie lives in at most one tier. Movies in no tier sit in the "unranked" tray.
+
+// The classic tier-list rows, top to bottom
+export const DEFAULT_TIERS = [
+  { id: 'S', name: 'S', color: '#ff7f7f', movieIds: [] },
+  { id: 'A', name: 'A', color: '#ffbf7f', movieIds: [] },
+  { id: 'B', name: 'B', color: '#ffdf7f', movieIds: [] },
+  { id: 'C', name: 'C', color: '#bfff7f', movieIds: [] },
+  { id: 'D', name: 'D', color: '#7fbfff', movieIds: [] }
+]
+
+// Which tier is this movie in? Returns the tier id, or null for the tray
+export const findTierId = (tiers, movieId) =>
+  tiers.find((tier) => tier.movieIds.includes(movieId))?.id ?? null
+
+// Move a movie into a tier at a given position
+// toTierId: null sends the movie back to the unranked tray
+// toIndex: where in the tier to insert it (undefined = at the end)
+export const placeMovie = (tiers, movieId, toTierId, toIndex) => {
+  // First take the movie out of whichever tier it is in now
+  const without = tiers.map((tier) => ({
+    ...tier,
+    movieIds: tier.movieIds.filter((id) => id !== movieId)
+  }))
+  if (toTierId === null) return without
+
+  return without.map((tier) => {
+    if (tier.id !== toTierId) return tier
+    const movieIds = [...tier.movieIds]
+    const index = toIndex === undefined
+      ? movieIds.length
+      : Math.max(0, Math.min(toIndex, movieIds.length))
+    movieIds.splice(index, 0, movieId)
+    return { ...tier, movieIds }
+  })
+}
+
+// Change the name and/or color of one tier
+export const updateTier = (tiers, tierId, changes) =>
+  tiers.map((tier) => (tier.id === tierId ? { ...tier, ...changes } : tier))
+
+// Add an empty tier at the bottom of the board
+export const addTier = (tiers, tier) => [...tiers, { movieIds: [], ...tier }]
+
+// Remove a tier - its movies simply fall back to the unranked tray
+export const removeTier = (tiers, tierId) => tiers.filter((tier) => tier.id !== tierId)
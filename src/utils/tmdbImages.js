@@ -0,0 +1,36 @@
+// ============================================
+// TMDB IMAGES - Build image URLs in the sizes TMDB offers
+// ============================================
+// TMDB serves every image in a fixed set of widths. Giving the browser the whole
+// ladder in a srcset lets it download the smallest one that still looks sharp.
+
+export const IMAGE_BASE_URL = 'https://image.tmdb.org/t/p'
+
+// Shown when a movie or person has no image, or the image fails to load
+export const FALLBACK_IMAGE = '/No-Poster.png'
+
+// The widths TMDB has for each kind of image, smallest first
+// width/height: the image's shape, so the page can save space for it before it loads
+export const IMAGE_KINDS = {
+  poster: { sizes: [92, 154, 185, 342, 500, 780], width: 2, height: 3 },
+  backdrop: { sizes: [300, 780, 1280], width: 16, height: 9 },
+  profile: { sizes: [45, 185], width: 2, height: 3 },
+  logo: { sizes: [45, 92, 154], width: 1, height: 1 }
+}
+
+// Full URL for one size, e.g. imageUrl('/abc.jpg', 185) -> https://image.tmdb.org/t/p/w185/abc.jpg
+// TMDB paths already start with "/", but we make sure there's exactly one
+export const imageUrl = (path, width) => `${IMAGE_BASE_URL}/w${width}/${path.replace(/^\/+/, '')}`
+
+// "…/w92/abc.jpg 92w, …/w154/abc.jpg 154w, ..." for the srcset attribute
+export const imageSrcSet = (path, kind = 'poster') =>
+  IMAGE_KINDS[kind].sizes.map((width) => `${imageUrl(path, width)} ${width}w`).join(', ')
+
+// The smallest size - loads almost instantly, and is shown blurred while the real image loads
+export const placeholderUrl = (path, kind = 'poster') => imageUrl(path, IMAGE_KINDS[kind].sizes[0])
+
+// A sensible default src for browsers that ignore srcset: the middle of the ladder
+export const defaultImageUrl = (path, kind = 'poster') => {
+  const { sizes } = IMAGE_KINDS[kind]
+  return imageUrl(path, sizes[Math.floor(sizes.length / 2)])
+}
@@ -0,0 +1,240 @@
+// ============================================
+// IMPORT / EXPORT HELPERS - Backups as JSON, CSV and Letterboxd CSV
+// ============================================
+// Every import format is turned into the same list of "import rows":
+// { line, title, year, tmdbId, movie, rank, onWatchlist, watchedAt, rating, note }
+// - movie is filled in when the file already tells us the exact TMDB movie
+//   (our own JSON backups), otherwise rows are matched through /search/movie
+// - any field the file doesn't have is left undefined, so it won't overwrite existing data
+
+import { parseCsv, toCsv } from './csv'
+
+// The "format" and "version" fields let future versions of the app read old backups
+export const BACKUP_FORMAT = 'movie-ranking-backup'
+export const BACKUP_VERSION = 1
+
+// The columns of our own CSV export, in order
+export const CSV_HEADERS = ['tmdb_id', 'title', 'year', 'rank', 'on_watchlist', 'watched_date', 'rating', 'note']
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/
+const YEAR_PATTERN = /^\d{4}$/
+
+const yearOf = (date) => (date ? date.split('-')[0] : '')
+
+// ============================================
+// EXPORT
+// ============================================
+
+// Everything worth keeping, as one versioned object ready for JSON.stringify
+export const buildBackup = ({ rankings, library, comparisons }) => ({
+  format: BACKUP_FORMAT,
+  version: BACKUP_VERSION,
+  exportedAt: new Date().toISOString(),
+  rankings,
+  library: Object.values(library),
+  comparisons
+})
+
+// One CSV row per movie that is ranked and/or in the library
+export const buildCsv = ({ rankings, library }) => {
+  const rows = new Map()
+  const rowFor = (movie) => {
+    if (!rows.has(movie.id)) {
+      rows.set(movie.id, { tmdb_id: movie.id, title: movie.title, year: yearOf(movie.release_date) })
+    }
+    return rows.get(movie.id)
+  }
+
+  rankings.forEach((movie, index) => { rowFor(movie).rank = index + 1 })
+  Object.values(library).forEach((entry) => {
+    Object.assign(rowFor(entry.movie), {
+      on_watchlist: entry.onWatchlist ? 'yes' : '',
+      watched_date: entry.watchedAt || '',
+      rating: entry.rating ?? '',
+      note: entry.note || ''
+    })
+  })
+
+  return toCsv(CSV_HEADERS, [...rows.values()])
+}
+
+// ============================================
+// IMPORT - VALIDATION
+// ============================================
+
+// Errors are { line, title, reason, params } - reason names the message the UI shows
+// (import.reason.<reason> in src/locales) and params fill in its blanks
+
+// Check the fields every import row can have, whatever format it came from
+// Returns { reason, params }, or null if the row is fine
+const validateRow = (row) => {
+  if (!row.title && !row.tmdbId && !row.movie) return { reason: 'missingTitle' }
+  if (row.year && !YEAR_PATTERN.test(row.year)) return { reason: 'invalidYear', params: { value: row.year } }
+  if (row.watchedAt && !DATE_PATTERN.test(row.watchedAt)) return { reason: 'invalidDate', params: { value: row.watchedAt } }
+  if (row.rating !== undefined && (Number.isNaN(row.rating) || row.rating < 1 || row.rating > 10)) {
+    return { reason: 'invalidRating' }
+  }
+  if (row.rank !== undefined && (!Number.isInteger(row.rank) || row.rank < 1)) return { reason: 'invalidRank' }
+  return null
+}
+
+// Split rows into the valid ones and a list of { line, title, reason, params } errors
+const checkRows = (rows) => {
+  const valid = []
+  const errors = []
+  rows.forEach((row) => {
+    const problem = validateRow(row)
+    if (problem) {
+      errors.push({ line: row.line, title: row.title, ...problem })
+    } else {
+      valid.push(row)
+    }
+  })
+  return { rows: valid, errors }
+}
+
+// Turn '' into undefined and '8' into 8, so empty cells don't overwrite anything
+const optionalNumber = (value) => (value === '' || value === undefined ? undefined : Number(value))
+const optionalText = (value) => (value === '' || value === undefined ? undefined : value)
+
+const isMovieSummary = (movie) =>
+  movie && typeof movie === 'object' && Number.isInteger(movie.id) && typeof movie.title === 'string'
+
+// ============================================
+// IMPORT - JSON BACKUPS
+// ============================================
+
+const parseBackup = (text) => {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    return { format: 'json', rows: [], comparisons: [], errors: [{ line: null, reason: 'invalidJson', params: { error: error.message } }] }
+  }
+
+  // Reject anything that isn't one of our backups before looking inside it
+  const fail = (reason, params) => ({ format: 'json', rows: [], comparisons: [], errors: [{ line: null, reason, params }] })
+  if (!data || data.format !== BACKUP_FORMAT) return fail('notBackup')
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    return fail('unsupportedVersion', { version: String(data.version) })
+  }
+  if (!Array.isArray(data.rankings) || !Array.isArray(data.library)) return fail('incompleteBackup')
+
+  // One row per movie - a ranked movie and its library entry are merged together
+  const rows = new Map()
+  const errors = []
+  const rowFor = (movie) => {
+    if (!rows.has(movie.id)) {
+      rows.set(movie.id, { line: null, title: movie.title, year: yearOf(movie.release_date), tmdbId: movie.id, movie })
+    }
+    return rows.get(movie.id)
+  }
+
+  data.rankings.forEach((movie, index) => {
+    if (!isMovieSummary(movie)) {
+      errors.push({ line: null, reason: 'invalidRanking', params: { number: index + 1 } })
+      return
+    }
+    rowFor(movie).rank = index + 1
+  })
+
+  data.library.forEach((entry, index) => {
+    if (!entry || !isMovieSummary(entry.movie)) {
+      errors.push({ line: null, reason: 'invalidLibraryEntry', params: { number: index + 1 } })
+      return
+    }
+    Object.assign(rowFor(entry.movie), {
+      onWatchlist: entry.onWatchlist || undefined,
+      watchedAt: entry.watchedAt || undefined,
+      rating: entry.rating ?? undefined,
+      note: entry.note || undefined
+    })
+  })
+
+  // Comparisons are only kept if both movie ids are numbers
+  const comparisons = (Array.isArray(data.comparisons) ? data.comparisons : []).filter(
+    (item) => item && Number.isInteger(item.winnerId) && Number.isInteger(item.loserId)
+  )
+
+  const checked = checkRows([...rows.values()])
+  return { format: 'json', rows: checked.rows, comparisons, errors: [...errors, ...checked.errors] }
+}
+
+// ============================================
+// IMPORT - CSV (OURS AND LETTERBOXD)
+// ============================================
+
+// Our own CSV export (see buildCsv)
+const fromOurCsv = (row) => ({
+  line: row._line,
+  title: row.title,
+  year: row.year,
+  tmdbId: optionalNumber(row.tmdb_id),
+  rank: optionalNumber(row.rank),
+  onWatchlist: row.on_watchlist ? ['yes', 'true', '1'].includes(row.on_watchlist.toLowerCase()) : undefined,
+  watchedAt: optionalText(row.watched_date),
+  rating: optionalNumber(row.rating),
+  note: optionalText(row.note)
+})
+
+// Letterboxd's export zip has diary.csv, ratings.csv, watched.csv, watchlist.csv and reviews.csv
+// They share Name / Year / Date columns; ratings are 0.5 to 5 stars, so we double them
+// watched.csv and watchlist.csv have identical columns - only the file name tells them apart
+const fromLetterboxd = (row, isWatchlist) => ({
+  line: row._line,
+  title: row.Name,
+  year: row.Year,
+  onWatchlist: isWatchlist || undefined,
+  watchedAt: isWatchlist ? undefined : optionalText(row['Watched Date'] || row.Date),
+  rating: row.Rating ? Number(row.Rating) * 2 : undefined,
+  note: optionalText(row.Review)
+})
+
+const parseCsvImport = (fileName, text) => {
+  const { headers, rows } = parseCsv(text)
+
+  if (headers.includes('tmdb_id')) {
+    return { format: 'csv', comparisons: [], ...checkRows(rows.map(fromOurCsv)) }
+  }
+  if (headers.includes('Letterboxd URI') || (headers.includes('Name') && headers.includes('Year'))) {
+    const isWatchlist = /watchlist/i.test(fileName)
+    return { format: 'letterboxd', comparisons: [], ...checkRows(rows.map((row) => fromLetterboxd(row, isWatchlist))) }
+  }
+  return {
+    format: 'csv',
+    rows: [],
+    comparisons: [],
+    errors: [{ line: 1, reason: 'unknownColumns' }]
+  }
+}
+
+// Read any supported file
+// Returns { format, rows, comparisons, errors } - rows still need matching to TMDB (see pickMatch)
+export const parseImportFile = (fileName, text) =>
+  /\.json$/i.test(fileName) || text.trimStart().startsWith('{')
+    ? parseBackup(text)
+    : parseCsvImport(fileName, text)
+
+// ============================================
+// IMPORT - MATCHING TO TMDB
+// ============================================
+
+// Decide which /search/movie result a row refers to
+// Returns { movie } for a confident match, { candidates } when the user has to choose,
+// or { candidates: [] } when nothing was found
+export const pickMatch = (row, results) => {
+  const title = (row.title || '').trim().toLowerCase()
+  const sameTitle = (movie) =>
+    movie.title.toLowerCase() === title || (movie.original_title || '').toLowerCase() === title
+  const sameYear = (movie) => !row.year || yearOf(movie.release_date) === row.year
+
+  const exact = results.filter((movie) => sameTitle(movie) && sameYear(movie))
+  if (exact.length === 1) return { movie: exact[0] }
+
+  // A single result for a title + year search is almost always the right one
+  if (results.length === 1 && sameYear(results[0])) return { movie: results[0] }
+
+  // Otherwise let the user pick - exact title matches first
+  const candidates = exact.length > 1 ? exact : results
+  return { candidates: candidates.slice(0, 5) }
+}
@@ -0,0 +1,53 @@
+// ============================================
+// URL STATE - Store the search, filters and page in the address bar
+// ============================================
+// Example: /?q=batman&page=2  or  /?genres=28,12&from=1990&sort=vote_average.desc
+// Only values that differ from the defaults are written, to keep links short.
+
+import { DEFAULT_FILTERS } from './discover'
+
+// Read the search term, filters and page from a query string like "?q=batman&page=2"
+// Anything missing or invalid falls back to the default value
+export const parseSearchState = (search) => {
+  const params = new URLSearchParams(search)
+
+  // Turn "12" into 12, and anything that isn't a number into the fallback
+  const number = (key, fallback) => {
+    const value = Number(params.get(key))
+    return params.has(key) && Number.isFinite(value) ? value : fallback
+  }
+
+  return {
+    query: params.get('q') || '',
+    filters: {
+      ...DEFAULT_FILTERS,
+      genres: (params.get('genres') || '').split(',').map(Number).filter((id) => id > 0),
+      yearFrom: params.get('from') || '',
+      yearTo: params.get('to') || '',
+      minRating: number('rating', DEFAULT_FILTERS.minRating),
+      minVotes: number('votes', DEFAULT_FILTERS.minVotes),
+      language: params.get('lang') || '',
+      myServices: params.get('mine') === '1',
+      sortBy: params.get('sort') || DEFAULT_FILTERS.sortBy
+    },
+    page: Math.max(1, Math.floor(number('page', 1)))
+  }
+}
+
+// The opposite of parseSearchState - returns "?q=batman&page=2", or "" for all defaults
+export const serializeSearchState = ({ query = '', filters = DEFAULT_FILTERS, page = 1 }) => {
+  const params = new URLSearchParams()
+  if (query) params.set('q', query)
+  if (filters.genres.length) params.set('genres', filters.genres.join(','))
+  if (filters.yearFrom) params.set('from', filters.yearFrom)
+  if (filters.yearTo) params.set('to', filters.yearTo)
+  if (filters.minRating !== DEFAULT_FILTERS.minRating) params.set('rating', filters.minRating)
+  if (filters.minVotes !== DEFAULT_FILTERS.minVotes) params.set('votes', filters.minVotes)
+  if (filters.language) params.set('lang', filters.language)
+  if (filters.myServices) params.set('mine', '1')
+  if (filters.sortBy !== DEFAULT_FILTERS.sortBy) params.set('sort', filters.sortBy)
+  if (page > 1) params.set('page', page)
+
+  const search = params.toString()
+  return search ? `?${search}` : ''
+}
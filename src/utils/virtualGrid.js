@@ -0,0 +1,65 @@
+// ============================================
+// VIRTUAL GRID MATH - Which rows of a long grid are on screen?
+// ============================================
+// Only the rows near the visible part of the page are rendered; the rest are
+// replaced by empty space of the same height, so the scrollbar still looks right.
+// Row heights are measured once a row has been rendered, and estimated before that.
+
+// The grid's columns at each screen width - the same breakpoints as
+// `.all-movies ul` in index.css (grid-cols-1 xs:grid-cols-2 md:grid-cols-3 lg:grid-cols-4)
+export const GRID_COLUMNS = [
+  { query: '(min-width: 64rem)', columns: 4 },
+  { query: '(min-width: 48rem)', columns: 3 },
+  { query: '(min-width: 480px)', columns: 2 }
+]
+
+// Space between rows in pixels - gap-5 in index.css
+export const ROW_GAP = 20
+
+// Height used for rows that haven't been measured yet (a typical movie card)
+export const DEFAULT_ROW_HEIGHT = 560
+
+// Guess for unmeasured rows: the average of the measured ones
+export const estimateRowHeight = (heights) => {
+  const measured = Object.values(heights)
+  return measured.length
+    ? measured.reduce((sum, height) => sum + height, 0) / measured.length
+    : DEFAULT_ROW_HEIGHT
+}
+
+// Where every row starts, from the top of the grid
+// heights: { [rowIndex]: measured height } - missing rows use the estimate
+// Returns { offsets, sizes, total }
+export const layoutRows = (rowCount, heights, gap = ROW_GAP) => {
+  const estimate = estimateRowHeight(heights)
+  const offsets = []
+  const sizes = []
+  let top = 0
+  for (let row = 0; row < rowCount; row++) {
+    offsets.push(top)
+    sizes.push(heights[row] ?? estimate)
+    top += sizes[row] + gap
+  }
+  return { offsets, sizes, total: rowCount ? top - gap : 0 }
+}
+
+// The first and last row that overlap the area from "top" to "bottom" (pixels from the grid's top)
+// overscan: extra rows rendered above and below, so fast scrolling doesn't show gaps
+// Returns [first, last], or [0, -1] when there are no rows
+export const visibleRowRange = ({ offsets, sizes }, top, bottom, overscan = 1) => {
+  if (offsets.length === 0) return [0, -1]
+
+  // Binary search for the first row whose bottom edge is below "top"
+  let low = 0
+  let high = offsets.length - 1
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2)
+    if (offsets[middle] + sizes[middle] < top) low = middle + 1
+    else high = middle
+  }
+
+  let last = low
+  while (last < offsets.length - 1 && offsets[last + 1] < bottom) last++
+
+  return [Math.max(0, low - overscan), Math.min(offsets.length - 1, last + overscan)]
+}
@@ -0,0 +1,119 @@
+// ============================================
+// VOTING MATH - Combine several people's rankings into one (pure functions)
+// ============================================
+// candidates: the movie ids everyone is ranking, e.g. [550, 13, 680]
+// ballots: one ranking per person, best first, e.g. [[13, 550, 680], [550, 680, 13]]
+// A ballot may leave movies out - unranked movies count as tied for last place.
+
+// Keep only candidates, each once, in ballot order
+const cleanBallot = (ballot, candidates) => {
+  const allowed = new Set(candidates)
+  return ballot.filter((id) => allowed.has(id) && allowed.delete(id))
+}
+
+// Turn [{ id, score }] (already sorted best first) into rows with a place number
+// Equal scores share a place: 1, 2, 2, 4
+const withPlaces = (rows) => {
+  let place = 0
+  return rows.map((row, index) => {
+    if (index === 0 || row.score !== rows[index - 1].score) place = index + 1
+    return { ...row, place }
+  })
+}
+
+// Sort by score, highest first; ties keep the order of the candidates list
+const rankByScore = (candidates, scoreOf) => withPlaces(
+  candidates
+    .map((id, index) => ({ id, score: scoreOf(id), index }))
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .map(({ id, score }) => ({ id, score }))
+)
+
+// ============================================
+// BORDA COUNT - Points for every position
+// ============================================
+// With n movies, 1st place gets n-1 points, 2nd gets n-2, ... last gets 0.
+// Unranked movies get 0 from that ballot.
+// Returns [{ id, score, place }], best first
+export const bordaCount = (candidates, ballots) => {
+  const points = new Map(candidates.map((id) => [id, 0]))
+  ballots.forEach((ballot) => {
+    cleanBallot(ballot, candidates).forEach((id, position) => {
+      points.set(id, points.get(id) + candidates.length - 1 - position)
+    })
+  })
+  return rankByScore(candidates, (id) => points.get(id))
+}
+
+// ============================================
+// PAIRWISE PREFERENCES - Head-to-head counts for Condorcet methods
+// ============================================
+// Returns a Map: preferences.get(a).get(b) = how many ballots rank a above b
+// A ranked movie beats every unranked one; two unranked movies are a tie
+export const pairwisePreferences = (candidates, ballots) => {
+  const preferences = new Map(candidates.map((a) => [a, new Map(candidates.map((b) => [b, 0]))]))
+
+  ballots.forEach((ballot) => {
+    const ranked = cleanBallot(ballot, candidates)
+    const position = new Map(ranked.map((id, index) => [id, index]))
+    const rankOf = (id) => (position.has(id) ? position.get(id) : Infinity)
+
+    candidates.forEach((a) => {
+      candidates.forEach((b) => {
+        if (a !== b && rankOf(a) < rankOf(b)) {
+          preferences.get(a).set(b, preferences.get(a).get(b) + 1)
+        }
+      })
+    })
+  })
+
+  return preferences
+}
+
+// ============================================
+// SCHULZE METHOD - The Condorcet winner when there is one
+// ============================================
+// 1. Count how many people prefer each movie over each other movie.
+// 2. A movie "beats" another if more people prefer it - that's a link of that strength.
+// 3. The strength of a path is its weakest link; find the strongest path between every pair.
+// 4. A beats B overall if A's strongest path to B is stronger than B's path back to A.
+// Movies are ordered by how many others they beat overall. If one movie beats
+// every other movie head-to-head (a Condorcet winner), it always comes first.
+// Returns [{ id, score, place }] best first - score is the number of movies it beats
+export const schulze = (candidates, ballots) => {
+  const preferences = pairwisePreferences(candidates, ballots)
+  const prefer = (a, b) => preferences.get(a).get(b)
+
+  // strength.get(a).get(b): the strongest path from a to b (0 = no path)
+  const strength = new Map(candidates.map((a) => [a, new Map(candidates.map((b) => [
+    b,
+    a !== b && prefer(a, b) > prefer(b, a) ? prefer(a, b) : 0
+  ]))]))
+
+  // Floyd–Warshall style: try every movie "via" as a stepping stone between a and b
+  candidates.forEach((via) => {
+    candidates.forEach((a) => {
+      if (a === via) return
+      candidates.forEach((b) => {
+        if (b === via || b === a) return
+        const throughVia = Math.min(strength.get(a).get(via), strength.get(via).get(b))
+        if (throughVia > strength.get(a).get(b)) strength.get(a).set(b, throughVia)
+      })
+    })
+  })
+
+  const wins = (a) => candidates.filter((b) => a !== b && strength.get(a).get(b) > strength.get(b).get(a)).length
+  return rankByScore(candidates, wins)
+}
+
+// ============================================
+// PER-PERSON BREAKDOWN
+// ============================================
+// Where each voter put each movie: { [movieId]: [position or null, ...] } in ballot order
+// Positions start at 1; null means that voter didn't rank the movie
+export const ballotPositions = (candidates, ballots) => Object.fromEntries(
+  candidates.map((id) => [id, ballots.map((ballot) => {
+    const index = cleanBallot(ballot, candidates).indexOf(id)
+    return index === -1 ? null : index + 1
+  })])
+)
@@ -0,0 +1,104 @@
+// ============================================
+// VOTING MATH TESTS - npm test
+// ============================================
+
+import { describe, expect, it } from 'vitest'
+import { ballotPositions, bordaCount, pairwisePreferences, schulze } from './voting'
+
+// n copies of the same ballot
+const times = (n, ballot) => Array.from({ length: n }, () => ballot)
+
+describe('bordaCount', () => {
+  it('gives n-1 points for first place down to 0 for last', () => {
+    expect(bordaCount([1, 2, 3], [[2, 1, 3], [2, 3, 1]])).toEqual([
+      { id: 2, score: 4, place: 1 },
+      { id: 1, score: 1, place: 2 },
+      { id: 3, score: 1, place: 2 }
+    ])
+  })
+
+  it('gives unranked movies no points from a partial ballot', () => {
+    expect(bordaCount([1, 2, 3], [[3]])).toEqual([
+      { id: 3, score: 2, place: 1 },
+      { id: 1, score: 0, place: 2 },
+      { id: 2, score: 0, place: 2 }
+    ])
+  })
+
+  it('ignores unknown and repeated ids on a ballot', () => {
+    expect(bordaCount([1, 2], [[99, 2, 2, 1]])).toEqual([
+      { id: 2, score: 1, place: 1 },
+      { id: 1, score: 0, place: 2 }
+    ])
+  })
+
+  it('ties everything when there are no ballots', () => {
+    expect(bordaCount([1, 2, 3], [])).toEqual([
+      { id: 1, score: 0, place: 1 },
+      { id: 2, score: 0, place: 1 },
+      { id: 3, score: 0, place: 1 }
+    ])
+  })
+})
+
+describe('pairwisePreferences', () => {
+  it('counts a ranked movie above every unranked one', () => {
+    const preferences = pairwisePreferences([1, 2, 3], [[2]])
+    expect(preferences.get(2).get(1)).toBe(1)
+    expect(preferences.get(2).get(3)).toBe(1)
+    expect(preferences.get(1).get(3)).toBe(0)
+    expect(preferences.get(3).get(1)).toBe(0)
+  })
+})
+
+describe('schulze', () => {
+  it('puts the Condorcet winner first even when Borda would not', () => {
+    // 1 beats 2 and 3 head to head (3 of 5 voters each time),
+    // but the two voters who rank it last give 2 the most Borda points
+    const ballots = [...times(3, [1, 2, 3]), ...times(2, [2, 3, 1])]
+
+    expect(schulze([1, 2, 3], ballots)[0]).toEqual({ id: 1, score: 2, place: 1 })
+    expect(bordaCount([1, 2, 3], ballots)[0].id).toBe(2)
+  })
+
+  it('resolves a Condorcet cycle by the strongest paths', () => {
+    // 1 beats 2 (5-2), 2 beats 3 (5-2), 3 beats 1 (4-3): a cycle.
+    // The weakest link is 3 over 1, so 1's path to 3 through 2 (strength 5) wins
+    const ballots = [...times(3, [1, 2, 3]), ...times(2, [2, 3, 1]), ...times(2, [3, 1, 2])]
+
+    expect(schulze([1, 2, 3], ballots)).toEqual([
+      { id: 1, score: 2, place: 1 },
+      { id: 2, score: 1, place: 2 },
+      { id: 3, score: 0, place: 3 }
+    ])
+  })
+
+  it('shares a place between movies that tie head to head', () => {
+    expect(schulze([1, 2, 3], [[1, 2, 3], [2, 1, 3]])).toEqual([
+      { id: 1, score: 1, place: 1 },
+      { id: 2, score: 1, place: 1 },
+      { id: 3, score: 0, place: 3 }
+    ])
+  })
+
+  it('handles partial ballots', () => {
+    expect(schulze([1, 2, 3], [[3], [3, 1]]).map((row) => row.id)).toEqual([3, 1, 2])
+  })
+
+  it('ties everything when there are no ballots', () => {
+    expect(schulze([1, 2], [])).toEqual([
+      { id: 1, score: 0, place: 1 },
+      { id: 2, score: 0, place: 1 }
+    ])
+  })
+})
+
+describe('ballotPositions', () => {
+  it('gives each movie its place on every ballot, or null when left out', () => {
+    expect(ballotPositions([1, 2, 3], [[2, 1], [3]])).toEqual({
+      1: [2, null],
+      2: [1, null],
+      3: [null, 1]
+    })
+  })
+})
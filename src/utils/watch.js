@@ -0,0 +1,76 @@
+// ============================================
+// WHERE TO WATCH - Streaming, rent and buy availability (pure functions)
+// ============================================
+// TMDB's /movie/{id}/watch/providers answers for every country at once:
+//   { id, results: { US: { link, flatrate: [provider], rent: [...], buy: [...] }, GB: {...} } }
+// A provider: { provider_id, provider_name, logo_path, display_priority }
+// The data comes from JustWatch, and TMDB asks apps to say so.
+
+// The ways a movie can be offered, in the order we show them
+// Their labels are in the message catalogs as "offer.<type>" (see src/locales)
+export const OFFER_TYPES = ['flatrate', 'free', 'ads', 'rent', 'buy']
+
+// The offer types that count as "included with my services" for the filter and the card badges
+export const SUBSCRIPTION_TYPES = ['flatrate', 'free', 'ads']
+
+// Used when the browser's language doesn't name a country (e.g. plain "en")
+export const FALLBACK_REGION = 'US'
+
+// The user's country from a browser locale: 'en-GB' -> 'GB', 'pt-BR' -> 'BR', 'en' -> 'US'
+export const regionFromLocale = (locale = '') => {
+  const match = /[-_]([a-z]{2})\b/i.exec(locale)
+  return match ? match[1].toUpperCase() : FALLBACK_REGION
+}
+
+// What the settings start as before the user changes anything
+// services: the streaming services the user pays for, as saved provider objects
+export const defaultWatchSettings = (locale = typeof navigator !== 'undefined' ? navigator.language : '') => ({
+  region: regionFromLocale(locale),
+  services: []
+})
+
+// The offers for one country, sorted the way TMDB suggests
+// Returns { link, groups: [{ key, providers }] } - only offer types that have providers
+export const regionAvailability = (data, region) => {
+  const offers = data?.results?.[region]
+  if (!offers) return { link: null, groups: [] }
+  return {
+    link: offers.link || null,
+    groups: OFFER_TYPES
+      .filter((key) => offers[key]?.length)
+      .map((key) => ({
+        key,
+        providers: [...offers[key]].sort((a, b) => a.display_priority - b.display_priority)
+      }))
+  }
+}
+
+// Which of the user's services include this movie in their subscription
+// serviceIds: provider ids, e.g. [8, 337] - returns the matching providers, each once
+export const includedWithServices = (data, region, serviceIds) => {
+  const offers = data?.results?.[region] || {}
+  const found = new Map()
+  SUBSCRIPTION_TYPES.forEach((key) => {
+    (offers[key] || []).forEach((provider) => {
+      if (serviceIds.includes(provider.provider_id)) found.set(provider.provider_id, provider)
+    })
+  })
+  return [...found.values()]
+}
+
+// The streaming services for a country, most popular there first
+// /watch/providers/movie gives each service a priority per country: display_priorities: { US: 3, GB: 7 }
+export const sortServices = (services = [], region) => {
+  const priority = (service) => service.display_priorities?.[region] ?? service.display_priority ?? Infinity
+  return [...services].sort((a, b) => priority(a) - priority(b))
+}
+
+// Add the service if it isn't saved yet, remove it if it is
+export const toggleService = (services, provider) =>
+  services.some((service) => service.provider_id === provider.provider_id)
+    ? services.filter((service) => service.provider_id !== provider.provider_id)
+    : [...services, {
+        provider_id: provider.provider_id,
+        provider_name: provider.provider_name,
+        logo_path: provider.logo_path
+      }]
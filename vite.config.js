@@ -1,8 +1,23 @@
-import { defineConfig } from 'vite'
+import { defineConfig, loadEnv } from 'vite'
 import react from '@vitejs/plugin-react'
 import tailwindcss from '@tailwindcss/vite'
+import { tmdbProxyPlugin } from './server/vitePlugin.js'
+import { serviceWorkerVersionPlugin } from './server/serviceWorkerPlugin.js'
 
 // https://vite.dev/config/
-export default defineConfig({
-  plugins: [react(), tailwindcss()],
+export default defineConfig(({ mode }) => {
+  // '' loads every variable, not just VITE_ ones - TMDB_API_KEY must never reach the browser
+  const env = loadEnv(mode, process.cwd(), '')
+  const apiKey = env.TMDB_API_KEY || env.VITE_TMDB_API_KEY
+  if (!env.TMDB_API_KEY && env.VITE_TMDB_API_KEY) {
+    console.warn('VITE_TMDB_API_KEY is deprecated - rename it to TMDB_API_KEY in your .env file')
+  }
+
+  return {
+    plugins: [react(), tailwindcss(), tmdbProxyPlugin({ apiKey }), serviceWorkerVersionPlugin()],
+    define: {
+      // Lets the app pick the TMDB provider by default when the proxy has a key (see src/api/movieApi.js)
+      'import.meta.env.VITE_TMDB_PROXY': JSON.stringify(apiKey ? 'true' : '')
+    }
+  }
 })